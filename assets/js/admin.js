@@ -0,0 +1,313 @@
+/**
+ * PPS Article System - Admin Editor
+ * Pajajaran Physical Society
+ *
+ * Halaman admin.html, dibuka lewat server lokal (scripts/dev-server.js):
+ * - Daftar semua artikel di content/*.md
+ * - Form field artikel + isi Markdown; id otomatis dari judul (slugify)
+ * - Pratinjau langsung dengan generateCardHTML / generateDetailHTML asli
+ * - Validasi (validateArticle) sebelum menyimpan; server memvalidasi ulang,
+ *   menulis content/<id>.md lalu mengompilasi data/articles.txt
+ *
+ * Entry module admin.html: mengimpor modul situs (core, data, render, ...)
+ * + markdown.js; script.js (controller halaman situs) tidak dimuat di sini.
+ */
+
+import { escapeHTML } from './sanitize.js';
+import { hydrateWidgets } from './widgets.js';
+import { debounce, slugify } from './core.js';
+import { validateArticle, getArticleSeries } from './data.js';
+import { generateCardHTML, generateDetailHTML } from './render.js';
+import { renderMarkdown } from './markdown.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const API_PATH = 'api/articles';
+const PREVIEW_DELAY = 250; // ms setelah berhenti mengetik
+
+// Field teks biasa (tags, status dan body diolah terpisah)
+const TEXT_FIELDS = ['id', 'title', 'topic', 'author', 'date', 'excerpt', 'cover', 'coverAlt', 'publishAt'];
+
+// ==========================================
+// API
+// ==========================================
+
+/**
+ * JSON request to the dev server; error membawa daftar error validasinya
+ */
+async function request(method, url, payload) {
+  const response = await fetch(url, {
+    method,
+    cache: 'no-store',
+    headers: payload ? { 'Content-Type': 'application/json' } : {},
+    body: payload ? JSON.stringify(payload) : undefined
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(result.error || `HTTP ${response.status}`);
+    error.errors = result.errors || [];
+    throw error;
+  }
+  return result;
+}
+
+// ==========================================
+// FORM <-> RECORD
+// ==========================================
+
+/**
+ * Form values -> payload for the API ({ ...front matter, body })
+ */
+function readForm(form) {
+  const input = {};
+  TEXT_FIELDS.forEach(name => {
+    input[name] = form.elements[name].value.trim();
+  });
+
+  input.tags = form.elements.tags.value.split(',').map(tag => tag.trim()).filter(Boolean);
+  input.status = form.elements.status.value;
+  input.body = form.elements.body.value;
+  return input;
+}
+
+function fillForm(form, article) {
+  const data = article ? article.data : {};
+
+  TEXT_FIELDS.forEach(name => {
+    form.elements[name].value = data[name] ?? '';
+  });
+  if (article && !data.id) form.elements.id.value = article.id;
+
+  form.elements.tags.value = (data.tags || []).join(', ');
+  form.elements.status.value = data.status || 'published';
+  form.elements.body.value = article ? article.body.replace(/^\n+/, '') : '';
+}
+
+/**
+ * Payload -> article record seperti hasil compile-content (untuk validasi & pratinjau)
+ * Field yang tidak ada di form (series, aliases, ...) diambil dari file aslinya
+ */
+function toRecord(input, article) {
+  const record = { ...(article ? article.data : {}) };
+
+  Object.entries(input).forEach(([key, value]) => {
+    if (key === 'body') return;
+    const empty = value === '' || (Array.isArray(value) && value.length === 0);
+    if (empty) delete record[key];
+    else record[key] = value;
+  });
+
+  record.content = renderMarkdown(input.body);
+  return record;
+}
+
+/**
+ * Schema check + id yang sudah dipakai artikel lain
+ */
+function validateRecord(record, articles, current) {
+  const errors = validateArticle(record);
+
+  if (articles.some(article => article !== current && article.id === record.id)) {
+    errors.push({ field: 'id', message: `"${record.id}" is already used by another article` });
+  }
+  return errors;
+}
+
+function renderErrors(list, errors) {
+  list.innerHTML = errors
+    .map(({ field, message }) => `<li>${field ? `<strong>${escapeHTML(field)}</strong> ` : ''}${escapeHTML(message)}</li>`)
+    .join('');
+  list.hidden = errors.length === 0;
+}
+
+// ==========================================
+// PAGE
+// ==========================================
+
+function initAdmin() {
+  const form = document.getElementById('adminForm');
+  if (!form) return;
+
+  const listElement = document.getElementById('adminArticles');
+  const filterInput = document.getElementById('adminFilter');
+  const status = document.getElementById('adminStatus');
+  const formTitle = document.getElementById('adminFormTitle');
+  const errorList = document.getElementById('adminErrors');
+  const viewLink = document.getElementById('adminView');
+  const previewCard = document.getElementById('previewCard');
+  const previewDetail = document.getElementById('previewDetail');
+
+  let articles = []; // [{ id, file, data, body }] dari server
+  let current = null; // artikel yang sedang diedit, null = artikel baru
+  let idFollowsTitle = true; // id baru mengikuti judul sampai diketik sendiri
+  let dirty = false;
+
+  const setStatus = (text) => {
+    status.textContent = text;
+  };
+
+  const renderList = () => {
+    const query = filterInput.value.trim().toLowerCase();
+
+    listElement.innerHTML = articles
+      .filter(article => !query ||
+        article.id.includes(query) ||
+        String(article.data.title || '').toLowerCase().includes(query))
+      .sort((a, b) => String(b.data.date || '').localeCompare(String(a.data.date || '')))
+      .map(article => `
+        <li>
+          <button class="admin-article" type="button" data-id="${escapeHTML(article.id)}"
+                  ${article === current ? 'aria-current="true"' : ''}>
+            <strong>${escapeHTML(article.data.title || article.id)}</strong>
+            <small>${escapeHTML(article.data.date || '')} • ${escapeHTML(article.id)}${article.data.status === 'draft' ? ' • DRAFT' : ''}</small>
+          </button>
+        </li>
+      `)
+      .join('');
+
+    // Saran isian topik & penulis dari artikel yang sudah ada
+    const options = (key) => Array.from(new Set(articles.map(a => a.data[key]).filter(Boolean)))
+      .sort()
+      .map(value => `<option value="${escapeHTML(value)}"></option>`)
+      .join('');
+    document.getElementById('adminTopics').innerHTML = options('topic');
+    document.getElementById('adminAuthors').innerHTML = options('author');
+  };
+
+  const renderPreview = () => {
+    const record = toRecord(readForm(form), current);
+    const errors = validateRecord(record, articles, current);
+    renderErrors(errorList, errors);
+
+    try {
+      const others = articles.filter(article => article !== current).map(article => article.data);
+      previewCard.innerHTML = generateCardHTML(record);
+      previewDetail.innerHTML = generateDetailHTML(record, {
+        series: getArticleSeries(record, [...others, record])
+      });
+      hydrateWidgets(previewDetail.querySelector('.article-content') || previewDetail);
+    } catch (error) {
+      console.error('Preview error:', error);
+      previewDetail.textContent = error.message;
+    }
+
+    return errors;
+  };
+
+  const debouncedPreview = debounce(renderPreview, PREVIEW_DELAY);
+
+  const edit = (article) => {
+    current = article;
+    idFollowsTitle = !article;
+    dirty = false;
+
+    fillForm(form, article);
+    if (!article) form.elements.date.value = new Date().toISOString().slice(0, 10);
+
+    formTitle.textContent = article ? `Ubah: content/${article.file}` : 'Artikel baru';
+    viewLink.hidden = !article;
+    if (article) viewLink.href = `article-detail.html?id=${encodeURIComponent(article.id)}&preview=1`;
+
+    renderList();
+    renderPreview();
+  };
+
+  // Pindah artikel tanpa menyimpan -> tanya dulu
+  const confirmDiscard = () => !dirty || window.confirm('Perubahan belum disimpan. Tinggalkan?');
+
+  const loadList = async () => {
+    articles = (await request('GET', API_PATH)).articles;
+    renderList();
+  };
+
+  // ---- Events
+
+  form.addEventListener('input', (e) => {
+    dirty = true;
+
+    if (e.target.name === 'id') idFollowsTitle = false;
+    if (e.target.name === 'title' && idFollowsTitle) {
+      form.elements.id.value = slugify(form.elements.title.value);
+    }
+
+    debouncedPreview();
+  });
+
+  document.getElementById('adminSlug').addEventListener('click', () => {
+    form.elements.id.value = slugify(form.elements.title.value);
+    dirty = true;
+    renderPreview();
+  });
+
+  document.getElementById('adminNew').addEventListener('click', () => {
+    if (confirmDiscard()) edit(null);
+  });
+
+  document.getElementById('adminRevert').addEventListener('click', () => {
+    if (confirmDiscard()) edit(current);
+  });
+
+  listElement.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-id]');
+    if (!button || !confirmDiscard()) return;
+    edit(articles.find(article => article.id === button.dataset.id) || null);
+  });
+
+  filterInput.addEventListener('input', renderList);
+
+  // Link & tombol di pratinjau tidak dijalankan (anchor #bagian tetap boleh)
+  [previewCard, previewDetail].forEach(preview => {
+    preview.addEventListener('click', (e) => {
+      if (!e.target.closest('a[href]:not([href^="#"]), [data-action]')) return;
+      e.preventDefault();
+      e.stopPropagation();
+    });
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (renderPreview().length > 0) {
+      setStatus('Periksa lagi isian yang ditandai.');
+      return;
+    }
+
+    setStatus('Menyimpan...');
+    const input = readForm(form);
+
+    try {
+      const { article } = current
+        ? await request('PUT', `${API_PATH}/${encodeURIComponent(current.id)}`, input)
+        : await request('POST', API_PATH, input);
+
+      await loadList();
+      edit(articles.find(item => item.id === article.id) || null);
+      setStatus(`Tersimpan ke content/${article.file}, data/articles.txt diperbarui.`);
+    } catch (error) {
+      console.error('Save error:', error);
+      renderErrors(errorList, error.errors?.length ? error.errors : [{ field: null, message: error.message }]);
+      setStatus('Gagal menyimpan.');
+    }
+  });
+
+  window.addEventListener('beforeunload', (e) => {
+    if (!dirty) return;
+    e.preventDefault();
+    e.returnValue = '';
+  });
+
+  loadList()
+    .then(() => edit(null))
+    .catch(error => {
+      console.error('Admin load error:', error);
+      setStatus('Tidak bisa memuat artikel. Buka halaman ini lewat: node scripts/dev-server.js');
+    });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initAdmin);
+} else {
+  initAdmin();
+}
@@ -0,0 +1,274 @@
+/**
+ * PPS Article System - Core
+ * Pajajaran Physical Society
+ *
+ * Konfigurasi situs (CONFIG) dan helper kecil yang dipakai semua modul:
+ * teks UI (t), URL artikel & parameter URL, format tanggal, waktu baca,
+ * slugify, foldText.
+ *
+ * CONFIG adalah satu objek bersama; nilai runtime (language, preview,
+ * prettyURLs) diisi script.js di browser atau scripts/build.js di Node.
+ *
+ * Browser & Node: import { … } from './core.js'
+ */
+
+import { DEFAULT_LANGUAGE, translate, getLocale } from './i18n.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const CONFIG = {
+  siteName: 'Pajajaran Physical Society',
+  siteLogo: 'assets/img/footer-logo.png', // logo publisher di JSON-LD
+  dataPath: 'data/articles.txt',
+  cacheKey: 'pps_articles_cache',
+  cacheDuration: 5 * 60 * 1000, // 5 minutes
+  serviceWorkerPath: 'sw.js',
+  offlineCacheName: 'pps-offline', // harus sama dengan CACHES.offline di sw.js
+  offlineSavedKey: 'pps_offline_saved',
+  libraryKey: 'pps_library', // bookmark + riwayat baca, bisa diekspor/impor sebagai JSON
+  historyLimit: 50, // riwayat baca yang disimpan (terbaru dulu)
+  progressSaveDelay: 400, // ms; posisi baca disimpan setelah scroll berhenti
+  embeddedDataId: 'pps-data', // <script type="application/json"> dari scripts/build.js
+  languageKey: 'pps_lang',
+  readerKey: 'pps_reader', // ukuran huruf, lebar baris, jenis huruf di halaman detail
+  previewKey: 'pps_preview', // sessionStorage: mode pratinjau aktif di tab ini (hanya localhost)
+  preview: false, // diisi initPreviewMode()
+  timezoneOffset: '+07:00', // date / publishAt tanpa zona waktu dianggap WIB
+  language: 'id', // bahasa UI aktif; diisi initLanguage() dari ?lang= / localStorage
+  prettyURLs: false, // true di hasil build: artikel/<id>/ alih-alih article-detail.html?id=
+  searchDebounce: 300, // ms
+  pageSize: 9, // artikel per halaman (3 baris x 3 kolom)
+  pagerSiblings: 1, // jumlah nomor halaman di kiri/kanan halaman aktif
+  searchWeights: { title: 5, excerpt: 3, author: 2, content: 1 },
+  searchPrefixFactor: 0.6, // skor kecocokan awalan kata vs kata utuh
+  searchSnippetRadius: 70, // karakter di kiri/kanan kata yang cocok
+  // Topik yang dikenal: salah ketik di front matter (topic: Beritaa) jadi error validasi,
+  // bukan chip & feed baru. Topik baru: tambahkan di sini + label topic.<nama> di i18n.js
+  topics: ['Konten', 'Berita', 'Edukasi'],
+  relatedLimit: 4,
+  relatedWeights: { topic: 3, tags: 2, terms: 6, date: 1.5 },
+  relatedDateHalfLife: 60, // hari; skor kedekatan tanggal turun setengah tiap 60 hari
+  tocMinHeadings: 2, // Daftar Isi hanya muncul kalau ada >= 2 heading
+  scrollOffset: 110, // px; tinggi navbar + jarak, untuk scroll-spy
+  wordsPerMinute: 200,
+  animationDuration: 300,
+  tagCloudLevels: 5, // ukuran huruf tag cloud: tag--w1 ... tag--w5
+  sortOptions: ['relevance', 'newest', 'oldest', 'title', 'reading']
+};
+
+// ==========================================
+// I18N HELPERS
+// ==========================================
+
+/**
+ * UI string in the current language (plain text, escape before use in HTML)
+ */
+function t(key, params) {
+  return translate(CONFIG.language, key, params);
+}
+
+/**
+ * Display name of a topic ("Berita" -> "News"); unknown topics as-is
+ */
+function getTopicLabel(topic) {
+  const key = `topic.${topic}`;
+  const label = t(key);
+  return label === key ? topic : label;
+}
+
+// ==========================================
+// UTILITY FUNCTIONS
+// ==========================================
+
+/**
+ * Debounce function to limit execution rate
+ */
+function debounce(func, wait) {
+  let timeout;
+  return function executedFunction(...args) {
+    const later = () => {
+      clearTimeout(timeout);
+      func(...args);
+    };
+    clearTimeout(timeout);
+    timeout = setTimeout(later, wait);
+  };
+}
+
+/**
+ * Update URL query parameters without reloading the page
+ * (null / empty value removes the parameter)
+ * push: buat entry history baru (back button kembali ke state sebelumnya)
+ */
+function setURLParams(params, { push = false, state = window.history.state } = {}) {
+  const url = new URL(window.location.href);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === '') {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  if (push && url.href !== window.location.href) {
+    window.history.pushState(state, '', url);
+  } else {
+    window.history.replaceState(state, '', url);
+  }
+}
+
+/**
+ * Get URL parameter value
+ */
+function getURLParam(name) {
+  const params = new URLSearchParams(window.location.search);
+  return params.get(name);
+}
+
+/**
+ * Article id from a pretty URL path (".../artikel/<id>/"), null otherwise
+ * Dipakai halaman 404 hasil build, yang dilayani untuk alamat apa pun
+ */
+function getArticleIdFromPath(pathname) {
+  const match = /\/artikel\/([^/]+)\/?(?:index\.html)?$/.exec(pathname || '');
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * URL of an article page (relative to the site root)
+ * lang: versi terjemahan, ditandai ?lang= (Bahasa Indonesia tanpa parameter)
+ */
+function getArticleURL(id, lang = DEFAULT_LANGUAGE) {
+  const url = CONFIG.prettyURLs
+    ? `artikel/${encodeURIComponent(id)}/`
+    : `article-detail.html?id=${encodeURIComponent(id)}`;
+
+  if (lang === DEFAULT_LANGUAGE) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}lang=${encodeURIComponent(lang)}`;
+}
+
+/**
+ * Element targeted by a "#fragment" (null for "#" or unknown ids)
+ */
+function getHashTarget(hash) {
+  if (!hash || hash.length < 2) return null;
+  try {
+    return document.getElementById(decodeURIComponent(hash.slice(1)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a page number from a URL parameter (fallback: 1)
+ */
+function parsePageParam(value) {
+  const page = parseInt(value, 10);
+  return Number.isFinite(page) && page > 0 ? page : 1;
+}
+
+/**
+ * Format date in the current UI language ("05 Feb 2026")
+ */
+function formatDate(isoDate) {
+  try {
+    const date = new Date(isoDate + 'T00:00:00');
+    return date.toLocaleDateString(getLocale(CONFIG.language), {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric'
+    });
+  } catch (error) {
+    console.error('Date formatting error:', error);
+    return isoDate;
+  }
+}
+
+/**
+ * Format a timestamp with time ("01 Mar 2026, 08.00")
+ */
+function formatDateTime(timestamp) {
+  return new Date(timestamp).toLocaleString(getLocale(CONFIG.language), {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Strip HTML tags and decode basic entities -> plain text
+ */
+function stripHTML(html) {
+  return (html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Calculate reading time in minutes
+ */
+function calculateReadingTime(html) {
+  const text = stripHTML(html);
+  const words = text ? text.split(' ').length : 0;
+  return Math.max(1, Math.ceil(words / CONFIG.wordsPerMinute));
+}
+
+/**
+ * Lowercase + remove diacritics (é -> e, ñ -> n)
+ */
+function foldText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase();
+}
+
+/**
+ * Turn text into a URL-friendly slug ("Hukum Newton I" -> "hukum-newton-i")
+ */
+function slugify(text) {
+  return foldText(text)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const PREFERS_REDUCED_MOTION =
+  typeof window !== 'undefined' &&
+  (window.matchMedia?.('(prefers-reduced-motion: reduce)')?.matches ?? false);
+
+export {
+  CONFIG,
+  t,
+  getTopicLabel,
+  debounce,
+  setURLParams,
+  getURLParam,
+  getArticleIdFromPath,
+  getArticleURL,
+  getHashTarget,
+  parsePageParam,
+  formatDate,
+  formatDateTime,
+  stripHTML,
+  calculateReadingTime,
+  foldText,
+  slugify,
+  PREFERS_REDUCED_MOTION
+};
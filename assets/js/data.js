@@ -0,0 +1,1140 @@
+/**
+ * PPS Article System - Data
+ * Pajajaran Physical Society
+ *
+ * Semua yang mengolah data artikel tanpa menyentuh tampilan:
+ * - Memuat data/articles.txt (+ cache localStorage, data tertanam hasil build)
+ * - Validasi schema artikel, status terbit / draft / terjadwal
+ * - Artikel terkait & berurutan, topik, tag, seri
+ * - Koleksi pembaca (bookmark + riwayat baca) di localStorage
+ * - State daftar artikel di URL, filter, urutan, facet, saran halaman 404
+ *
+ * Fungsi yang memakai fetch / localStorage hanya dipanggil di browser;
+ * sisanya murni dan dipakai juga oleh scripts/.
+ *
+ * Browser & Node: import { … } from './data.js'
+ */
+
+import { DEFAULT_LANGUAGE, LANGUAGES, TRANSLATABLE_FIELDS, normalizeLanguage } from './i18n.js';
+import { CONFIG, t, setURLParams, parsePageParam, stripHTML, slugify } from './core.js';
+import { SEARCH_STOPWORDS, tokenize } from './search.js';
+
+// ==========================================
+// DATA MANAGEMENT
+// ==========================================
+
+/**
+ * Load the articles readers may see: drafts and future posts are left out,
+ * except in preview mode
+ * embedded: false -> abaikan data yang ditanam halaman build (isinya bisa sebagian)
+ */
+async function loadArticles({ embedded = true } = {}) {
+  // Data build hanya berisi artikel yang sudah terbit, pratinjau butuh semuanya
+  const articles = await loadArticleRecords({ embedded: embedded && !CONFIG.preview });
+  if (CONFIG.preview) return articles;
+
+  const now = Date.now();
+  return articles.filter(article => isPublished(article, now));
+}
+
+/**
+ * Load all valid article records (termasuk draft) from file or cache
+ */
+async function loadArticleRecords({ embedded: useEmbedded = true } = {}) {
+  try {
+    // Halaman hasil build sudah membawa datanya sendiri
+    const embedded = useEmbedded ? getEmbeddedArticles() : null;
+    if (embedded) {
+      return validateArticles(embedded).valid;
+    }
+
+    // Check cache first
+    const cached = getCachedData();
+    if (cached) {
+      console.log('Using cached data');
+      return cached;
+    }
+
+    // Fetch from file
+    console.log('Fetching fresh data...');
+    const response = await fetch(CONFIG.dataPath, {
+      cache: 'no-store',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    // Validate data
+    if (!Array.isArray(data)) {
+      throw new Error('Data format invalid: expected array');
+    }
+
+    // Record yang tidak valid dilewati, halaman tetap jalan
+    const { valid, errors } = validateArticles(data);
+    if (errors.length > 0) {
+      console.warn(formatValidationReport(errors, data.length));
+    }
+
+    // Cache the data
+    setCachedData(valid);
+
+    return valid;
+  } catch (error) {
+    console.error('Error loading articles:', error);
+
+    // Offline / server error: pakai cache lama walaupun sudah kedaluwarsa
+    const stale = getCachedData({ allowExpired: true });
+    if (stale) {
+      console.warn('Using expired cached data');
+      return stale;
+    }
+
+    throw new Error(t('error.loadFailed', { message: error.message }));
+  }
+}
+
+/**
+ * Articles embedded in the page by the static build (null if none)
+ */
+function getEmbeddedArticles() {
+  if (typeof document === 'undefined') return null;
+
+  const script = document.getElementById(CONFIG.embeddedDataId);
+  if (!script) return null;
+
+  try {
+    const data = JSON.parse(script.textContent);
+    return Array.isArray(data) ? data : null;
+  } catch (error) {
+    console.error('Embedded data error:', error);
+    return null;
+  }
+}
+
+/**
+ * Get cached data if valid
+ * (allowExpired: fallback saat offline, cache kedaluwarsa tetap dipakai)
+ */
+function getCachedData({ allowExpired = false } = {}) {
+  try {
+    const cached = localStorage.getItem(CONFIG.cacheKey);
+    if (!cached) return null;
+
+    const { data, timestamp } = JSON.parse(cached);
+    const now = Date.now();
+
+    // Check if cache is still valid
+    if (allowExpired || now - timestamp < CONFIG.cacheDuration) {
+      return data;
+    }
+
+    // Expired cache disimpan untuk fallback offline, tapi tidak dipakai
+    return null;
+  } catch (error) {
+    console.error('Cache retrieval error:', error);
+    return null;
+  }
+}
+
+/**
+ * Set cached data
+ */
+function setCachedData(data) {
+  try {
+    const cacheObject = {
+      data,
+      timestamp: Date.now()
+    };
+    localStorage.setItem(CONFIG.cacheKey, JSON.stringify(cacheObject));
+  } catch (error) {
+    console.error('Cache storage error:', error);
+  }
+}
+
+/**
+ * Clear cache
+ */
+function clearCache() {
+  try {
+    localStorage.removeItem(CONFIG.cacheKey);
+    console.log('Cache cleared');
+  } catch (error) {
+    console.error('Cache clear error:', error);
+  }
+}
+
+// ==========================================
+// ARTICLE SCHEMA VALIDATION
+// ==========================================
+
+const ARTICLE_SCHEMA = {
+  required: ['id', 'title', 'topic', 'date'],
+  strings: ['id', 'title', 'topic', 'author', 'date', 'excerpt', 'cover', 'coverAlt', 'content', 'status', 'publishAt'],
+  statuses: ['draft', 'published'],
+  idPattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+  datePattern: /^(\d{4})-(\d{2})-(\d{2})$/,
+  // 2026-03-01, 2026-03-01T08:00, 2026-03-01T08:00:00+07:00
+  dateTimePattern: /^(\d{4}-\d{2}-\d{2})(?:T\d{2}:\d{2}(?::\d{2})?(?:Z|[+-]\d{2}:\d{2})?)?$/,
+  // Path relatif ke root situs, mis. assets/img/cover.jpg
+  relativePathPattern: /^(?:\.{0,2}\/)?[\w\-.~%]+(?:\/[\w\-.~%]+)*$/,
+  // coverImage dari scripts/images.js (lewat data/covers.json)
+  coverFormats: ['avif', 'webp'],
+  colorPattern: /^#[0-9a-f]{6}$/i,
+  placeholderPattern: /^data:image\/(?:webp|png|jpeg);base64,[a-z0-9+/]+=*$/i
+};
+
+/**
+ * Check that a YYYY-MM-DD string is a real calendar date
+ */
+function isValidISODate(value) {
+  const match = ARTICLE_SCHEMA.datePattern.exec(value);
+  if (!match) return false;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+}
+
+/**
+ * Check that a cover is an http(s) URL or a site-relative path
+ */
+function isValidCoverURL(value) {
+  if (/^https?:\/\//i.test(value)) {
+    try {
+      return Boolean(new URL(value).hostname);
+    } catch {
+      return false;
+    }
+  }
+  return ARTICLE_SCHEMA.relativePathPattern.test(value);
+}
+
+/**
+ * Validate a single article record -> list of { field, message }
+ * topics: daftar topik yang diizinkan (default CONFIG.topics; null = topik bebas)
+ */
+function validateArticle(record, topics = CONFIG.topics) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return [{ field: null, message: 'record must be an object' }];
+  }
+
+  const problems = [];
+  const add = (field, message) => problems.push({ field, message });
+
+  ARTICLE_SCHEMA.required.forEach(field => {
+    const value = record[field];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      add(field, 'is required');
+    }
+  });
+
+  ARTICLE_SCHEMA.strings.forEach(field => {
+    const value = record[field];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      add(field, `must be a string (got ${typeof value})`);
+    }
+  });
+
+  const has = (field) => typeof record[field] === 'string' && record[field].trim() !== '';
+
+  if (has('id') && !ARTICLE_SCHEMA.idPattern.test(record.id)) {
+    add('id', `"${record.id}" is not a slug (lowercase letters, digits and single dashes)`);
+  }
+
+  if (has('date') && !isValidISODate(record.date)) {
+    add('date', `"${record.date}" is not a valid ISO date (YYYY-MM-DD)`);
+  }
+
+  if (has('status') && !ARTICLE_SCHEMA.statuses.includes(record.status)) {
+    add('status', `"${record.status}" is not one of: ${ARTICLE_SCHEMA.statuses.join(', ')}`);
+  }
+
+  if (has('publishAt')) {
+    const match = ARTICLE_SCHEMA.dateTimePattern.exec(record.publishAt);
+    if (!match || !isValidISODate(match[1]) || Number.isNaN(getPublishTime(record))) {
+      add('publishAt', `"${record.publishAt}" is not an ISO date/time (YYYY-MM-DDTHH:MM, optional offset)`);
+    }
+  }
+
+  if (has('topic') && topics && !topics.includes(record.topic)) {
+    add('topic', `"${record.topic}" is not one of: ${topics.join(', ')}`);
+  }
+
+  if (has('cover') && !isValidCoverURL(record.cover)) {
+    add('cover', `"${record.cover}" is not an http(s) URL or relative image path`);
+  }
+
+  // coverImage: { base, width, height, widths, formats, color?, placeholder? }
+  if (record.coverImage !== undefined) {
+    const image = record.coverImage;
+    const isSize = value => Number.isInteger(value) && value > 0;
+
+    if (!image || typeof image !== 'object' || Array.isArray(image)) {
+      add('coverImage', 'must be an object');
+    } else {
+      if (!has('cover')) add('coverImage', 'needs a cover');
+      if (!isSize(image.width) || !isSize(image.height)) {
+        add('coverImage', 'width and height must be positive integers');
+      }
+      if (typeof image.base !== 'string' || !ARTICLE_SCHEMA.relativePathPattern.test(image.base)) {
+        add('coverImage', 'base must be a relative path');
+      }
+      if (!Array.isArray(image.widths) || image.widths.length === 0 || !image.widths.every(isSize)) {
+        add('coverImage', 'widths must be a list of positive integers');
+      }
+      if (!Array.isArray(image.formats) || image.formats.length === 0 ||
+        !image.formats.every(format => ARTICLE_SCHEMA.coverFormats.includes(format))) {
+        add('coverImage', `formats must be a list of: ${ARTICLE_SCHEMA.coverFormats.join(', ')}`);
+      }
+      if (image.color !== undefined && !ARTICLE_SCHEMA.colorPattern.test(image.color)) {
+        add('coverImage', `"${image.color}" is not a #rrggbb colour`);
+      }
+      if (image.placeholder !== undefined && !ARTICLE_SCHEMA.placeholderPattern.test(image.placeholder)) {
+        add('coverImage', 'placeholder must be a base64 image data URI');
+      }
+    }
+  }
+
+  // aliases: slug lama yang di-redirect ke artikel ini
+  if (record.aliases !== undefined) {
+    if (!Array.isArray(record.aliases)) {
+      add('aliases', 'must be an array of slugs');
+    } else {
+      record.aliases.forEach(alias => {
+        if (typeof alias !== 'string' || !ARTICLE_SCHEMA.idPattern.test(alias)) {
+          add('aliases', `"${alias}" is not a slug`);
+        }
+      });
+    }
+  }
+
+  // tags: label bebas, dibandingkan lewat slug-nya (?tag=optik)
+  if (record.tags !== undefined) {
+    if (!Array.isArray(record.tags)) {
+      add('tags', 'must be an array of strings');
+    } else {
+      const seen = new Set();
+      record.tags.forEach(tag => {
+        if (typeof tag !== 'string') {
+          add('tags', `must contain only strings (got ${typeof tag})`);
+        } else if (!getTagKey(tag)) {
+          add('tags', `"${tag}" is not a tag (needs at least one letter or digit)`);
+        } else if (seen.has(getTagKey(tag))) {
+          add('tags', `"${tag}" is listed twice`);
+        } else {
+          seen.add(getTagKey(tag));
+        }
+      });
+    }
+  }
+
+  // series: { name, order }, order = urutan bagian (bilangan bulat >= 1)
+  if (record.series !== undefined) {
+    const { series } = record;
+
+    if (!series || typeof series !== 'object' || Array.isArray(series)) {
+      add('series', 'must be an object with name and order');
+    } else {
+      if (typeof series.name !== 'string' || series.name.trim() === '') {
+        add('series.name', 'is required');
+      }
+      if (!Number.isInteger(series.order) || series.order < 1) {
+        add('series.order', `"${series.order}" is not a whole number >= 1`);
+      }
+    }
+  }
+
+  // translations: { en: { title, excerpt, coverAlt, content } }, title wajib
+  if (record.translations !== undefined) {
+    const { translations } = record;
+
+    if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+      add('translations', 'must be an object keyed by language');
+    } else {
+      Object.entries(translations).forEach(([language, translation]) => {
+        const field = `translations.${language}`;
+
+        if (language === DEFAULT_LANGUAGE || normalizeLanguage(language) !== language) {
+          add('translations', `"${language}" is not one of: ${Object.keys(LANGUAGES).filter(l => l !== DEFAULT_LANGUAGE).join(', ')}`);
+          return;
+        }
+
+        if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+          add(field, 'must be an object');
+          return;
+        }
+
+        TRANSLATABLE_FIELDS.forEach(name => {
+          const value = translation[name];
+          if (value !== undefined && value !== null && typeof value !== 'string') {
+            add(`${field}.${name}`, `must be a string (got ${typeof value})`);
+          }
+        });
+
+        if (typeof translation.title !== 'string' || translation.title.trim() === '') {
+          add(`${field}.title`, 'is required');
+        }
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate all records -> { valid, errors }
+ * errors: [{ index, id, field, message }]; invalid records are left out of valid
+ * Duplicate id: the first record wins, later ones are reported
+ * Aliases must not collide with an id or with another record's alias
+ * Parts of one series must not share an order
+ */
+function validateArticles(records, options = {}) {
+  const problemsByIndex = records.map(record => validateArticle(record, options.topics));
+  const getId = (record) => (record && typeof record.id === 'string' ? record.id : null);
+
+  const idOwners = new Map();
+  records.forEach((record, index) => {
+    const id = getId(record);
+    if (!id) return;
+
+    if (idOwners.has(id)) {
+      problemsByIndex[index].push({ field: 'id', message: `duplicate of record #${idOwners.get(id)}` });
+    } else {
+      idOwners.set(id, index);
+    }
+  });
+
+  const aliasOwners = new Map();
+  records.forEach((record, index) => {
+    if (!Array.isArray(record?.aliases)) return;
+
+    record.aliases.forEach(alias => {
+      if (typeof alias !== 'string') return;
+
+      if (idOwners.has(alias)) {
+        problemsByIndex[index].push({
+          field: 'aliases',
+          message: `"${alias}" is already the id of record #${idOwners.get(alias)}`
+        });
+      } else if (aliasOwners.has(alias) && aliasOwners.get(alias) !== index) {
+        problemsByIndex[index].push({
+          field: 'aliases',
+          message: `"${alias}" is already an alias of record #${aliasOwners.get(alias)}`
+        });
+      } else {
+        aliasOwners.set(alias, index);
+      }
+    });
+  });
+
+  // "nama seri|order" -> record pertama yang memakainya
+  const seriesOwners = new Map();
+  records.forEach((record, index) => {
+    const { name, order } = record?.series || {};
+    if (typeof name !== 'string' || !Number.isInteger(order)) return;
+
+    const key = `${name.trim()}|${order}`;
+    if (seriesOwners.has(key)) {
+      problemsByIndex[index].push({
+        field: 'series.order',
+        message: `part ${order} of "${name}" is already record #${seriesOwners.get(key)}`
+      });
+    } else {
+      seriesOwners.set(key, index);
+    }
+  });
+
+  const valid = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const problems = problemsByIndex[index];
+
+    if (problems.length === 0) {
+      valid.push(record);
+    } else {
+      problems.forEach(problem => errors.push({ index, id: getId(record), ...problem }));
+    }
+  });
+
+  return { valid, errors };
+}
+
+/**
+ * Format validation errors as a readable multi-line report
+ */
+function formatValidationReport(errors, total) {
+  const invalidCount = new Set(errors.map(e => e.index)).size;
+  const lines = errors.map(({ index, id, field, message }) =>
+    `  #${index}${id ? ` (${id})` : ''} ${field ? `${field}: ` : ''}${message}`
+  );
+
+  return [
+    `Article data: ${errors.length} problem(s) in ${invalidCount} of ${total} record(s), skipped:`,
+    ...lines
+  ].join('\n');
+}
+
+// ==========================================
+// PUBLISHING
+// ==========================================
+
+/**
+ * Publish time (ms) of an article: publishAt, otherwise the start of its date
+ * (tanpa zona waktu -> CONFIG.timezoneOffset)
+ */
+function getPublishTime(article) {
+  const value = String(article.publishAt || article.date || '');
+  const dateTime = value.includes('T') ? value : `${value}T00:00`;
+  const zoned = /(?:Z|[+-]\d{2}:\d{2})$/.test(dateTime) ? dateTime : `${dateTime}${CONFIG.timezoneOffset}`;
+  return Date.parse(zoned);
+}
+
+/**
+ * 'draft' | 'scheduled' (terbit di masa depan) | 'published'
+ */
+function getArticleStatus(article, now = Date.now()) {
+  if (article.status === 'draft') return 'draft';
+  return getPublishTime(article) > now ? 'scheduled' : 'published';
+}
+
+/**
+ * Visible to readers (list, detail, feeds, search)?
+ */
+function isPublished(article, now = Date.now()) {
+  return getArticleStatus(article, now) === 'published';
+}
+
+// ==========================================
+// RELATED & ADJACENT ARTICLES
+// ==========================================
+
+/**
+ * Distinct meaningful terms of an article (title + content)
+ */
+function getArticleTerms(article) {
+  const text = `${article.title || ''} ${article.excerpt || ''} ${stripHTML(article.content)}`;
+  return new Set(
+    tokenize(text).filter(term => term.length >= 3 && !SEARCH_STOPWORDS.has(term))
+  );
+}
+
+/**
+ * Days between two ISO dates (absolute)
+ */
+function daysBetween(isoA, isoB) {
+  const a = Date.parse(`${isoA}T00:00:00Z`);
+  const b = Date.parse(`${isoB}T00:00:00Z`);
+  if (Number.isNaN(a) || Number.isNaN(b)) return Infinity;
+  return Math.abs(a - b) / 86400000;
+}
+
+/**
+ * Score other articles by shared topic and tags, overlapping terms (Jaccard)
+ * and date proximity -> top N related articles
+ */
+function getRelatedArticles(article, articles, limit = CONFIG.relatedLimit) {
+  const weights = CONFIG.relatedWeights;
+  const terms = getArticleTerms(article);
+  const tagKeys = getArticleTagKeys(article);
+
+  return articles
+    .filter(other => other.id !== article.id)
+    .map(other => {
+      const otherTerms = getArticleTerms(other);
+      let shared = 0;
+      otherTerms.forEach(term => {
+        if (terms.has(term)) shared++;
+      });
+
+      const union = terms.size + otherTerms.size - shared;
+      const overlap = union > 0 ? shared / union : 0;
+      const proximity = Math.pow(0.5, daysBetween(article.date, other.date) / CONFIG.relatedDateHalfLife);
+
+      const sharedTags = getArticleTagKeys(other).filter(key => tagKeys.includes(key)).length;
+
+      const score =
+        (other.topic === article.topic ? weights.topic : 0) +
+        sharedTags * weights.tags +
+        overlap * weights.terms +
+        proximity * weights.date;
+
+      return { article: other, score };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ article: related }) => related);
+}
+
+/**
+ * Chronological neighbours -> { previous (lebih lama), next (lebih baru) }
+ * Tanggal sama: urutan di file yang dipakai
+ */
+function getAdjacentArticles(article, articles) {
+  const chronological = articles
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => (a.item.date || '').localeCompare(b.item.date || '') || b.index - a.index)
+    .map(({ item }) => item);
+
+  const position = chronological.findIndex(item => item.id === article.id);
+  if (position === -1) return { previous: null, next: null };
+
+  return {
+    previous: chronological[position - 1] || null,
+    next: chronological[position + 1] || null
+  };
+}
+
+// ==========================================
+// TOPICS, TAGS & SERIES
+// ==========================================
+
+/**
+ * Distinct topics in the data, most articles first (chip & feed order)
+ */
+function getTopics(articles) {
+  const counts = new Map();
+  articles.forEach(article => {
+    if (article.topic) counts.set(article.topic, (counts.get(article.topic) || 0) + 1);
+  });
+
+  return Array.from(counts.keys()).sort((a, b) =>
+    counts.get(b) - counts.get(a) || a.localeCompare(b, 'id', { sensitivity: 'base' })
+  );
+}
+
+/**
+ * URL key of a tag ("Gelombang EM" -> "gelombang-em")
+ */
+function getTagKey(tag) {
+  return slugify(String(tag ?? ''));
+}
+
+/**
+ * Tag keys of an article
+ */
+function getArticleTagKeys(article) {
+  return Array.isArray(article.tags) ? article.tags.map(getTagKey) : [];
+}
+
+/**
+ * Distinct tags in the data -> [{ key, label, count }], A-Z
+ * (label: penulisan pertama yang ditemukan)
+ */
+function getTags(articles) {
+  const tags = new Map();
+
+  articles.forEach(article => {
+    (Array.isArray(article.tags) ? article.tags : []).forEach(label => {
+      const key = getTagKey(label);
+      if (!key) return;
+      if (!tags.has(key)) tags.set(key, { key, label, count: 0 });
+      tags.get(key).count++;
+    });
+  });
+
+  return Array.from(tags.values()).sort((a, b) =>
+    a.label.localeCompare(b.label, 'id', { sensitivity: 'base' })
+  );
+}
+
+/**
+ * Tag page URL (list page filtered by tag)
+ */
+function getTagURL(tag) {
+  return `index.html?tag=${encodeURIComponent(getTagKey(tag))}`;
+}
+
+/**
+ * Parts of the article's series -> { name, parts (urut order), position } or null
+ */
+function getArticleSeries(article, articles) {
+  const name = article.series?.name;
+  if (!name) return null;
+
+  const parts = articles
+    .filter(item => item.series?.name === name)
+    .sort((a, b) => a.series.order - b.series.order);
+
+  const position = parts.findIndex(item => item.id === article.id);
+  if (position === -1) return null;
+
+  return { name, parts, position };
+}
+
+// ==========================================
+// READER LIBRARY (BOOKMARKS & READING HISTORY)
+// ==========================================
+
+// Penanda file ekspor; versi naik kalau bentuk datanya berubah
+const LIBRARY_FORMAT = 'pps-library';
+
+const LIBRARY_VERSION = 1;
+
+const LIBRARY_SHELVES = ['saved', 'history'];
+
+let libraryCache = null;
+
+/**
+ * Empty library: bookmarks { id: savedAt }, history { id: { readAt, scrollY, progress } }
+ */
+function createLibrary() {
+  return { bookmarks: {}, history: {} };
+}
+
+/**
+ * Clean up library data from localStorage or an imported file
+ * (id/tanggal tidak valid dibuang, riwayat dipotong ke historyLimit terbaru)
+ */
+function normalizeLibrary(data) {
+  const library = createLibrary();
+  if (!data || typeof data !== 'object') return library;
+
+  const isId = id => ARTICLE_SCHEMA.idPattern.test(id);
+  const isTime = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+  Object.entries(data.bookmarks || {}).forEach(([id, savedAt]) => {
+    if (isId(id) && isTime(savedAt)) library.bookmarks[id] = savedAt;
+  });
+
+  Object.entries(data.history || {})
+    .filter(([id, entry]) => isId(id) && entry && isTime(entry.readAt))
+    .sort(([, a], [, b]) => Date.parse(b.readAt) - Date.parse(a.readAt))
+    .slice(0, CONFIG.historyLimit)
+    .forEach(([id, entry]) => {
+      library.history[id] = {
+        readAt: entry.readAt,
+        scrollY: Math.max(0, Math.round(Number(entry.scrollY) || 0)),
+        progress: Math.min(1, Math.max(0, Number(entry.progress) || 0))
+      };
+    });
+
+  return library;
+}
+
+/**
+ * Merge an imported library into the current one
+ * (bookmark digabung, riwayat per artikel ambil yang paling baru dibaca)
+ */
+function mergeLibraries(current, incoming) {
+  const history = { ...current.history };
+
+  Object.entries(incoming.history).forEach(([id, entry]) => {
+    if (!history[id] || Date.parse(entry.readAt) > Date.parse(history[id].readAt)) {
+      history[id] = entry;
+    }
+  });
+
+  return normalizeLibrary({
+    bookmarks: { ...incoming.bookmarks, ...current.bookmarks },
+    history
+  });
+}
+
+/**
+ * Reader library from localStorage (di-cache; perubahan dari tab lain
+ * mengosongkan cache lewat event storage, lihat initLibrary)
+ */
+function getLibrary() {
+  if (!libraryCache) {
+    try {
+      libraryCache = normalizeLibrary(JSON.parse(localStorage.getItem(CONFIG.libraryKey)));
+    } catch {
+      libraryCache = createLibrary();
+    }
+  }
+  return libraryCache;
+}
+
+/**
+ * Save the library; notify: kabari halaman lewat event "pps:library"
+ */
+function saveLibrary(library, { notify = true } = {}) {
+  libraryCache = normalizeLibrary(library);
+
+  try {
+    localStorage.setItem(
+      CONFIG.libraryKey,
+      JSON.stringify({ version: LIBRARY_VERSION, ...libraryCache })
+    );
+  } catch (error) {
+    console.warn('Library save error:', error);
+  }
+
+  if (notify) document.dispatchEvent(new CustomEvent('pps:library'));
+}
+
+/**
+ * Forget the cached library (dibaca ulang dari localStorage, mis. setelah tab lain mengubahnya)
+ */
+function clearLibraryCache() {
+  libraryCache = null;
+}
+
+function isBookmarked(id) {
+  return Object.prototype.hasOwnProperty.call(getLibrary().bookmarks, id);
+}
+
+/**
+ * Add/remove a bookmark -> true kalau sekarang tersimpan
+ */
+function toggleBookmark(id) {
+  const library = getLibrary();
+  const bookmarks = { ...library.bookmarks };
+
+  if (bookmarks[id]) delete bookmarks[id];
+  else bookmarks[id] = new Date().toISOString();
+
+  saveLibrary({ ...library, bookmarks });
+  return Boolean(bookmarks[id]);
+}
+
+/**
+ * Last reading position of an article, or null
+ */
+function getReadingEntry(id) {
+  return getLibrary().history[id] || null;
+}
+
+function saveReadingProgress(id, { scrollY, progress }) {
+  const library = getLibrary();
+  saveLibrary({
+    ...library,
+    history: { ...library.history, [id]: { readAt: new Date().toISOString(), scrollY, progress } }
+  }, { notify: false });
+}
+
+/**
+ * Check an article id against a shelf ('saved' | 'history')
+ */
+function isOnShelf(id, shelf) {
+  if (shelf === 'saved') return isBookmarked(id);
+  if (shelf === 'history') return Boolean(getReadingEntry(id));
+  return true;
+}
+
+/**
+ * Articles ordered by when they were last read (terbaru dulu)
+ */
+function sortByLastRead(articles) {
+  const readAt = article => Date.parse(getReadingEntry(article.id)?.readAt || 0) || 0;
+  return [...articles].sort((a, b) => readAt(b) - readAt(a));
+}
+
+/**
+ * Parse an exported library file (throws on anything else)
+ */
+function parseLibraryExport(text) {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // ditangani di bawah
+  }
+
+  if (!data || data.format !== LIBRARY_FORMAT ||
+      !Number.isInteger(data.version) || data.version > LIBRARY_VERSION) {
+    throw new Error(t('library.invalidFile'));
+  }
+
+  return normalizeLibrary(data);
+}
+
+// ==========================================
+// LIST URL STATE
+// ==========================================
+
+/**
+ * Default list state; values equal to the default are left out of the URL
+ */
+const LIST_STATE_DEFAULTS = {
+  topic: 'all',
+  tag: '', // slug tag, lihat getTagKey()
+  q: '',
+  author: '',
+  archive: '', // "2026" atau "2026-02"
+  shelf: '', // koleksi pribadi: 'saved' | 'history'
+  sort: 'relevance',
+  page: 1
+};
+
+// Perubahan key ini = hasil berubah -> kembali ke halaman 1
+const LIST_FILTER_KEYS = ['topic', 'tag', 'q', 'author', 'archive', 'shelf', 'sort'];
+
+/**
+ * Read list state (filters, search query, sort, page) from the query string
+ * topics: topik yang ada di data; sebelum data dimuat (null) ?topic= dipakai apa adanya
+ */
+function readListState(search = window.location.search, topics = null) {
+  const params = new URLSearchParams(search);
+
+  // ?topic=berita tetap cocok dengan "Berita"
+  const topicParam = (params.get('topic') || '').trim();
+  const topic = topics
+    ? topics.find(item => item.toLowerCase() === topicParam.toLowerCase())
+    : topicParam;
+
+  const sort = params.get('sort');
+  const archive = params.get('archive') || '';
+  const shelf = params.get('shelf');
+
+  return {
+    topic: topic || LIST_STATE_DEFAULTS.topic,
+    tag: getTagKey(params.get('tag') || ''),
+    q: (params.get('q') || '').trim(),
+    author: (params.get('author') || '').trim(),
+    archive: /^\d{4}(-\d{2})?$/.test(archive) ? archive : LIST_STATE_DEFAULTS.archive,
+    shelf: LIBRARY_SHELVES.includes(shelf) ? shelf : LIST_STATE_DEFAULTS.shelf,
+    sort: CONFIG.sortOptions.includes(sort) ? sort : LIST_STATE_DEFAULTS.sort,
+    page: parsePageParam(params.get('page'))
+  };
+}
+
+/**
+ * Write list state to the query string
+ * source: asal perubahan, disimpan di history.state (mis. 'search')
+ */
+function writeListState(state, { push = false, source = null } = {}) {
+  const params = {};
+
+  Object.entries(LIST_STATE_DEFAULTS).forEach(([key, defaultValue]) => {
+    params[key] = state[key] === defaultValue ? null : state[key];
+  });
+
+  setURLParams(params, { push, state: { view: 'list', source } });
+}
+
+// ==========================================
+// SORTING & FACETS
+// ==========================================
+
+/**
+ * Check an article against the list filters
+ * (ignore: satu filter yang dilewati, dipakai untuk menghitung facet)
+ */
+function matchesListFilters(article, state, ignore = null) {
+  return (
+    (ignore === 'topic' || state.topic === 'all' || article.topic === state.topic) &&
+    (ignore === 'tag' || !state.tag || getArticleTagKeys(article).includes(state.tag)) &&
+    (ignore === 'author' || !state.author || (article.author || 'Anonim') === state.author) &&
+    (ignore === 'archive' || !state.archive || (article.date || '').startsWith(state.archive)) &&
+    (ignore === 'shelf' || !state.shelf || isOnShelf(article.id, state.shelf))
+  );
+}
+
+/**
+ * Sort articles; "relevance" keeps search order when there is a query
+ */
+function sortArticles(articles, sort, { hasQuery = false, readingTimes = new Map() } = {}) {
+  const byNewest = (a, b) => (b.date || '').localeCompare(a.date || '');
+  const sorted = [...articles];
+
+  switch (sort) {
+    case 'relevance':
+      return hasQuery ? sorted : sorted.sort(byNewest);
+    case 'oldest':
+      return sorted.sort((a, b) => -byNewest(a, b));
+    case 'title':
+      return sorted.sort((a, b) =>
+        (a.title || '').localeCompare(b.title || '', 'id', { sensitivity: 'base' })
+      );
+    case 'reading':
+      return sorted.sort((a, b) =>
+        (readingTimes.get(a.id) || 0) - (readingTimes.get(b.id) || 0) || byNewest(a, b)
+      );
+    case 'newest':
+    default:
+      return sorted.sort(byNewest);
+  }
+}
+
+/**
+ * Count how many articles each facet value would yield,
+ * given the other active filters -> { topic, tag, author, archive, shelf } (Map value -> count)
+ */
+function getFacetCounts(articles, state) {
+  const counts = { topic: new Map(), tag: new Map(), author: new Map(), archive: new Map(), shelf: new Map() };
+  const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  articles.forEach(article => {
+    if (matchesListFilters(article, state, 'topic')) {
+      increment(counts.topic, 'all');
+      increment(counts.topic, article.topic);
+    }
+
+    if (matchesListFilters(article, state, 'tag')) {
+      getArticleTagKeys(article).forEach(key => increment(counts.tag, key));
+    }
+
+    if (matchesListFilters(article, state, 'author')) {
+      increment(counts.author, '');
+      increment(counts.author, article.author || 'Anonim');
+    }
+
+    if (matchesListFilters(article, state, 'archive') && article.date) {
+      increment(counts.archive, '');
+      increment(counts.archive, article.date.slice(0, 4));
+      increment(counts.archive, article.date.slice(0, 7));
+    }
+
+    if (matchesListFilters(article, state, 'shelf')) {
+      LIBRARY_SHELVES
+        .filter(shelf => isOnShelf(article.id, shelf))
+        .forEach(shelf => increment(counts.shelf, shelf));
+    }
+  });
+
+  return counts;
+}
+
+// ==========================================
+// NOT FOUND & REDIRECTS
+// ==========================================
+
+/**
+ * Find an article by id, falling back to renamed slugs (aliases)
+ * -> { article, viaAlias }
+ */
+function resolveArticle(articles, id) {
+  if (!id) return { article: null, viaAlias: false };
+
+  const article = articles.find(a => a.id === id);
+  if (article) return { article, viaAlias: false };
+
+  const aliased = articles.find(a => Array.isArray(a.aliases) && a.aliases.includes(id));
+  return { article: aliased || null, viaAlias: Boolean(aliased) };
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1, // deletion
+        current[j - 1] + 1, // insertion
+        previous[j - 1] + cost // substitution
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Sort articles newest first (ISO dates compare as strings)
+ */
+function sortByNewest(articles) {
+  return [...articles].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+}
+
+/**
+ * Suggestions for a missing id:
+ * - closest: ids/aliases dengan edit distance terkecil (atau mengandung id yang dicari)
+ * - recent: artikel terbaru dari topik yang sama dengan saran terdekat
+ */
+function getNotFoundSuggestions(articles, requestedId, limit = 3) {
+  const wanted = (requestedId || '').toLowerCase().trim();
+
+  const closest = wanted
+    ? articles
+      .map(article => {
+        const slugs = [article.id, ...(Array.isArray(article.aliases) ? article.aliases : [])];
+        const distance = Math.min(...slugs.map(slug =>
+          wanted.length >= 3 && (slug.includes(wanted) || wanted.includes(slug))
+            ? 0
+            : editDistance(wanted, slug)
+        ));
+        return { article, distance };
+      })
+      // Terlalu jauh (> 40% panjang id) = bukan typo
+      .filter(({ distance }) => distance <= Math.max(2, Math.ceil(wanted.length * 0.4)))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit)
+      .map(({ article }) => article)
+    : [];
+
+  const topic = closest[0]?.topic;
+  const recent = sortByNewest(articles)
+    .filter(article => !topic || article.topic === topic)
+    .filter(article => !closest.includes(article))
+    .slice(0, limit);
+
+  return { closest, recent, topic: topic || null };
+}
+
+export {
+  loadArticles,
+  loadArticleRecords,
+  getEmbeddedArticles,
+  getCachedData,
+  setCachedData,
+  clearCache,
+  ARTICLE_SCHEMA,
+  isValidISODate,
+  isValidCoverURL,
+  validateArticle,
+  validateArticles,
+  formatValidationReport,
+  getPublishTime,
+  getArticleStatus,
+  isPublished,
+  getArticleTerms,
+  daysBetween,
+  getRelatedArticles,
+  getAdjacentArticles,
+  getTopics,
+  getTagKey,
+  getArticleTagKeys,
+  getTags,
+  getTagURL,
+  getArticleSeries,
+  LIBRARY_FORMAT,
+  LIBRARY_VERSION,
+  LIBRARY_SHELVES,
+  createLibrary,
+  normalizeLibrary,
+  mergeLibraries,
+  getLibrary,
+  saveLibrary,
+  clearLibraryCache,
+  isBookmarked,
+  toggleBookmark,
+  getReadingEntry,
+  saveReadingProgress,
+  isOnShelf,
+  sortByLastRead,
+  parseLibraryExport,
+  LIST_STATE_DEFAULTS,
+  LIST_FILTER_KEYS,
+  readListState,
+  writeListState,
+  matchesListFilters,
+  sortArticles,
+  getFacetCounts,
+  resolveArticle,
+  editDistance,
+  sortByNewest,
+  getNotFoundSuggestions
+};
@@ -0,0 +1,609 @@
+/**
+ * PPS Article System - Internationalization
+ * Pajajaran Physical Society
+ *
+ * Bahasa Indonesia (default) dan English.
+ * - STRINGS: semua teks UI di modul assets/js/ + halaman HTML (data-i18n)
+ * - translate(): teks dengan placeholder {nama}; key yang belum diterjemahkan
+ *   jatuh ke Bahasa Indonesia
+ * - localizeArticle(): pakai `translations.<lang>` artikel kalau ada,
+ *   kalau tidak tetap versi Indonesia
+ *
+ * Browser & Node: import { … } from './i18n.js'
+ */
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const DEFAULT_LANGUAGE = 'id';
+
+// kode bahasa -> { locale untuk Intl, og:locale, nama di switcher }
+const LANGUAGES = {
+  id: { locale: 'id-ID', ogLocale: 'id_ID', name: 'Bahasa Indonesia' },
+  en: { locale: 'en-GB', ogLocale: 'en_US', name: 'English' }
+};
+
+// Field artikel yang boleh diterjemahkan (translations.<lang>.<field>)
+const TRANSLATABLE_FIELDS = ['title', 'excerpt', 'coverAlt', 'content'];
+
+// ==========================================
+// STRINGS
+// ==========================================
+
+const plural = (count, one, other) => `${count} ${count === 1 ? one : other}`;
+
+const STRINGS = {
+  id: {
+    // Halaman & meta
+    'page.listTitle': 'Artikel',
+    'page.listDescription': 'Kumpulan artikel tentang fisika dan sains dari Pajajaran Physical Society',
+
+    // Navigasi & footer
+    'nav.search': 'Cari artikel...',
+    'nav.searchLabel': 'Cari artikel',
+    'lang.label': 'Bahasa',
+    'theme.label': 'Tema: {theme} (klik untuk ganti)',
+    'theme.system': 'ikuti sistem',
+    'theme.light': 'terang',
+    'theme.dark': 'gelap',
+    'footer.articles': 'Artikel',
+    'footer.about': 'Tentang Kami',
+    'footer.content': 'Konten',
+    'footer.news': 'Berita',
+    'footer.subscribe': 'Langganan',
+    'footer.activity': 'Aktivitas',
+    'footer.follow': 'IKUTI KAMI',
+    'footer.followLabel': 'Ikuti Pajajaran Physical Society di media sosial',
+
+    // Halaman list
+    'list.kicker': 'ARTIKEL',
+    'list.heading': 'Kumpulan Artikel',
+    'list.intro': 'Jelajahi berbagai artikel menarik tentang fisika, sains, dan teknologi dari komunitas Pajajaran Physical Society.',
+    'list.chooseTopic': 'PILIH TOPIK',
+    'list.topicFilter': 'Filter artikel berdasarkan topik',
+    'list.topicAll': 'Tampilkan semua artikel',
+    'list.topicChip': 'Filter artikel {topic}',
+    'list.toolbar': 'Urutkan dan saring artikel',
+    'list.sort': 'Urutkan',
+    'list.sortRelevance': 'Paling sesuai',
+    'list.sortNewest': 'Terbaru',
+    'list.sortOldest': 'Terlama',
+    'list.sortTitle': 'Judul A–Z',
+    'list.sortReading': 'Waktu baca tersingkat',
+    'list.author': 'Penulis',
+    'list.archive': 'Arsip',
+    'list.cards': 'Daftar artikel',
+    'list.count': ({ count }) => `${count} artikel`,
+    'list.found': ({ count }) => `${count} artikel ditemukan`,
+    'list.foundPaged': ({ count, page, total }) => `${count} artikel ditemukan, halaman ${page} dari ${total}`,
+    'list.pager': 'Navigasi halaman artikel',
+
+    // Tag & seri
+    'page.tagTitle': 'Tag #{tag}',
+    'tags.title': 'Tag',
+    'tags.label': 'Filter artikel berdasarkan tag',
+    'tags.item': ({ tag, count }) => `#${tag}, ${count} artikel`,
+    'tags.active': 'Menampilkan artikel dengan tag #{tag}',
+    'tags.clear': 'Hapus filter tag',
+    'series.label': 'Seri: {name}',
+    'series.nav': 'Bagian lain dari seri {name}',
+    'series.part': 'Bagian {part} dari {total}',
+    'series.previous': '← Bagian sebelumnya',
+    'series.next': 'Bagian berikutnya →',
+
+    // Topik (label chip; topik baru tanpa label tampil apa adanya)
+    'topic.all': 'Semua',
+    'topic.Konten': 'Konten',
+    'topic.Berita': 'Berita',
+    'topic.Edukasi': 'Edukasi',
+
+    // Facet
+    'facet.allAuthors': 'Semua penulis',
+    'facet.allTime': 'Semua waktu',
+    'facet.allYear': 'Semua {year}',
+
+    // Status
+    'state.loading': 'Memuat artikel...',
+    'state.error': 'Error',
+    'state.reload': 'Muat Ulang',
+    'state.empty': 'Tidak ada artikel ditemukan',
+    'state.emptyHint': 'Coba ganti filter atau kata kunci pencarian.',
+    'error.loadFailed': 'Gagal memuat data: {message}',
+    'error.noArticles': 'Tidak ada artikel tersedia. Periksa file data/articles.txt',
+    'error.offlineUnsupported': 'Browser tidak mendukung penyimpanan offline',
+
+    // Kartu & artikel
+    'article.anonymous': 'Anonim',
+    'article.read': 'Baca artikel {title}',
+    'article.header': 'Header artikel',
+    'article.kicker': 'ARTIKEL',
+    'article.kickerTopic': 'TOPIK: {topic}',
+    'article.coverAlt': 'Cover {title}',
+    'article.noContent': 'Konten tidak tersedia.',
+    'article.readingTime': ({ minutes }) => `${minutes} menit baca`,
+    'article.untranslated': 'Artikel ini belum diterjemahkan, ditampilkan versi aslinya.',
+    'article.aside': 'Informasi tambahan',
+    'article.info': 'Info Artikel',
+    'article.topic': 'Topik:',
+    'article.tags': 'Tag:',
+    'article.date': 'Tanggal:',
+    'article.author': 'Penulis:',
+    'article.readingTimeLabel': 'Waktu Baca:',
+    'article.minutes': ({ minutes }) => `${minutes} menit`,
+    'article.navigation': 'Navigasi',
+    'article.back': '← Kembali ke daftar',
+    'article.print': '🖨️ Cetak artikel',
+    'article.share': '📤 Bagikan',
+    'article.saveOffline': '📥 Simpan untuk dibaca offline',
+    'article.related': 'Artikel Terkait',
+    'article.previous': '← Sebelumnya',
+    'article.next': 'Berikutnya →',
+    'article.adjacent': 'Artikel sebelumnya dan berikutnya',
+
+    // Kenyamanan membaca (panel Tampilan Baca, bar progres, dengarkan)
+    'reader.title': 'Tampilan Baca',
+    'reader.fontSize': 'Ukuran huruf',
+    'reader.smaller': 'Perkecil huruf',
+    'reader.larger': 'Perbesar huruf',
+    'reader.width': 'Lebar baris',
+    'reader.width.narrow': 'Sempit',
+    'reader.width.medium': 'Sedang',
+    'reader.width.wide': 'Lebar',
+    'reader.font': 'Jenis huruf',
+    'reader.font.sans': 'Sans',
+    'reader.font.serif': 'Serif',
+    'reader.focus': '📖 Mode baca',
+    'reader.focusExit': '✕ Keluar mode baca',
+    'reader.progress': 'Progres membaca',
+    'reader.remaining': ({ minutes }) => `sisa ${minutes} menit`,
+    'reader.finished': 'selesai dibaca',
+    'listen.label': 'Dengarkan artikel',
+    'listen.play': '🔊 Dengarkan',
+    'listen.pause': '⏸ Jeda',
+    'listen.resume': '▶ Lanjutkan',
+    'listen.stop': 'Berhenti membacakan',
+
+    // Daftar isi & anchor heading
+    'toc.title': 'Daftar Isi',
+    'toc.label': 'Daftar isi',
+    'anchor.label': 'Salin tautan ke bagian {title}',
+    'anchor.copy': 'Salin tautan',
+    'anchor.copied': 'Tautan disalin',
+
+    // Pagination
+    'pager.page': 'Halaman {page}',
+    'pager.previous': 'Halaman sebelumnya',
+    'pager.next': 'Halaman berikutnya',
+
+    // Draft, terjadwal & pratinjau
+    'status.draft': 'DRAFT',
+    'status.scheduled': 'TERJADWAL',
+    'status.draftNote': 'Artikel ini masih draft dan belum tampil untuk pembaca.',
+    'status.scheduledNote': 'Artikel ini terjadwal terbit {date} dan belum tampil untuk pembaca.',
+    'preview.label': 'PRATINJAU',
+    'preview.banner': 'Draft dan artikel terjadwal ikut ditampilkan.',
+    'preview.exit': 'Keluar dari pratinjau',
+
+    // Offline
+    'offline.banner': 'Kamu sedang offline. Menampilkan artikel yang tersimpan.',
+    'offline.saving': '⏳ Menyimpan...',
+    'offline.saved': '✅ Tersimpan untuk offline',
+    'offline.failed': '⚠️ Gagal menyimpan, coba lagi',
+
+    // Koleksi pribadi: artikel tersimpan & riwayat baca
+    'library.label': 'Koleksi pribadi',
+    'library.saved': '★ Tersimpan',
+    'library.history': '🕘 Terakhir dibaca',
+    'library.export': 'Ekspor JSON',
+    'library.import': 'Impor JSON',
+    'library.imported': ({ bookmarks, history }) =>
+      `Diimpor: ${bookmarks} artikel tersimpan, ${history} riwayat baca.`,
+    'library.importFailed': 'Gagal mengimpor: {message}',
+    'library.invalidFile': 'file ini bukan ekspor koleksi PPS',
+    'bookmark.label': 'Simpan artikel {title}',
+    'bookmark.add': '☆ Simpan artikel',
+    'bookmark.added': '★ Artikel tersimpan',
+    'card.progress': ({ percent }) => `Sudah dibaca ${percent}%`,
+
+    // Rumus (math.js)
+    'math.error': 'Rumus tidak bisa ditampilkan: {message}',
+    'math.refNotFound': 'Persamaan "{key}" tidak ditemukan',
+
+    // Widget interaktif (widgets.js)
+    'widget.invalid': 'Masukkan nilai positif',
+    'widget.resistor.title': 'Dekoder Gelang Warna Resistor',
+    'widget.resistor.band': 'Gelang {number} (angka)',
+    'widget.resistor.multiplier': 'Pengali',
+    'widget.resistor.tolerance': 'Toleransi',
+    'widget.resistor.resistance': 'Resistansi',
+    'widget.resistor.range': 'Rentang',
+    'widget.color.hitam': 'hitam',
+    'widget.color.coklat': 'coklat',
+    'widget.color.merah': 'merah',
+    'widget.color.oranye': 'oranye',
+    'widget.color.kuning': 'kuning',
+    'widget.color.hijau': 'hijau',
+    'widget.color.biru': 'biru',
+    'widget.color.ungu': 'ungu',
+    'widget.color.abu': 'abu-abu',
+    'widget.color.putih': 'putih',
+    'widget.color.emas': 'emas',
+    'widget.color.perak': 'perak',
+    'widget.ohm.title': 'Kalkulator Hukum Ohm',
+    'widget.ohm.voltage': 'Tegangan (V)',
+    'widget.ohm.current': 'Arus (I)',
+    'widget.ohm.resistance': 'Hambatan (R)',
+    'widget.ohm.solve': 'Hitung',
+    'widget.ohm.solveVoltage': 'Tegangan: V = I × R',
+    'widget.ohm.solveCurrent': 'Arus: I = V / R',
+    'widget.ohm.solveResistance': 'Hambatan: R = V / I',
+    'widget.ohm.result': 'Hasil',
+    'widget.ohm.power': 'Daya (P = V × I)',
+    'widget.divider.title': 'Kalkulator Pembagi Tegangan',
+    'widget.divider.vin': 'Tegangan masuk (Vin)',
+    'widget.divider.r1': 'R1 (atas)',
+    'widget.divider.r2': 'R2 (bawah)',
+    'widget.divider.current': 'Arus',
+    'widget.divider.power': 'Daya di R1 / R2',
+    'widget.projectile.title': 'Simulasi Gerak Parabola',
+    'widget.projectile.velocity': 'Kecepatan awal (v₀)',
+    'widget.projectile.angle': 'Sudut elevasi (θ)',
+    'widget.projectile.height': 'Tinggi awal (h₀)',
+    'widget.projectile.gravity': 'Gravitasi (g)',
+    'widget.projectile.chart': 'Grafik lintasan gerak parabola',
+    'widget.projectile.path': 'Lintasan',
+    'widget.projectile.invalid': 'Masukkan nilai yang valid (0° ≤ θ ≤ 90°)',
+    'widget.projectile.flightTime': 'Waktu terbang',
+    'widget.projectile.range': 'Jarak horizontal',
+    'widget.projectile.maxHeight': 'Tinggi maksimum',
+    'widget.pv.title': 'Estimasi Energi Panel Surya',
+    'widget.pv.power': 'Daya per panel',
+    'widget.pv.panels': 'Jumlah panel',
+    'widget.pv.panelsUnit': 'buah',
+    'widget.pv.sunHours': 'Jam matahari puncak',
+    'widget.pv.sunHoursUnit': 'jam/hari',
+    'widget.pv.efficiency': 'Efisiensi sistem',
+    'widget.pv.tariff': 'Tarif listrik',
+    'widget.pv.energy': 'Energi',
+    'widget.pv.capacity': 'Kapasitas terpasang',
+    'widget.pv.daily': 'Energi per hari',
+    'widget.pv.monthly': 'Energi per bulan (30 hari)',
+    'widget.pv.yearly': 'Energi per tahun',
+    'widget.pv.savings': 'Perkiraan hemat per bulan',
+    'widget.pv.note': 'Perkiraan kasar: Energi = kapasitas × jam matahari puncak × efisiensi. ' +
+      'Hasil nyata tergantung cuaca, arah panel, dan bayangan.',
+
+    // 404
+    'notFound.kicker': '404 • ARTIKEL TIDAK DITEMUKAN',
+    'notFound.title': 'Artikel tidak ditemukan',
+    'notFound.message': 'Artikel dengan ID "{id}" tidak ada atau sudah dipindahkan.',
+    'notFound.noSelection': 'Tidak ada artikel yang dipilih.',
+    'notFound.closest': 'Mungkin maksud Anda',
+    'notFound.recentTopic': 'Artikel {topic} terbaru',
+    'notFound.recent': 'Artikel terbaru'
+  },
+
+  en: {
+    'page.listTitle': 'Articles',
+    'page.listDescription': 'Articles about physics and science from Pajajaran Physical Society',
+
+    'nav.search': 'Search articles...',
+    'nav.searchLabel': 'Search articles',
+    'lang.label': 'Language',
+    'theme.label': 'Theme: {theme} (click to change)',
+    'theme.system': 'system',
+    'theme.light': 'light',
+    'theme.dark': 'dark',
+    'footer.articles': 'Articles',
+    'footer.about': 'About Us',
+    'footer.content': 'Content',
+    'footer.news': 'News',
+    'footer.subscribe': 'Subscribe',
+    'footer.activity': 'Activities',
+    'footer.follow': 'FOLLOW US',
+    'footer.followLabel': 'Follow Pajajaran Physical Society on social media',
+
+    'list.kicker': 'ARTICLES',
+    'list.heading': 'Article Collection',
+    'list.intro': 'Explore articles on physics, science and technology from the Pajajaran Physical Society community.',
+    'list.chooseTopic': 'CHOOSE A TOPIC',
+    'list.topicFilter': 'Filter articles by topic',
+    'list.topicAll': 'Show all articles',
+    'list.topicChip': 'Filter {topic} articles',
+    'list.toolbar': 'Sort and filter articles',
+    'list.sort': 'Sort by',
+    'list.sortRelevance': 'Best match',
+    'list.sortNewest': 'Newest',
+    'list.sortOldest': 'Oldest',
+    'list.sortTitle': 'Title A–Z',
+    'list.sortReading': 'Shortest read',
+    'list.author': 'Author',
+    'list.archive': 'Archive',
+    'list.cards': 'Article list',
+    'list.count': ({ count }) => plural(count, 'article', 'articles'),
+    'list.found': ({ count }) => `${plural(count, 'article', 'articles')} found`,
+    'list.foundPaged': ({ count, page, total }) =>
+      `${plural(count, 'article', 'articles')} found, page ${page} of ${total}`,
+    'list.pager': 'Article pagination',
+
+    'page.tagTitle': 'Tag #{tag}',
+    'tags.title': 'Tags',
+    'tags.label': 'Filter articles by tag',
+    'tags.item': ({ tag, count }) => `#${tag}, ${plural(count, 'article', 'articles')}`,
+    'tags.active': 'Showing articles tagged #{tag}',
+    'tags.clear': 'Clear tag filter',
+    'series.label': 'Series: {name}',
+    'series.nav': 'Other parts of the {name} series',
+    'series.part': 'Part {part} of {total}',
+    'series.previous': '← Previous part',
+    'series.next': 'Next part →',
+
+    'topic.all': 'All',
+    'topic.Konten': 'Content',
+    'topic.Berita': 'News',
+    'topic.Edukasi': 'Education',
+
+    'facet.allAuthors': 'All authors',
+    'facet.allTime': 'All time',
+    'facet.allYear': 'All of {year}',
+
+    'state.loading': 'Loading articles...',
+    'state.error': 'Error',
+    'state.reload': 'Reload',
+    'state.empty': 'No articles found',
+    'state.emptyHint': 'Try another filter or search term.',
+    'error.loadFailed': 'Could not load data: {message}',
+    'error.noArticles': 'No articles available. Check data/articles.txt',
+    'error.offlineUnsupported': 'This browser does not support offline storage',
+
+    'article.anonymous': 'Anonymous',
+    'article.read': 'Read article {title}',
+    'article.header': 'Article header',
+    'article.kicker': 'ARTICLE',
+    'article.kickerTopic': 'TOPIC: {topic}',
+    'article.coverAlt': 'Cover of {title}',
+    'article.noContent': 'Content not available.',
+    'article.readingTime': ({ minutes }) => `${minutes} min read`,
+    'article.untranslated': 'This article is not available in English yet, showing the Indonesian version.',
+    'article.aside': 'Additional information',
+    'article.info': 'Article Info',
+    'article.topic': 'Topic:',
+    'article.tags': 'Tags:',
+    'article.date': 'Date:',
+    'article.author': 'Author:',
+    'article.readingTimeLabel': 'Reading Time:',
+    'article.minutes': ({ minutes }) => `${minutes} min`,
+    'article.navigation': 'Navigation',
+    'article.back': '← Back to list',
+    'article.print': '🖨️ Print article',
+    'article.share': '📤 Share',
+    'article.saveOffline': '📥 Save for offline reading',
+    'article.related': 'Related Articles',
+    'article.previous': '← Previous',
+    'article.next': 'Next →',
+    'article.adjacent': 'Previous and next articles',
+
+    'reader.title': 'Reading View',
+    'reader.fontSize': 'Text size',
+    'reader.smaller': 'Smaller text',
+    'reader.larger': 'Larger text',
+    'reader.width': 'Line width',
+    'reader.width.narrow': 'Narrow',
+    'reader.width.medium': 'Medium',
+    'reader.width.wide': 'Wide',
+    'reader.font': 'Typeface',
+    'reader.font.sans': 'Sans',
+    'reader.font.serif': 'Serif',
+    'reader.focus': '📖 Reading mode',
+    'reader.focusExit': '✕ Exit reading mode',
+    'reader.progress': 'Reading progress',
+    'reader.remaining': ({ minutes }) => `${minutes} min left`,
+    'reader.finished': 'finished',
+    'listen.label': 'Listen to the article',
+    'listen.play': '🔊 Listen',
+    'listen.pause': '⏸ Pause',
+    'listen.resume': '▶ Resume',
+    'listen.stop': 'Stop reading aloud',
+
+    'toc.title': 'Contents',
+    'toc.label': 'Table of contents',
+    'anchor.label': 'Copy link to section {title}',
+    'anchor.copy': 'Copy link',
+    'anchor.copied': 'Link copied',
+
+    'pager.page': 'Page {page}',
+    'pager.previous': 'Previous page',
+    'pager.next': 'Next page',
+
+    'status.draft': 'DRAFT',
+    'status.scheduled': 'SCHEDULED',
+    'status.draftNote': 'This article is a draft and is not visible to readers yet.',
+    'status.scheduledNote': 'This article is scheduled for {date} and is not visible to readers yet.',
+    'preview.label': 'PREVIEW',
+    'preview.banner': 'Drafts and scheduled articles are shown.',
+    'preview.exit': 'Exit preview',
+
+    'offline.banner': 'You are offline. Showing saved articles.',
+    'offline.saving': '⏳ Saving...',
+    'offline.saved': '✅ Saved for offline',
+    'offline.failed': '⚠️ Could not save, try again',
+
+    'library.label': 'My library',
+    'library.saved': '★ Saved',
+    'library.history': '🕘 Recently read',
+    'library.export': 'Export JSON',
+    'library.import': 'Import JSON',
+    'library.imported': ({ bookmarks, history }) =>
+      `Imported ${plural(bookmarks, 'bookmark', 'bookmarks')} and ${plural(history, 'history entry', 'history entries')}.`,
+    'library.importFailed': 'Import failed: {message}',
+    'library.invalidFile': 'this is not a PPS library export',
+    'bookmark.label': 'Bookmark {title}',
+    'bookmark.add': '☆ Bookmark article',
+    'bookmark.added': '★ Bookmarked',
+    'card.progress': ({ percent }) => `${percent}% read`,
+
+    'math.error': 'Formula could not be displayed: {message}',
+    'math.refNotFound': 'Equation "{key}" not found',
+
+    'widget.invalid': 'Enter a positive value',
+    'widget.resistor.title': 'Resistor Colour Code Decoder',
+    'widget.resistor.band': 'Band {number} (digit)',
+    'widget.resistor.multiplier': 'Multiplier',
+    'widget.resistor.tolerance': 'Tolerance',
+    'widget.resistor.resistance': 'Resistance',
+    'widget.resistor.range': 'Range',
+    'widget.color.hitam': 'black',
+    'widget.color.coklat': 'brown',
+    'widget.color.merah': 'red',
+    'widget.color.oranye': 'orange',
+    'widget.color.kuning': 'yellow',
+    'widget.color.hijau': 'green',
+    'widget.color.biru': 'blue',
+    'widget.color.ungu': 'violet',
+    'widget.color.abu': 'grey',
+    'widget.color.putih': 'white',
+    'widget.color.emas': 'gold',
+    'widget.color.perak': 'silver',
+    'widget.ohm.title': "Ohm's Law Calculator",
+    'widget.ohm.voltage': 'Voltage (V)',
+    'widget.ohm.current': 'Current (I)',
+    'widget.ohm.resistance': 'Resistance (R)',
+    'widget.ohm.solve': 'Solve for',
+    'widget.ohm.solveVoltage': 'Voltage: V = I × R',
+    'widget.ohm.solveCurrent': 'Current: I = V / R',
+    'widget.ohm.solveResistance': 'Resistance: R = V / I',
+    'widget.ohm.result': 'Result',
+    'widget.ohm.power': 'Power (P = V × I)',
+    'widget.divider.title': 'Voltage Divider Calculator',
+    'widget.divider.vin': 'Input voltage (Vin)',
+    'widget.divider.r1': 'R1 (top)',
+    'widget.divider.r2': 'R2 (bottom)',
+    'widget.divider.current': 'Current',
+    'widget.divider.power': 'Power in R1 / R2',
+    'widget.projectile.title': 'Projectile Motion Simulation',
+    'widget.projectile.velocity': 'Initial speed (v₀)',
+    'widget.projectile.angle': 'Launch angle (θ)',
+    'widget.projectile.height': 'Initial height (h₀)',
+    'widget.projectile.gravity': 'Gravity (g)',
+    'widget.projectile.chart': 'Projectile trajectory chart',
+    'widget.projectile.path': 'Trajectory',
+    'widget.projectile.invalid': 'Enter valid values (0° ≤ θ ≤ 90°)',
+    'widget.projectile.flightTime': 'Time of flight',
+    'widget.projectile.range': 'Horizontal range',
+    'widget.projectile.maxHeight': 'Maximum height',
+    'widget.pv.title': 'Solar Panel Energy Estimate',
+    'widget.pv.power': 'Power per panel',
+    'widget.pv.panels': 'Number of panels',
+    'widget.pv.panelsUnit': 'pcs',
+    'widget.pv.sunHours': 'Peak sun hours',
+    'widget.pv.sunHoursUnit': 'h/day',
+    'widget.pv.efficiency': 'System efficiency',
+    'widget.pv.tariff': 'Electricity tariff',
+    'widget.pv.energy': 'Energy',
+    'widget.pv.capacity': 'Installed capacity',
+    'widget.pv.daily': 'Energy per day',
+    'widget.pv.monthly': 'Energy per month (30 days)',
+    'widget.pv.yearly': 'Energy per year',
+    'widget.pv.savings': 'Estimated monthly savings',
+    'widget.pv.note': 'Rough estimate: energy = installed capacity × peak sun hours × efficiency. ' +
+      'Actual output depends on weather, panel orientation and shading.',
+
+    'notFound.kicker': '404 • ARTICLE NOT FOUND',
+    'notFound.title': 'Article not found',
+    'notFound.message': 'The article with ID "{id}" does not exist or has been moved.',
+    'notFound.noSelection': 'No article selected.',
+    'notFound.closest': 'Did you mean',
+    'notFound.recentTopic': 'Latest {topic} articles',
+    'notFound.recent': 'Latest articles'
+  }
+};
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Supported language code, or null ("EN" -> "en", "fr" -> null)
+ */
+function normalizeLanguage(value) {
+  const code = String(value || '').trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code) ? code : null;
+}
+
+/**
+ * First supported language among the candidates (?lang=, localStorage, ...)
+ */
+function resolveLanguage(...candidates) {
+  for (const candidate of candidates) {
+    const language = normalizeLanguage(candidate);
+    if (language) return language;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+/**
+ * UI string for a key; {name} placeholders filled from params
+ * (plain text: escape before putting into HTML)
+ */
+function translate(language, key, params = {}) {
+  const table = STRINGS[language] || STRINGS[DEFAULT_LANGUAGE];
+  const value = key in table ? table[key] : STRINGS[DEFAULT_LANGUAGE][key];
+
+  if (value === undefined) return key;
+  if (typeof value === 'function') return value(params);
+
+  return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Intl locale for a language ("en" -> "en-GB")
+ */
+function getLocale(language) {
+  return (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).locale;
+}
+
+/**
+ * Languages an article can be read in (Indonesian first)
+ */
+function getArticleLanguages(article) {
+  const translated = Object.keys(article.translations || {})
+    .filter(language => language !== DEFAULT_LANGUAGE && normalizeLanguage(language));
+  return [DEFAULT_LANGUAGE, ...translated];
+}
+
+/**
+ * Article in the requested language -> copy with `lang` set to the
+ * language actually used (DEFAULT_LANGUAGE when there is no translation)
+ */
+function localizeArticle(article, language) {
+  const translation = language !== DEFAULT_LANGUAGE && article.translations
+    ? article.translations[language]
+    : null;
+
+  if (!translation || !translation.title) {
+    return { ...article, lang: DEFAULT_LANGUAGE };
+  }
+
+  const localized = { ...article, lang: language };
+  TRANSLATABLE_FIELDS.forEach(field => {
+    if (typeof translation[field] === 'string' && translation[field].trim() !== '') {
+      localized[field] = translation[field];
+    }
+  });
+
+  return localized;
+}
+
+export {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  TRANSLATABLE_FIELDS,
+  STRINGS,
+  normalizeLanguage,
+  resolveLanguage,
+  translate,
+  getLocale,
+  getArticleLanguages,
+  localizeArticle
+};
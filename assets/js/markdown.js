@@ -0,0 +1,561 @@
+/**
+ * PPS Article System - Markdown & Front Matter
+ * Pajajaran Physical Society
+ *
+ * Markdown (subset CommonMark + tabel GFM) -> HTML untuk `content` artikel.
+ * - Heading, paragraf, blockquote, list (boleh bersarang), garis (---)
+ * - Gambar (gambar sendirian di satu paragraf jadi <figure>), link, tabel,
+ *   fenced code (``` / ~~~), inline code, tebal/miring/coret
+ * - Blok HTML mentah diteruskan apa adanya (tetap lewat sanitizer saat render)
+ * - Rumus $...$ / $$...$$ tidak diubah (dirender math.js di halaman)
+ *
+ * Front matter YAML sederhana: `key: value`, string berkutip, list
+ * `[a, b]` atau baris `- item`, object satu tingkat (baris `  sub: value`
+ * di bawah `key:`), angka dan true/false. stringifyFrontMatter() menulis
+ * balik dalam bentuk yang sama (dipakai editor admin, scripts/dev-server.js).
+ *
+ * Browser & Node: import { … } from './markdown.js'
+ */
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+// Judul artikel sudah <h1>, jadi heading di konten dimulai dari <h2>
+const MIN_HEADING_LEVEL = 2;
+
+// Baris yang diawali tag ini dianggap blok HTML mentah
+const HTML_BLOCK_TAGS = [
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl',
+  'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+  'iframe', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+];
+
+const PATTERNS = {
+  blank: /^\s*$/,
+  fence: /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)\s*$/,
+  heading: /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/,
+  rule: /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/,
+  quote: /^ {0,3}>\s?/,
+  listItem: /^( {0,3})([-*+]|\d{1,9}[.)])(?:(\s+)(.*))?$/,
+  tableRule: /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/,
+  htmlBlock: new RegExp(`^ {0,3}(?:<!--|</?(?:${HTML_BLOCK_TAGS.join('|')})(?:[\\s/>]|$))`, 'i')
+};
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Escape text for HTML; existing entities (&amp; &#39; ...) are kept
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/&(?!#?[a-z0-9]+;)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape everything (code blocks show text exactly as written)
+ */
+function escapeCode(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Number of leading spaces (tab = 4)
+ */
+function indentOf(line) {
+  const match = /^[ \t]*/.exec(line)[0];
+  return match.replace(/\t/g, '    ').length;
+}
+
+/**
+ * Remove up to `count` leading spaces
+ */
+function outdent(line, count) {
+  const expanded = line.replace(/^\t+/, tabs => '    '.repeat(tabs.length));
+  return expanded.slice(Math.min(count, indentOf(expanded)));
+}
+
+/**
+ * Line starts a block that interrupts a paragraph
+ */
+function interruptsParagraph(line) {
+  return (
+    PATTERNS.fence.test(line) ||
+    PATTERNS.heading.test(line) ||
+    PATTERNS.rule.test(line) ||
+    PATTERNS.quote.test(line) ||
+    PATTERNS.htmlBlock.test(line) ||
+    /^ {0,3}[-*+]\s+\S/.test(line)
+  );
+}
+
+// ==========================================
+// INLINE
+// ==========================================
+
+/**
+ * Render inline Markdown (code, links, images, emphasis, line breaks)
+ */
+function renderInline(text) {
+  // Potongan yang sudah jadi HTML disimpan dulu supaya tidak ikut diproses
+  const stash = [];
+  const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let output = String(text)
+    // Inline code
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+      keep(`<code>${escapeCode(code.trim())}</code>`))
+    // Rumus LaTeX ($...$, $$...$$) dibiarkan utuh untuk math.js
+    .replace(/\$\$[\s\S]+?\$\$|(?<![\\$])\$(?=[^\s$])(?:\\\$|[^$\n])*?[^\s\\]\$(?!\d)/g, math => keep(escapeText(math)))
+    // Backslash escape: \* \_ \[ ... (\$ -> &#36; supaya tidak dibaca sebagai rumus)
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~<>$])/g, (match, char) =>
+      keep(char === '$' ? '&#36;' : escapeCode(char)))
+    // Autolink <https://...>
+    .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (match, url) =>
+      keep(`<a href="${escapeText(url)}">${escapeText(url)}</a>`))
+    // Tag HTML inline dibiarkan (dibersihkan sanitizer saat render)
+    .replace(/<\/?[a-z][a-z0-9-]*(?:\s[^<>]*)?\/?>|<!--[\s\S]*?-->/gi, tag => keep(tag));
+
+  output = escapeText(output);
+
+  // Gambar: ![alt](src "judul")
+  output = output.replace(
+    /!\[([^\]]*)\]\(\s*([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g,
+    (match, alt, src, title) => keep(
+      `<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ''} loading="lazy">`
+    )
+  );
+
+  // Link: [teks](url "judul")
+  output = output.replace(
+    /\[((?:[^\]\\]|\\.)+)\]\(\s*([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g,
+    (match, label, href, title) => keep(
+      `<a href="${href}"${title ? ` title="${title}"` : ''}>${renderEmphasis(label)}</a>`
+    )
+  );
+
+  output = renderEmphasis(output)
+    // Hard line break: dua spasi atau backslash di akhir baris
+    .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+  // Isi stash bisa berisi placeholder lain (emphasis di dalam link)
+  while (/\u0000\d+\u0000/.test(output)) {
+    output = output.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+  }
+
+  return output;
+}
+
+/**
+ * **bold**, __bold__, *italic*, _italic_, ~~strike~~
+ */
+function renderEmphasis(text) {
+  return text
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+// ==========================================
+// BLOCKS
+// ==========================================
+
+/**
+ * Split a table row into cells: "| a | b |" -> ['a', 'b']
+ */
+function splitTableRow(line) {
+  const cells = [];
+  let current = '';
+  let inCode = false;
+
+  const row = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (char === '\\' && row[i + 1] === '|') {
+      current += '|';
+      i++;
+    } else if (char === '`') {
+      inCode = !inCode;
+      current += char;
+    } else if (char === '|' && !inCode) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  cells.push(current.trim());
+  return cells;
+}
+
+/**
+ * Render a GFM table (header row + separator + body rows)
+ */
+function renderTable(lines) {
+  const header = splitTableRow(lines[0]);
+  const rows = lines.slice(2).map(splitTableRow);
+
+  const cell = (tag, value) => `<${tag}>${renderInline(value || '')}</${tag}>`;
+
+  const head = `<thead><tr>${header.map(value => cell('th', value)).join('')}</tr></thead>`;
+  const body = rows.length
+    ? `<tbody>${rows.map(row =>
+      `<tr>${header.map((_, index) => cell('td', row[index])).join('')}</tr>`
+    ).join('')}</tbody>`
+    : '';
+
+  return `<table>${head}${body}</table>`;
+}
+
+/**
+ * Paragraph; an image on its own (with a title) becomes a figure
+ */
+function renderParagraph(lines, { tight = false } = {}) {
+  // Spasi di akhir baris dipertahankan (dua spasi = <br>)
+  const text = lines.map(line => line.replace(/^\s+/, '')).join('\n').replace(/\s+$/, '');
+
+  const figure = /^!\[([^\]]*)\]\(\s*([^\s)]+)\s+"(.*?)"\s*\)$/.exec(text);
+  if (figure && !tight) {
+    const [, , , caption] = figure;
+    const image = renderInline(text.replace(/\s+"(.*?)"\s*\)$/, ')'));
+    return `<figure>${image}<figcaption>${renderInline(caption)}</figcaption></figure>`;
+  }
+
+  const html = renderInline(text);
+  return tight ? html : `<p>${html}</p>`;
+}
+
+/**
+ * Collect one list (same marker type) starting at lines[start]
+ */
+function parseList(lines, start) {
+  const first = PATTERNS.listItem.exec(lines[start]);
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const match = PATTERNS.listItem.exec(lines[i]);
+    if (!match || /\d/.test(match[2]) !== ordered) break;
+
+    const contentIndent = match[1].length + match[2].length + (match[3] ? match[3].length : 1);
+    const itemLines = [match[4] || ''];
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (PATTERNS.blank.test(line)) {
+        // Baris kosong masih bagian item kalau baris berikutnya menjorok
+        const next = lines.slice(i + 1).find(l => !PATTERNS.blank.test(l));
+        if (next !== undefined && indentOf(next) >= contentIndent) {
+          itemLines.push('');
+          i++;
+          continue;
+        }
+        break;
+      }
+
+      if (indentOf(line) >= contentIndent) {
+        itemLines.push(outdent(line, contentIndent));
+      } else if (
+        !PATTERNS.listItem.test(line) &&
+        !interruptsParagraph(line) &&
+        !PATTERNS.blank.test(lines[i - 1])
+      ) {
+        // Lazy continuation: lanjutan paragraf tanpa indentasi
+        itemLines.push(line.trim());
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    if (itemLines.slice(0, -1).some(line => line === '')) loose = true;
+    items.push(itemLines);
+
+    // Baris kosong di antara item -> list "loose" (isi item pakai <p>)
+    if (i < lines.length && PATTERNS.blank.test(lines[i])) {
+      let next = i;
+      while (next < lines.length && PATTERNS.blank.test(lines[next])) next++;
+      const nextMatch = next < lines.length && PATTERNS.listItem.exec(lines[next]);
+      if (!nextMatch || /\d/.test(nextMatch[2]) !== ordered) break;
+      loose = true;
+      i = next;
+    }
+  }
+
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+
+  const html = `<${tag}${startAttr}>${items.map(itemLines =>
+    `<li>${renderBlocks(itemLines, { tight: !loose })}</li>`
+  ).join('')}</${tag}>`;
+
+  return { html, end: i };
+}
+
+/**
+ * Render Markdown lines into block HTML
+ */
+function renderBlocks(lines, { tight = false } = {}) {
+  const output = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (PATTERNS.blank.test(line)) {
+      i++;
+      continue;
+    }
+
+    // Fenced code
+    const fence = PATTERNS.fence.exec(line);
+    if (fence) {
+      const [, marker] = fence;
+      const indent = indentOf(line);
+      const code = [];
+      i++;
+      while (i < lines.length) {
+        const close = /^ {0,3}(`{3,}|~{3,})\s*$/.exec(lines[i]);
+        if (close && close[1][0] === marker[0] && close[1].length >= marker.length) break;
+        code.push(outdent(lines[i], indent));
+        i++;
+      }
+      i++;
+      output.push(`<pre><code>${escapeCode(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = PATTERNS.heading.exec(line);
+    if (heading) {
+      const level = Math.max(MIN_HEADING_LEVEL, heading[1].length);
+      output.push(`<h${level}>${renderInline(heading[2] || '')}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (PATTERNS.rule.test(line)) {
+      output.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (PATTERNS.quote.test(line)) {
+      const quoted = [];
+      while (i < lines.length && !PATTERNS.blank.test(lines[i])) {
+        if (!PATTERNS.quote.test(lines[i]) && interruptsParagraph(lines[i])) break;
+        quoted.push(lines[i].replace(PATTERNS.quote, ''));
+        i++;
+      }
+      const inner = renderBlocks(quoted);
+      // Satu paragraf saja -> tanpa <p> di dalam blockquote
+      const single = /^<p>((?:(?!<\/?p>)[\s\S])*)<\/p>$/.exec(inner);
+      output.push(`<blockquote>${single ? single[1] : inner}</blockquote>`);
+      continue;
+    }
+
+    if (PATTERNS.listItem.test(line) && PATTERNS.listItem.exec(line)[4] !== undefined) {
+      const list = parseList(lines, i);
+      output.push(list.html);
+      i = list.end;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && PATTERNS.tableRule.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const tableLines = [line, lines[i + 1]];
+      i += 2;
+      while (i < lines.length && !PATTERNS.blank.test(lines[i]) && lines[i].includes('|')) {
+        tableLines.push(lines[i]);
+        i++;
+      }
+      output.push(renderTable(tableLines));
+      continue;
+    }
+
+    if (PATTERNS.htmlBlock.test(line)) {
+      const block = [];
+      while (i < lines.length && !PATTERNS.blank.test(lines[i])) {
+        block.push(lines[i]);
+        i++;
+      }
+      output.push(block.join('\n'));
+      continue;
+    }
+
+    // Paragraf: sampai baris kosong atau blok lain
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && !PATTERNS.blank.test(lines[i]) && !interruptsParagraph(lines[i])) {
+      if (PATTERNS.tableRule.test(lines[i]) && lines[i].includes('-') && paragraph.length === 1 && paragraph[0].includes('|')) break;
+      paragraph.push(lines[i]);
+      i++;
+    }
+    output.push(renderParagraph(paragraph, { tight }));
+  }
+
+  return output.join(tight ? '\n' : '');
+}
+
+/**
+ * Markdown source -> HTML
+ */
+function renderMarkdown(markdown) {
+  const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+  return renderBlocks(lines);
+}
+
+// ==========================================
+// FRONT MATTER
+// ==========================================
+
+/**
+ * Parse one YAML scalar ("quoted", 'quoted', [a, b], number, boolean, plain)
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'")) {
+    return value.slice(1, value.endsWith("'") ? -1 : undefined).replace(/''/g, "'");
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    if (!inner) return [];
+    // Pisah di koma yang tidak berada di dalam kutip
+    return inner.match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g).map(parseScalar);
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (/^-?\d+(?:\.\d+)?$/.test(value)) return Number(value);
+
+  // Komentar di akhir baris: "nilai # catatan"
+  return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Split "---\nkey: value\n---\nbody" -> { data, body }
+ */
+function parseFrontMatter(source) {
+  const text = String(source ?? '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const match = /^---\n([\s\S]*?)\n---[ \t]*(?:\n|$)/.exec(text);
+
+  if (!match) return { data: {}, body: text };
+
+  const data = {};
+  let blockKey = null; // "key:" tanpa nilai -> isinya list atau object di baris berikutnya
+
+  match[1].split('\n').forEach((line, index) => {
+    if (PATTERNS.blank.test(line) || /^\s*#/.test(line)) return;
+
+    const item = /^\s+-\s+(.*)$/.exec(line) || /^-\s+(.*)$/.exec(line);
+    if (item && blockKey && (data[blockKey] === null || Array.isArray(data[blockKey]))) {
+      data[blockKey] = data[blockKey] || [];
+      data[blockKey].push(parseScalar(item[1]));
+      return;
+    }
+
+    const entry = /^\s+([A-Za-z_][\w-]*)\s*:\s+(.*)$/.exec(line);
+    if (entry && blockKey && !Array.isArray(data[blockKey])) {
+      data[blockKey] = data[blockKey] || {};
+      data[blockKey][entry[1]] = parseScalar(entry[2]);
+      return;
+    }
+
+    const pair = /^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/.exec(line);
+    if (!pair) {
+      throw new Error(`Front matter line ${index + 2}: cannot parse "${line.trim()}"`);
+    }
+
+    const [, key, raw = ''] = pair;
+    if (raw.trim() === '') {
+      // "key:" diikuti baris "- item" atau "  sub: value"; tanpa itu nilainya kosong (null)
+      data[key] = null;
+      blockKey = key;
+    } else {
+      data[key] = parseScalar(raw);
+      blockKey = null;
+    }
+  });
+
+  return { data, body: text.slice(match[0].length) };
+}
+
+/**
+ * Format one scalar so parseScalar() reads it back unchanged
+ * (dikutip kalau perlu: titik dua, #, kutip di depan, angka sebagai teks, ...)
+ */
+function formatScalar(value) {
+  if (typeof value !== 'string') return String(value);
+
+  const plain =
+    value === value.trim() &&
+    !/\n|: |\s#|^[-?:,[\]{}#&*!|>%@`"']/.test(value) &&
+    parseScalar(value) === value;
+
+  return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * Format an inline list "[a, b]"; item dengan koma/kurung dikutip
+ */
+function formatList(items) {
+  const format = item =>
+    typeof item === 'string' && /[,\]]/.test(item) ? JSON.stringify(item) : formatScalar(item);
+  return `[${items.map(format).join(', ')}]`;
+}
+
+/**
+ * { data, body } -> "---\nkey: value\n---\n\nbody\n" (kebalikan parseFrontMatter)
+ * Urutan key mengikuti object-nya; null/undefined dilewati
+ */
+function stringifyFrontMatter(data, body = '') {
+  const lines = [];
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === null || value === undefined) return;
+
+    if (Array.isArray(value)) {
+      lines.push(`${key}: ${formatList(value)}`);
+    } else if (typeof value === 'object') {
+      lines.push(`${key}:`);
+      Object.entries(value).forEach(([sub, subValue]) => {
+        if (subValue !== null && subValue !== undefined) {
+          lines.push(`  ${sub}: ${formatScalar(subValue)}`);
+        }
+      });
+    } else {
+      lines.push(`${key}: ${formatScalar(value)}`);
+    }
+  });
+
+  const text = String(body ?? '').replace(/\r\n?/g, '\n').replace(/^\n+|\s+$/g, '');
+  return `---\n${lines.join('\n')}\n---\n\n${text}\n`;
+}
+
+export {
+  renderMarkdown,
+  renderInline,
+  parseFrontMatter,
+  stringifyFrontMatter
+};
@@ -0,0 +1,702 @@
+/**
+ * PPS Article System - Math Rendering
+ * Pajajaran Physical Society
+ *
+ * Rumus LaTeX di `content` artikel -> MathML (dirender native oleh browser).
+ * - $...$ inline, $$...$$ display (bernomor otomatis)
+ * - \label{kunci} + \eqref{kunci} / \ref{kunci} untuk merujuk persamaan,
+ *   \tag{...} untuk nomor sendiri, \notag untuk tanpa nomor
+ * - Satuan SI: \SI{9.8}{m/s^2}, \si{\kilo\metre\per\hour}, \num{6.67e-11}
+ * - Rumus yang gagal di-parse tetap tampil sebagai teks aslinya (.math-error)
+ *
+ * Dijalankan SETELAH sanitizeHTML(): input-nya HTML yang sudah bersih,
+ * output MathML dibangun dari tabel simbol di bawah (semua teks di-escape).
+ *
+ * Browser & Node: import { … } from './math.js'
+ */
+
+import { t } from './core.js';
+
+// ==========================================
+// SYMBOL TABLES
+// ==========================================
+
+const GREEK = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε',
+  zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ',
+  lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ',
+  varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+  varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+  Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+const IDENTIFIERS = {
+  infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ',
+  emptyset: '∅', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ'
+};
+
+const OPERATORS = {
+  cdot: '⋅', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆',
+  circ: '∘', bullet: '∙', approx: '≈', neq: '≠', ne: '≠', leq: '≤', le: '≤',
+  geq: '≥', ge: '≥', lt: '<', gt: '>', ll: '≪', gg: '≫', equiv: '≡',
+  propto: '∝', sim: '∼', simeq: '≃', cong: '≅',
+  to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒', Leftarrow: '⇐',
+  leftrightarrow: '↔', Leftrightarrow: '⇔', rightleftharpoons: '⇌',
+  mapsto: '↦', implies: '⟹', iff: '⟺',
+  in: '∈', notin: '∉', subset: '⊂', subseteq: '⊆', cup: '∪', cap: '∩',
+  forall: '∀', exists: '∃', neg: '¬', land: '∧', lor: '∨',
+  perp: '⊥', parallel: '∥', angle: '∠', degree: '°', prime: '′',
+  ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱',
+  langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+  vert: '|', Vert: '‖', '{': '{', '}': '}', '|': '‖', '%': '%', '#': '#',
+  '&': '&', '$': '$', '_': '_'
+};
+
+// Limit di bawah/atas (mode display)
+const LARGE_OPERATORS = {
+  sum: '∑', prod: '∏', bigcup: '⋃', bigcap: '⋂'
+};
+
+// Limit tetap di samping (integral)
+const INTEGRALS = {
+  int: '∫', iint: '∬', iiint: '∭', oint: '∮'
+};
+
+const FUNCTIONS = [
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan',
+  'sinh', 'cosh', 'tanh', 'log', 'ln', 'lg', 'exp', 'det', 'dim', 'ker',
+  'deg', 'gcd', 'arg'
+];
+
+const LIMIT_FUNCTIONS = ['lim', 'max', 'min', 'sup', 'inf', 'limsup', 'liminf'];
+
+const ACCENTS = {
+  vec: '→', hat: '^', widehat: '^', bar: '‾', overline: '‾',
+  dot: '˙', ddot: '¨', tilde: '~', widetilde: '~'
+};
+
+const FONTS = {
+  mathrm: 'normal', mathbf: 'bold', boldsymbol: 'bold', mathit: 'italic',
+  mathsf: 'sans-serif', mathcal: 'script', mathbb: 'double-struck'
+};
+
+const SPACES = {
+  ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em',
+  ' ': '0.25em', quad: '1em', qquad: '2em', '!': null
+};
+
+const DELIMITER_SIZES = ['big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr', 'biggl', 'biggr'];
+
+// \begin{...}: pembatas kiri/kanan tabel
+const ENVIRONMENTS = {
+  matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+  vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''],
+  aligned: ['', ''], 'align*': ['', ''], align: ['', ''], gathered: ['', ''], split: ['', '']
+};
+
+// siunitx: prefix & satuan -> simbol
+const UNIT_PREFIXES = {
+  pico: 'p', nano: 'n', micro: 'µ', milli: 'm', centi: 'c', deci: 'd',
+  kilo: 'k', mega: 'M', giga: 'G', tera: 'T'
+};
+
+const UNITS = {
+  metre: 'm', meter: 'm', second: 's', gram: 'g', kilogram: 'kg', ampere: 'A',
+  kelvin: 'K', mole: 'mol', candela: 'cd', newton: 'N', joule: 'J', watt: 'W',
+  volt: 'V', ohm: 'Ω', hertz: 'Hz', pascal: 'Pa', coulomb: 'C', farad: 'F',
+  henry: 'H', tesla: 'T', weber: 'Wb', siemens: 'S', litre: 'L', liter: 'L',
+  electronvolt: 'eV', celsius: '°C', degreeCelsius: '°C', degree: '°',
+  percent: '%', minute: 'min', hour: 'h', radian: 'rad', lux: 'lx',
+  lumen: 'lm', becquerel: 'Bq', bar: 'bar', atm: 'atm', calorie: 'cal',
+  Omega: 'Ω', mu: 'µ'
+};
+
+const EQUATION_ID_PREFIX = 'eq-';
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+// Nama perintah dari rumus (\constructor, \toString) hanya dicari di
+// property milik tabel simbol sendiri, bukan di Object.prototype
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Text node from sanitized HTML -> plain TeX source
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+const mrow = (items) => (items.length === 1 ? items[0] : `<mrow>${items.join('')}</mrow>`);
+const mo = (symbol, attrs = '') => `<mo${attrs}>${escapeXML(symbol)}</mo>`;
+const mi = (symbol, variant) =>
+  `<mi${variant ? ` mathvariant="${variant}"` : ''}>${escapeXML(symbol)}</mi>`;
+
+// ==========================================
+// TOKENIZER
+// ==========================================
+
+const TOKEN_PATTERN = /\\([a-zA-Z]+\*?)|\\([^a-zA-Z])|(\d+(?:[.,]\d+)*)|([a-zA-Z])|(\s+)|([\s\S])/g;
+
+/**
+ * TeX source -> [{ type, value, start, end }]
+ */
+function tokenize(tex) {
+  const tokens = [];
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(tex))) {
+    const [text, command, symbol, number, letter, space] = match;
+    const base = { start: match.index, end: match.index + text.length };
+
+    if (command) tokens.push({ ...base, type: 'command', value: command });
+    else if (symbol) tokens.push({ ...base, type: 'command', value: symbol });
+    else if (number) tokens.push({ ...base, type: 'number', value: number });
+    else if (letter) tokens.push({ ...base, type: 'letter', value: letter });
+    else if (space) tokens.push({ ...base, type: 'space', value: space });
+    else tokens.push({ ...base, type: 'char', value: text });
+  }
+
+  return tokens;
+}
+
+// ==========================================
+// SI UNITS
+// ==========================================
+
+/**
+ * "6.67e-11" / "9.8 \pm 0.1" -> MathML
+ */
+function renderNumber(source) {
+  const parts = source.trim().split(/\s*(?:\\pm|\+-)\s*/);
+
+  return mrow(parts.map((part, index) => {
+    const [, mantissa, exponent] = /^([^eE]*)(?:[eE]([+-]?\d+))?$/.exec(part.replace(/\s+/g, ''));
+    if (!mantissa && !exponent) throw new Error(`Invalid number "${part}"`);
+
+    const items = [];
+    if (index > 0) items.push(mo('±'));
+    if (mantissa) items.push(`<mn>${escapeXML(mantissa.replace(/^-/, '−'))}</mn>`);
+    if (exponent) {
+      if (mantissa) items.push(mo('×'));
+      const power = exponent.replace(/^\+/, '').replace(/^-/, '−');
+      items.push(`<msup><mn>10</mn><mn>${escapeXML(power)}</mn></msup>`);
+    }
+    return mrow(items);
+  }));
+}
+
+/**
+ * "m/s^2", "kg.m^2", "\kilo\metre\per\hour" -> MathML
+ */
+function renderUnits(source) {
+  // Makro siunitx -> bentuk literal: \kilo\metre\per\second\squared -> "km / s^2"
+  const literal = source
+    .replace(/\\tothe\{([^}]*)\}/g, '^$1')
+    .replace(/\\squared/g, '^2')
+    .replace(/\\cubed/g, '^3')
+    .replace(/\\per\b/g, ' / ')
+    .replace(/\\([a-zA-Z]+)/g, (match, name) => {
+      if (hasOwn(UNIT_PREFIXES, name)) return UNIT_PREFIXES[name];
+      if (hasOwn(UNITS, name)) return `${UNITS[name]} `;
+      throw new Error(`Unknown unit \\${name}`);
+    })
+    .replace(/\s*\^\s*/g, '^')
+    .trim();
+
+  if (!literal) throw new Error('Empty unit');
+
+  const groups = literal.split('/').map(group =>
+    group.trim().split(/[\s.*~]+/).filter(Boolean).map(token => {
+      const [, symbol, power] = /^(.+?)(?:\^\{?([+-]?[\d.]+)\}?)?$/.exec(token);
+      const base = mi(symbol, 'normal');
+      return power
+        ? `<msup>${base}<mn>${escapeXML(power.replace(/^-/, '−'))}</mn></msup>`
+        : base;
+    })
+  );
+
+  if (groups.some(group => group.length === 0)) throw new Error(`Invalid unit "${source}"`);
+
+  return mrow(groups.map(group => group.join('<mspace width="0.1667em"/>'))
+    .reduce((items, group, index) => (index ? [...items, mo('/'), group] : [group]), []));
+}
+
+// ==========================================
+// PARSER
+// ==========================================
+
+/**
+ * Parse TeX into MathML (throws on unknown commands / unbalanced braces)
+ */
+function parseTeX(tex, { display = false } = {}) {
+  const tokens = tokenize(tex);
+  let pos = 0;
+
+  const skipSpaces = () => {
+    while (tokens[pos] && tokens[pos].type === 'space') pos++;
+  };
+  const peek = () => {
+    skipSpaces();
+    return tokens[pos];
+  };
+  const isChar = (token, value) => token && token.type === 'char' && token.value === value;
+  const isCommand = (token, value) => token && token.type === 'command' && token.value === value;
+
+  const expectChar = (value) => {
+    const token = peek();
+    if (!isChar(token, value)) throw new Error(`Expected "${value}"`);
+    pos++;
+  };
+
+  /**
+   * Raw text of a {...} group (for \text, \label, \SI)
+   */
+  const readRawGroup = () => {
+    const open = peek();
+    if (!isChar(open, '{')) throw new Error('Expected "{"');
+
+    let depth = 0;
+    for (let i = pos; i < tokens.length; i++) {
+      if (isChar(tokens[i], '{')) depth++;
+      if (isChar(tokens[i], '}')) depth--;
+      if (depth === 0) {
+        pos = i + 1;
+        return tex.slice(open.end, tokens[i].start);
+      }
+    }
+    throw new Error('Missing "}"');
+  };
+
+  /**
+   * Optional [...] argument (for \sqrt[3]{x})
+   */
+  const readOptional = () => {
+    if (!isChar(peek(), '[')) return null;
+    pos++;
+    const items = parseSequence(token => isChar(token, ']'));
+    expectChar(']');
+    return mrow(items);
+  };
+
+  /**
+   * Delimiter after \left, \right, \big: "(", "\{", "." (none), ...
+   */
+  const readDelimiter = () => {
+    const token = peek();
+    if (!token) throw new Error('Missing delimiter');
+    pos++;
+    if (token.type === 'char') return token.value === '.' ? '' : token.value;
+    if (token.type === 'command' && hasOwn(OPERATORS, token.value)) return OPERATORS[token.value];
+    throw new Error(`Invalid delimiter "${token.value}"`);
+  };
+
+  const parseGroup = () => {
+    expectChar('{');
+    const items = parseSequence(token => isChar(token, '}'));
+    expectChar('}');
+    return mrow(items.length ? items : ['<mrow></mrow>']);
+  };
+
+  /**
+   * Argument: {group} or a single atom
+   */
+  const parseArgument = () => {
+    const token = peek();
+    if (!token) throw new Error('Missing argument');
+    if (isChar(token, '{')) return parseGroup();
+    return parseAtom().html;
+  };
+
+  /**
+   * \begin{env} ... \end{env} -> mtable
+   */
+  const parseEnvironment = (name) => {
+    if (!hasOwn(ENVIRONMENTS, name)) throw new Error(`Unknown environment "${name}"`);
+    const [left, right] = ENVIRONMENTS[name];
+    const aligned = ['aligned', 'align', 'align*', 'split'].includes(name);
+
+    const rows = [];
+    let cells = [];
+
+    for (;;) {
+      const items = parseSequence(token =>
+        isChar(token, '&') || isCommand(token, '\\') || isCommand(token, 'end'));
+      cells.push(mrow(items.length ? items : ['<mrow></mrow>']));
+
+      const token = peek();
+      if (!token) throw new Error(`Missing \\end{${name}}`);
+      pos++;
+
+      if (isChar(token, '&')) continue;
+
+      rows.push(cells);
+      cells = [];
+
+      if (isCommand(token, 'end')) {
+        const closing = readRawGroup();
+        if (closing !== name) throw new Error(`\\begin{${name}} closed by \\end{${closing}}`);
+        break;
+      }
+    }
+
+    const align = aligned ? ' columnalign="right left"' : name === 'cases' ? ' columnalign="left left"' : '';
+    const table = `<mtable${align}>${rows
+      .filter(row => row.some(cell => cell !== '<mrow></mrow>'))
+      .map(row => `<mtr>${row.map(cell => `<mtd>${cell}</mtd>`).join('')}</mtr>`)
+      .join('')}</mtable>`;
+
+    if (!left && !right) return table;
+    return mrow([
+      left ? mo(left, ' fence="true"') : '',
+      table,
+      right ? mo(right, ' fence="true"') : ''
+    ].filter(Boolean));
+  };
+
+  /**
+   * Single atom -> { html, kind } (kind: atom | function | limits | integral)
+   */
+  function parseAtom() {
+    const token = peek();
+    if (!token) throw new Error('Incomplete formula');
+    pos++;
+
+    const atom = (html, kind = 'atom') => ({ html, kind });
+
+    if (token.type === 'number') return atom(`<mn>${escapeXML(token.value)}</mn>`);
+    if (token.type === 'letter') return atom(mi(token.value));
+
+    if (token.type === 'char') {
+      const { value } = token;
+      if (value === '{') {
+        pos--;
+        return atom(parseGroup());
+      }
+      if (value === '}' || value === '&') throw new Error(`Unexpected "${value}"`);
+      if (value === '-') return atom(mo('−'));
+      if (value === '*') return atom(mo('∗'));
+      if (value === '~') return atom('<mspace width="0.25em"/>');
+      if (value === "'") return atom(mo('′'));
+      if (/\p{L}/u.test(value)) return atom(mi(value));
+      return atom(mo(value));
+    }
+
+    const name = token.value;
+
+    if (hasOwn(GREEK, name)) {
+      return atom(mi(GREEK[name], /^[A-Z]/.test(name) ? 'normal' : undefined));
+    }
+    if (hasOwn(IDENTIFIERS, name)) return atom(mi(IDENTIFIERS[name]));
+    if (hasOwn(OPERATORS, name)) return atom(mo(OPERATORS[name]));
+    if (hasOwn(LARGE_OPERATORS, name)) {
+      return atom(mo(LARGE_OPERATORS[name], ' largeop="true" movablelimits="true"'), 'limits');
+    }
+    if (hasOwn(INTEGRALS, name)) return atom(mo(INTEGRALS[name], ' largeop="true"'), 'integral');
+    if (FUNCTIONS.includes(name)) return atom(`<mi>${name}</mi>`, 'function');
+    if (LIMIT_FUNCTIONS.includes(name)) return atom(`<mi>${name}</mi>`, 'limits');
+    if (hasOwn(SPACES, name)) return atom(SPACES[name] ? `<mspace width="${SPACES[name]}"/>` : '');
+
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac':
+      case 'cfrac':
+        return atom(`<mfrac>${parseArgument()}${parseArgument()}</mfrac>`);
+
+      case 'binom':
+        return atom(mrow([
+          mo('('),
+          `<mfrac linethickness="0">${parseArgument()}${parseArgument()}</mfrac>`,
+          mo(')')
+        ]));
+
+      case 'sqrt': {
+        const index = readOptional();
+        const radicand = parseArgument();
+        return atom(index ? `<mroot>${radicand}${index}</mroot>` : `<msqrt>${radicand}</msqrt>`);
+      }
+
+      case 'text':
+      case 'textrm':
+      case 'textit':
+      case 'mbox':
+        return atom(`<mtext>${escapeXML(readRawGroup())}</mtext>`);
+
+      case 'operatorname':
+        return atom(`<mi>${escapeXML(readRawGroup().trim())}</mi>`, 'function');
+
+      case 'left': {
+        const open = readDelimiter();
+        const items = parseSequence(t => isCommand(t, 'right'));
+        if (!isCommand(peek(), 'right')) throw new Error('\\left without \\right');
+        pos++;
+        const close = readDelimiter();
+        return atom(mrow([
+          open ? mo(open, ' fence="true" stretchy="true"') : '',
+          ...items,
+          close ? mo(close, ' fence="true" stretchy="true"') : ''
+        ].filter(Boolean)));
+      }
+
+      case 'begin':
+        return atom(parseEnvironment(readRawGroup().trim()));
+
+      case 'SI':
+      case 'qty':
+        return atom(mrow([
+          renderNumber(readRawGroup()),
+          '<mspace width="0.1667em"/>',
+          renderUnits(readRawGroup())
+        ]));
+
+      case 'si':
+      case 'unit':
+        return atom(renderUnits(readRawGroup()));
+
+      case 'num':
+        return atom(renderNumber(readRawGroup()));
+
+      // Sudah diambil renderEquation(); di rumus inline diabaikan
+      case 'label':
+      case 'tag':
+        readRawGroup();
+        return atom('');
+      case 'notag':
+      case 'nonumber':
+        return atom('');
+
+      case '\\':
+        throw new Error('Line break "\\\\" only allowed inside \\begin{...}');
+    }
+
+    if (hasOwn(ACCENTS, name)) {
+      const stretchy = name.startsWith('wide') || name === 'overline' ? '' : ' stretchy="false"';
+      return atom(`<mover accent="true">${parseArgument()}${mo(ACCENTS[name], stretchy)}</mover>`);
+    }
+
+    if (hasOwn(FONTS, name)) {
+      const raw = readRawGroup();
+      if (/^[a-zA-Z0-9 ]*$/.test(raw)) return atom(mi(raw.replace(/\s+/g, ''), FONTS[name]));
+      return atom(parseTeX(raw));
+    }
+
+    if (DELIMITER_SIZES.includes(name)) {
+      const delimiter = readDelimiter();
+      return atom(delimiter ? mo(delimiter, ' stretchy="false"') : '');
+    }
+
+    throw new Error(`Unknown command \\${name}`);
+  }
+
+  /**
+   * Atom + ^ / _ / primes
+   */
+  function parseTerm() {
+    const token = peek();
+    const startsWithScript = isChar(token, '^') || isChar(token, '_');
+    const base = startsWithScript ? { html: '<mrow></mrow>', kind: 'atom' } : parseAtom();
+
+    let sub = null;
+    let sup = null;
+    let primes = '';
+
+    for (;;) {
+      const next = peek();
+      if (isChar(next, "'")) {
+        primes += '′';
+        pos++;
+      } else if (isChar(next, '^') && sup === null) {
+        pos++;
+        sup = parseArgument();
+      } else if (isChar(next, '_') && sub === null) {
+        pos++;
+        sub = parseArgument();
+      } else {
+        break;
+      }
+    }
+
+    if (primes) sup = sup ? mrow([mo(primes), sup]) : mo(primes);
+
+    let html = base.html;
+    if (sub !== null || sup !== null) {
+      const limits = base.kind === 'limits' && display;
+      const tag = limits
+        ? (sub !== null && sup !== null ? 'munderover' : sub !== null ? 'munder' : 'mover')
+        : (sub !== null && sup !== null ? 'msubsup' : sub !== null ? 'msub' : 'msup');
+      html = `<${tag}>${base.html}${sub ?? ''}${sup ?? ''}</${tag}>`;
+    }
+
+    // sin x, log x: tanda "function application" untuk pembaca layar
+    if (base.kind === 'function') html += mo('\u2061');
+
+    return html;
+  }
+
+  /**
+   * Terms until `stop(token)` matches (or the end)
+   */
+  function parseSequence(stop) {
+    const items = [];
+    for (;;) {
+      const token = peek();
+      if (!token || stop(token)) return items;
+      if (isChar(token, '}')) throw new Error('Unexpected "}"');
+      items.push(parseTerm());
+    }
+  }
+
+  const items = parseSequence(() => false).filter(Boolean);
+  return mrow(items.length ? items : ['<mrow></mrow>']);
+}
+
+/**
+ * TeX -> <math> element (throws on parse errors)
+ */
+function texToMathML(tex, { display = false } = {}) {
+  const body = parseTeX(tex, { display });
+  return `<math${display ? ' display="block"' : ''}><semantics>${body}` +
+    `<annotation encoding="application/x-tex">${escapeXML(tex.trim())}</annotation></semantics></math>`;
+}
+
+// ==========================================
+// RENDERING IN HTML
+// ==========================================
+
+// Isi tag ini tidak disentuh
+const SKIP_TAGS = ['code', 'pre', 'kbd', 'samp', 'script', 'style', 'textarea', 'a'];
+
+const DISPLAY_PATTERN = /\$\$([\s\S]+?)\$\$/g;
+// $...$: tidak diawali/diakhiri spasi, tidak langsung diikuti angka ("$5 dan $10" bukan rumus)
+const INLINE_PATTERN = /(^|[^\\$])\$(?=[^\s$])((?:\\\$|[^$])*?[^\s\\])\$(?!\d)/g;
+const REFERENCE_PATTERN = /\\(eq)?ref\{([^}]+)\}/g;
+
+/**
+ * Apply fn to every text segment outside SKIP_TAGS
+ */
+function mapTextSegments(html, fn) {
+  let skipDepth = 0;
+
+  return html.split(/(<[^>]*>)/).map((part, index) => {
+    if (index % 2 === 1) {
+      const tag = /^<(\/?)([a-z0-9]+)/i.exec(part);
+      if (tag && SKIP_TAGS.includes(tag[2].toLowerCase())) {
+        skipDepth = Math.max(0, skipDepth + (tag[1] ? -1 : 1));
+      }
+      return part;
+    }
+    return skipDepth === 0 && part ? fn(part) : part;
+  }).join('');
+}
+
+/**
+ * Fallback: formula shown as written
+ */
+function renderError(source, error, { display = false } = {}) {
+  const title = escapeXML(t('math.error', { message: error.message }));
+  return display
+    ? `<span class="math-display math-error" title="${title}">${escapeXML(source)}</span>`
+    : `<code class="math-error" title="${title}">${escapeXML(source)}</code>`;
+}
+
+/**
+ * Render $...$ and $$...$$ in sanitized HTML; number display equations
+ * -> { html, equations: [{ id, number, label }] }
+ */
+function renderMath(html) {
+  const equations = [];
+  const usedIds = new Set();
+
+  if (!html || !html.includes('$')) return { html, equations };
+
+  const renderEquation = (source) => {
+    let tex = decodeEntities(source);
+    let label = null;
+    let tag = null;
+    let numbered = true;
+
+    tex = tex
+      .replace(/\\label\{([^}]*)\}/g, (match, value) => { label = value.trim(); return ''; })
+      .replace(/\\tag\{([^}]*)\}/g, (match, value) => { tag = value.trim(); return ''; })
+      .replace(/\\(?:notag|nonumber)\b/g, () => { numbered = false; return ''; });
+
+    let math;
+    try {
+      math = texToMathML(tex, { display: true });
+    } catch (error) {
+      return renderError(`$$${tex}$$`, error, { display: true });
+    }
+
+    if (!numbered && !label) {
+      return `<span class="math-display">${math}</span>`;
+    }
+
+    const number = tag || String(equations.filter(eq => !eq.custom).length + 1);
+    const slug = (label || number).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    let id = `${EQUATION_ID_PREFIX}${slug || equations.length + 1}`;
+    for (let n = 2; usedIds.has(id); n++) id = `${EQUATION_ID_PREFIX}${slug}-${n}`;
+    usedIds.add(id);
+
+    equations.push({ id, number, label, custom: Boolean(tag) });
+
+    return `<span class="math-display" id="${id}">${math}` +
+      `<span class="eq-number">(${escapeXML(number)})</span></span>`;
+  };
+
+  const renderInline = (source) => {
+    const tex = decodeEntities(source);
+    try {
+      return texToMathML(tex);
+    } catch (error) {
+      return renderError(`$${tex}$`, error);
+    }
+  };
+
+  let output = mapTextSegments(html, text => text
+    .replace(DISPLAY_PATTERN, (match, tex) => renderEquation(tex))
+    .replace(INLINE_PATTERN, (match, before, tex) => `${before}${renderInline(tex)}`)
+    // \$ -> $ biasa
+    .replace(/\\\$/g, '$'));
+
+  // Rujukan persamaan: bisa muncul sebelum persamaannya, jadi diproses terakhir
+  output = mapTextSegments(output, text => text.replace(REFERENCE_PATTERN, (match, eq, key) => {
+    const equation = equations.find(item => item.label === key.trim());
+    if (!equation) {
+      return `<span class="math-error" title="${escapeXML(t('math.refNotFound', { key }))}">(??)</span>`;
+    }
+    const text = eq ? `(${equation.number})` : equation.number;
+    return `<a class="eq-ref" href="#${equation.id}">${escapeXML(text)}</a>`;
+  }));
+
+  // Paragraf yang isinya hanya satu persamaan display -> tanpa <p>
+  output = output.replace(
+    /<p>\s*(<span class="math-display"[^>]*>(?:(?!<\/?p>)[\s\S])*?<\/math>(?:<span class="eq-number">[^<]*<\/span>)?<\/span>)\s*<\/p>/g,
+    '$1'
+  );
+
+  return { html: output, equations: equations.map(({ custom, ...eq }) => eq) };
+}
+
+export {
+  texToMathML,
+  renderMath
+};
@@ -0,0 +1,116 @@
+/**
+ * PPS Article System - Micro Interactions
+ * Pajajaran Physical Society
+ *
+ * Ripple + press animation untuk kartu, chip, tombol halaman, link panel
+ * dan ikon pencarian (lewat event delegation, jadi ikut berlaku untuk konten
+ * yang dirender belakangan). Menghormati prefers-reduced-motion.
+ *
+ * Browser: import { … } from './micro.js'
+ */
+
+import { PREFERS_REDUCED_MOTION } from './core.js';
+
+// ==========================================
+// MICRO INTERACTIONS (RIPPLE + PRESS)
+// ==========================================
+
+const MICRO_NAV_DELAY = 170; // ms supaya animasi terlihat sebelum pindah halaman
+
+function pressAnim(el) {
+  if (PREFERS_REDUCED_MOTION || !el || typeof el.animate !== 'function') return;
+
+  el.animate(
+    [
+      { transform: 'scale(1)' },
+      { transform: 'scale(0.985)' },
+      { transform: 'scale(1)' }
+    ],
+    { duration: 160, easing: 'ease-out' }
+  );
+}
+
+function rippleAnim(target, ev) {
+  if (PREFERS_REDUCED_MOTION || !target) return;
+
+  const rect = target.getBoundingClientRect();
+  const size = Math.max(rect.width, rect.height);
+
+  const clientX =
+    ev && typeof ev.clientX === 'number' ? ev.clientX : rect.left + rect.width / 2;
+  const clientY =
+    ev && typeof ev.clientY === 'number' ? ev.clientY : rect.top + rect.height / 2;
+
+  const x = clientX - rect.left - size / 2;
+  const y = clientY - rect.top - size / 2;
+
+  const ripple = document.createElement('span');
+  ripple.className = 'ripple';
+  ripple.style.width = `${size}px`;
+  ripple.style.height = `${size}px`;
+  ripple.style.left = `${x}px`;
+  ripple.style.top = `${y}px`;
+
+  const cs = getComputedStyle(target);
+  if (cs.position === 'static') target.style.position = 'relative';
+  if (cs.overflow === 'visible') target.style.overflow = 'hidden';
+
+  target.appendChild(ripple);
+  setTimeout(() => ripple.remove(), 650);
+}
+
+/**
+ * Event delegation -> otomatis berlaku untuk konten yang dirender ulang (cards)
+ */
+function initMicroInteractions() {
+  document.addEventListener('click', (e) => {
+    const t = e.target;
+    if (!t) return;
+
+    // Element yang diberi animasi
+    // Tombol bookmark di dalam kartu dapat animasinya sendiri
+    const el = t.closest('.card-bookmark, .card, .chip, .page-btn, .panel a, .search-icon');
+    if (!el) return;
+
+    rippleAnim(el, e);
+    pressAnim(el);
+
+    // Delay navigasi hanya untuk link CARD (biar ripple terlihat)
+    const link = el.classList.contains('card') ? t.closest('a.card-link') : null;
+    if (link) {
+      // jangan ganggu middle-click / ctrl-cmd click / open new tab
+      if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+      const href = link.getAttribute('href');
+      const targetAttr = (link.getAttribute('target') || '').toLowerCase();
+      const openNew = targetAttr === '_blank';
+
+      if (!href || href === '#' || openNew) return;
+
+      e.preventDefault();
+      setTimeout(() => {
+        window.location.href = link.href; // sudah di-resolve terhadap <base>
+      }, MICRO_NAV_DELAY);
+    }
+  });
+
+  // Keyboard support (Enter/Space) untuk tombol
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    const active = document.activeElement;
+    if (!active) return;
+
+    const el = active.closest?.('.chip, .page-btn');
+    if (!el) return;
+
+    rippleAnim(el, null);
+    pressAnim(el);
+  });
+}
+
+export {
+  MICRO_NAV_DELAY,
+  pressAnim,
+  rippleAnim,
+  initMicroInteractions
+};
@@ -0,0 +1,388 @@
+/**
+ * PPS Article System - Reader Comfort
+ * Pajajaran Physical Society
+ *
+ * Kenyamanan membaca di halaman detail (markup dari generateReaderToolsHTML /
+ * generateReadingBarHTML di render.js):
+ * - Ukuran huruf, lebar baris, serif/sans; disimpan di localStorage
+ * - Mode baca: nav, hero dan aside disembunyikan (Esc untuk keluar)
+ * - Bar progres di atas + perkiraan "sisa X menit"
+ * - Dengarkan: Web Speech API, paragraf yang sedang dibacakan disorot
+ *
+ * Browser: import { … } from './reader.js'
+ */
+
+import { getLocale } from './i18n.js';
+import { CONFIG, t, PREFERS_REDUCED_MOTION } from './core.js';
+import { READER_OPTIONS } from './render.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const FONT_SCALES = [0.875, 1, 1.125, 1.25, 1.375, 1.5]; // langkah tombol A− / A+
+
+const DEFAULT_SETTINGS = {
+  scale: 1,
+  width: READER_OPTIONS.width[0],
+  font: READER_OPTIONS.font[0]
+};
+
+// Dibacakan per blok; blok di dalam blok lain (p di li) ikut blok luarnya
+const LISTEN_BLOCKS = 'h2, h3, h4, p, li, blockquote, figcaption';
+const LISTEN_SKIP = 'pre, table, [data-widget], .widget';
+// Tidak ikut dibacakan: tombol "#", sumber TeX, nomor persamaan
+const LISTEN_IGNORE = '.heading-anchor, annotation, .eq-number, [aria-hidden="true"]';
+
+// ==========================================
+// SETTINGS (UKURAN, LEBAR, HURUF)
+// ==========================================
+
+function normalizeReaderSettings(value) {
+  const input = value && typeof value === 'object' ? value : {};
+
+  return {
+    scale: FONT_SCALES.includes(input.scale) ? input.scale : DEFAULT_SETTINGS.scale,
+    width: READER_OPTIONS.width.includes(input.width) ? input.width : DEFAULT_SETTINGS.width,
+    font: READER_OPTIONS.font.includes(input.font) ? input.font : DEFAULT_SETTINGS.font
+  };
+}
+
+function getReaderSettings() {
+  try {
+    return normalizeReaderSettings(JSON.parse(localStorage.getItem(CONFIG.readerKey)));
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+function saveReaderSettings(settings) {
+  try {
+    localStorage.setItem(CONFIG.readerKey, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Reader settings storage error:', error);
+  }
+}
+
+/**
+ * Settings -> <html> (--reader-scale, data-reader-width, data-reader-font), dipakai styles.css
+ */
+function applyReaderSettings(settings) {
+  const html = document.documentElement;
+  html.style.setProperty('--reader-scale', String(settings.scale));
+  html.dataset.readerWidth = settings.width;
+  html.dataset.readerFont = settings.font;
+}
+
+function syncReaderControls(root, settings) {
+  root.querySelectorAll('[data-action="reader-setting"]').forEach(button => {
+    const isActive = settings[button.dataset.setting] === button.dataset.value;
+    button.classList.toggle('is-active', isActive);
+    button.setAttribute('aria-pressed', String(isActive));
+  });
+
+  root.querySelectorAll('[data-action="reader-font-size"]').forEach(button => {
+    const index = FONT_SCALES.indexOf(settings.scale) + Number(button.dataset.step);
+    button.disabled = index < 0 || index >= FONT_SCALES.length;
+  });
+
+  root.querySelectorAll('[data-reader-value="size"]').forEach(output => {
+    output.textContent = `${Math.round(settings.scale * 100)}%`;
+  });
+}
+
+// ==========================================
+// READING PROGRESS
+// ==========================================
+
+/**
+ * Bagian isi artikel yang sudah lewat bawah layar (0..1)
+ */
+function getContentProgress(content) {
+  const rect = content.getBoundingClientRect();
+  return Math.min(1, Math.max(0, (window.innerHeight - rect.top) / Math.max(rect.height, 1)));
+}
+
+/**
+ * Top bar: progres + "sisa X menit" dari waktu baca artikel
+ * -> fungsi untuk menghitung ulang (tinggi isi berubah setelah ganti ukuran huruf)
+ */
+function initReadingBar(root, content) {
+  const bar = root.querySelector('[data-reading-bar]');
+  if (!bar) return () => {};
+
+  const minutes = Number(bar.dataset.minutes) || 1;
+  const track = bar.querySelector('[role="progressbar"]');
+  const fill = bar.querySelector('.reading-bar-fill');
+  const left = bar.querySelector('.reading-bar-left');
+
+  let ticking = false;
+
+  const update = () => {
+    ticking = false;
+
+    const progress = getContentProgress(content);
+    fill.style.transform = `scaleX(${progress})`;
+    track.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+    left.textContent = progress >= 1
+      ? t('reader.finished')
+      : t('reader.remaining', { minutes: Math.max(1, Math.ceil(minutes * (1 - progress))) });
+  };
+
+  const schedule = () => {
+    if (!ticking) {
+      ticking = true;
+      requestAnimationFrame(update);
+    }
+  };
+
+  window.addEventListener('scroll', schedule, { passive: true });
+  window.addEventListener('resize', schedule);
+  update();
+
+  return schedule;
+}
+
+// ==========================================
+// READING MODE
+// ==========================================
+
+/**
+ * Blok isi pertama yang masih terlihat di bawah navbar (patokan supaya posisi
+ * baca tidak lompat saat hero & nav disembunyikan / dimunculkan)
+ */
+function getFirstVisibleBlock(content) {
+  return Array.from(content.children).find(block => block.getBoundingClientRect().bottom > CONFIG.scrollOffset) || null;
+}
+
+function setReadingMode(root, content, enabled) {
+  const anchor = getFirstVisibleBlock(content);
+  const before = anchor?.getBoundingClientRect().top;
+
+  document.documentElement.toggleAttribute('data-reading-mode', enabled);
+  root.querySelectorAll('[data-action="reading-mode"]').forEach(button => {
+    button.setAttribute('aria-pressed', String(enabled));
+  });
+
+  if (anchor) window.scrollBy(0, anchor.getBoundingClientRect().top - before);
+
+  // Fokus ke tombol yang masih terlihat (tombol keluar / tombol di panel)
+  root.querySelector(enabled ? '.reading-bar-exit' : '.reader-tools [data-action="reading-mode"]')
+    ?.focus({ preventScroll: true });
+}
+
+// ==========================================
+// LISTEN (WEB SPEECH API)
+// ==========================================
+
+/**
+ * Teks yang dibacakan dari satu blok (tanpa tombol anchor, sumber TeX, ...)
+ */
+function getSpeechText(block) {
+  const clone = block.cloneNode(true);
+  clone.querySelectorAll(LISTEN_IGNORE).forEach(element => element.remove());
+  return clone.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function getListenBlocks(content) {
+  return Array.from(content.querySelectorAll(LISTEN_BLOCKS))
+    .filter(block => !block.closest(LISTEN_SKIP) && !block.parentElement.closest(LISTEN_BLOCKS))
+    .filter(block => getSpeechText(block));
+}
+
+/**
+ * Suara untuk locale ("id-ID"): persis, lalu bahasa yang sama; null = pilihan browser
+ */
+function pickVoice(locale) {
+  const voices = window.speechSynthesis.getVoices();
+  const normalize = voice => voice.lang.replace('_', '-').toLowerCase();
+  const language = locale.split('-')[0].toLowerCase();
+
+  return voices.find(voice => normalize(voice) === locale.toLowerCase()) ||
+    voices.find(voice => normalize(voice).split('-')[0] === language) ||
+    null;
+}
+
+/**
+ * "Dengarkan" player -> { toggle, stop }; null kalau browser tidak mendukung
+ * (panelnya tetap hidden)
+ */
+function initListen(root, content) {
+  const player = root.querySelector('[data-listen]');
+  const synth = window.speechSynthesis;
+  if (!player || !synth || typeof window.SpeechSynthesisUtterance !== 'function') return null;
+
+  const playButton = player.querySelector('[data-action="listen"]');
+  const stopButton = player.querySelector('[data-action="listen-stop"]');
+
+  // Bahasa isi: lang di .article-content (belum diterjemahkan) atau bahasa halaman
+  const locale = getLocale(content.closest('[lang]')?.getAttribute('lang') || CONFIG.language);
+
+  let state = 'idle'; // idle | playing | paused
+  let blocks = [];
+  let index = 0;
+  let session = 0; // utterance dari sesi yang sudah dihentikan diabaikan
+  let current = null;
+
+  const setState = (value) => {
+    state = value;
+    playButton.textContent = t(state === 'playing' ? 'listen.pause' : state === 'paused' ? 'listen.resume' : 'listen.play');
+    stopButton.hidden = state === 'idle';
+  };
+
+  const highlight = (block) => {
+    current?.classList.remove('is-speaking');
+    current = block;
+    if (!block) return;
+
+    block.classList.add('is-speaking');
+    const rect = block.getBoundingClientRect();
+    if (rect.top < CONFIG.scrollOffset || rect.bottom > window.innerHeight) {
+      block.scrollIntoView({ behavior: PREFERS_REDUCED_MOTION ? 'auto' : 'smooth', block: 'center' });
+    }
+  };
+
+  const stop = () => {
+    session++;
+    synth.cancel();
+    highlight(null);
+    setState('idle');
+  };
+
+  const speak = (id) => {
+    if (id !== session) return;
+    if (index >= blocks.length) {
+      stop();
+      return;
+    }
+
+    const block = blocks[index];
+    const utterance = new window.SpeechSynthesisUtterance(getSpeechText(block));
+    utterance.lang = locale;
+    utterance.voice = pickVoice(locale);
+
+    utterance.onstart = () => {
+      if (id === session) highlight(block);
+    };
+    utterance.onend = () => {
+      index++;
+      speak(id);
+    };
+    utterance.onerror = (e) => {
+      if (id !== session || e.error === 'interrupted' || e.error === 'canceled') return;
+      console.error('Speech error:', e.error);
+      stop();
+    };
+
+    synth.speak(utterance);
+  };
+
+  const start = () => {
+    stop();
+    blocks = getListenBlocks(content);
+
+    // Mulai dari bagian yang sedang dibaca, bukan selalu dari awal
+    const visible = blocks.findIndex(block => block.getBoundingClientRect().bottom > CONFIG.scrollOffset);
+    index = Math.max(0, visible);
+
+    setState('playing');
+    speak(session);
+  };
+
+  const toggle = () => {
+    if (state === 'idle') {
+      start();
+    } else if (state === 'playing') {
+      synth.pause();
+      setState('paused');
+    } else {
+      synth.resume();
+      setState('playing');
+    }
+  };
+
+  // Daftar suara kadang baru terisi belakangan
+  synth.getVoices();
+  window.addEventListener('pagehide', stop);
+
+  player.hidden = false;
+  setState('idle');
+  return { toggle, stop };
+}
+
+// ==========================================
+// INIT
+// ==========================================
+
+/**
+ * Attach the reading toolbar, progress bar, reading mode and player to a rendered article
+ */
+function initReaderTools(root) {
+  const content = root.querySelector('.article-content');
+  if (!content) return;
+
+  let settings = getReaderSettings();
+  applyReaderSettings(settings);
+  syncReaderControls(root, settings);
+
+  const updateBar = initReadingBar(root, content);
+  const listen = initListen(root, content);
+
+  const update = (changes) => {
+    settings = normalizeReaderSettings({ ...settings, ...changes });
+    saveReaderSettings(settings);
+    applyReaderSettings(settings);
+    syncReaderControls(root, settings);
+    updateBar();
+  };
+
+  root.addEventListener('click', (e) => {
+    const trigger = e.target.closest('[data-action]');
+    if (!trigger) return;
+
+    const action = trigger.dataset.action;
+
+    if (action === 'reader-font-size') {
+      const index = FONT_SCALES.indexOf(settings.scale) + Number(trigger.dataset.step);
+      if (FONT_SCALES[index]) update({ scale: FONT_SCALES[index] });
+    }
+
+    if (action === 'reader-setting') {
+      update({ [trigger.dataset.setting]: trigger.dataset.value });
+    }
+
+    if (action === 'reading-mode') {
+      setReadingMode(root, content, !document.documentElement.hasAttribute('data-reading-mode'));
+      updateBar();
+    }
+
+    if (action === 'listen') listen?.toggle();
+    if (action === 'listen-stop') listen?.stop();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || !document.documentElement.hasAttribute('data-reading-mode')) return;
+    setReadingMode(root, content, false);
+    updateBar();
+  });
+
+  // Diubah di tab lain
+  window.addEventListener('storage', (e) => {
+    if (e.key !== CONFIG.readerKey) return;
+    settings = getReaderSettings();
+    applyReaderSettings(settings);
+    syncReaderControls(root, settings);
+    updateBar();
+  });
+}
+
+export {
+  FONT_SCALES,
+  normalizeReaderSettings,
+  getReaderSettings,
+  applyReaderSettings,
+  getContentProgress,
+  getSpeechText,
+  pickVoice,
+  initReaderTools
+};
@@ -0,0 +1,954 @@
+/**
+ * PPS Article System - Rendering
+ * Pajajaran Physical Society
+ *
+ * Fungsi murni artikel -> string HTML: kartu, halaman detail, daftar isi,
+ * pagination, facet, halaman 404, serta meta tag sosial (Open Graph,
+ * Twitter, JSON-LD). Tanpa DOM, jadi dipakai sama persis oleh browser,
+ * scripts/build.js (pre-render) dan admin.html (pratinjau).
+ *
+ * Browser & Node: import { … } from './render.js'
+ */
+
+import { escapeHTML, sanitizeHTML } from './sanitize.js';
+import { renderMath } from './math.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, getLocale, getArticleLanguages } from './i18n.js';
+import {
+  CONFIG, t, getTopicLabel, getArticleURL, formatDate, formatDateTime, stripHTML,
+  calculateReadingTime, slugify
+} from './core.js';
+import { highlightText, containsSearchHit, getSearchSnippet } from './search.js';
+import { getPublishTime, getArticleStatus, getTagURL, LIST_STATE_DEFAULTS } from './data.js';
+// Mendaftarkan placeholder <div data-widget> ke sanitizer sebelum sanitizeHTML dipakai
+import './widgets.js';
+
+// ==========================================
+// STATUS (DRAFT / TERJADWAL)
+// ==========================================
+
+/**
+ * Status badge for drafts / scheduled articles ('' when published)
+ */
+function generateStatusBadgeHTML(article) {
+  const status = getArticleStatus(article);
+  if (status === 'published') return '';
+
+  return `<span class="status-badge status-badge--${status}">${escapeHTML(t(`status.${status}`))}</span>`;
+}
+
+/**
+ * "DRAFT" banner on the detail page for reviewers ('' when published)
+ */
+function generateStatusBannerHTML(article) {
+  const status = getArticleStatus(article);
+  if (status === 'published') return '';
+
+  const note = status === 'draft'
+    ? t('status.draftNote')
+    : t('status.scheduledNote', { date: formatDateTime(getPublishTime(article)) });
+
+  return `
+    <div class="status-banner status-banner--${status}" role="note">
+      <strong>${escapeHTML(t(`status.${status}`))}</strong>
+      <span>${escapeHTML(note)}</span>
+    </div>
+  `;
+}
+
+// ==========================================
+// TABLE OF CONTENTS & HEADING ANCHORS
+// ==========================================
+
+// Id yang sudah dipakai layout halaman, jangan sampai bentrok dengan heading
+const RESERVED_IDS = [
+  'main-content', 'detailMount', 'loading-state', 'backToTop', 'q', 'cards', 'pager', 'topicChips', 'tagCloud',
+  'libraryShelves', 'libraryTools'
+];
+
+/**
+ * Give every h2/h3 in (sanitized) content a unique slug id + anchor link
+ * -> { html, headings: [{ id, text, level }] }
+ */
+function addHeadingAnchors(html) {
+  const headings = [];
+  const usedIds = new Set(RESERVED_IDS.map(id => id.toLowerCase()));
+
+  const result = html.replace(/<(h[23])([^>]*)>([\s\S]*?)<\/\1>/gi, (match, tag, attrs, inner) => {
+    const text = stripHTML(inner);
+    if (!text) return match;
+
+    const base = slugify(text) || 'bagian';
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+
+    headings.push({ id, text, level: Number(tag[1]) });
+
+    return `
+      <${tag}${attrs} id="${id}">
+        ${inner}
+        <a class="heading-anchor"
+           href="#${id}"
+           data-action="copy-anchor"
+           aria-label="${escapeHTML(t('anchor.label', { title: text }))}"
+           title="${escapeHTML(t('anchor.copy'))}">#</a>
+      </${tag}>
+    `;
+  });
+
+  return { html: result, headings };
+}
+
+/**
+ * Generate "Daftar Isi" sidebar panel (h3 nested under h2)
+ */
+function generateTocHTML(headings) {
+  if (headings.length < CONFIG.tocMinHeadings) return '';
+
+  return `
+    <nav class="panel toc-panel" aria-label="${escapeHTML(t('toc.label'))}">
+      <h4>${escapeHTML(t('toc.title'))}</h4>
+      <ol class="toc-list">
+        ${headings.map(heading => `
+          <li class="toc-item toc-item--h${heading.level}">
+            <a href="#${heading.id}" data-toc-link="${heading.id}">${escapeHTML(heading.text)}</a>
+          </li>
+        `).join('')}
+      </ol>
+    </nav>
+  `;
+}
+
+// ==========================================
+// COVER IMAGES
+// ==========================================
+
+// Lebar cover di layar (atribut sizes), mengikuti grid & breakpoint di styles.css
+const COVER_SIZES = {
+  card: '(max-width: 620px) calc(100vw - 32px), (max-width: 980px) calc(50vw - 28px), 360px',
+  detail: '(max-width: 980px) calc(100vw - 32px), 780px'
+};
+
+const COVER_TYPES = { avif: 'image/avif', webp: 'image/webp' };
+
+/**
+ * Stable background colour for a topic (cover kosong / gagal dimuat)
+ */
+function getTopicColor(topic) {
+  const hue = Array.from(String(topic || '')).reduce((sum, char) => (sum * 31 + char.codePointAt(0)) % 360, 0);
+  return `hsl(${hue}, 38%, 32%)`;
+}
+
+/**
+ * Attributes of a cover frame (.card-media / .article-cover): topic colour,
+ * plus dominant colour + blurred placeholder from scripts/images.js
+ */
+function generateCoverFrameAttributes(article) {
+  const image = article.coverImage;
+  const styles = [`--cover-color:${getTopicColor(article.topic)}`];
+  if (image?.color) styles.push(`--cover-tint:${image.color}`);
+  if (image?.placeholder) styles.push(`--cover-placeholder:url(${image.placeholder})`);
+
+  return `style="${escapeHTML(styles.join(';'))}" data-label="${escapeHTML(getTopicLabel(article.topic))}"`;
+}
+
+/**
+ * Cover <img>; with article.coverImage (scripts/images.js) wrapped in <picture>
+ * with AVIF/WebP srcset + sizes and the intrinsic width/height
+ * (eager: cover di atas lipatan, dimuat duluan)
+ */
+function generateCoverImageHTML(article, { alt, sizes, eager = false }) {
+  const image = article.coverImage;
+  const dimensions = image ? ` width="${image.width}" height="${image.height}"` : '';
+  const loading = eager ? 'fetchpriority="high"' : 'loading="lazy"';
+  const img = `<img src="${escapeHTML(article.cover)}" alt="${escapeHTML(alt)}"${dimensions} ${loading} decoding="async" />`;
+
+  if (!image) return img;
+
+  const sources = image.formats.map(format => {
+    const srcset = image.widths.map(width => `${image.base}-${width}.${format} ${width}w`).join(', ');
+    return `<source type="${COVER_TYPES[format]}" srcset="${escapeHTML(srcset)}" sizes="${sizes}" />`;
+  });
+  return `<picture>${sources.join('')}${img}</picture>`;
+}
+
+// ==========================================
+// HTML GENERATION
+// ==========================================
+
+/**
+ * Generate card HTML for article list
+ * (highlight: search terms to mark in title, excerpt and author;
+ * bookmarked / progress 0..1: state dari koleksi pribadi pembaca)
+ */
+function generateCardHTML(article, { highlight = [], bookmarked = false, progress = null } = {}) {
+  const coverHTML = article.cover
+    ? generateCoverImageHTML(article, { alt: article.coverAlt || article.title, sizes: COVER_SIZES.card })
+    : '';
+
+  // Kalau yang cocok hanya isi artikel, tampilkan potongan konteksnya
+  const contentText = highlight.length > 0 &&
+    !containsSearchHit(article.title, highlight) &&
+    !containsSearchHit(article.excerpt, highlight)
+    ? stripHTML(article.content)
+    : '';
+  const snippet = contentText ? getSearchSnippet(contentText, highlight) : '';
+  const snippetHTML = snippet
+    ? `<p class="card-snippet">${highlightText(snippet, highlight)}</p>`
+    : '';
+
+  const percent = progress === null ? 0 : Math.round(progress * 100);
+  const progressHTML = percent > 0
+    ? `<span class="card-progress" title="${escapeHTML(t('card.progress', { percent }))}"><span style="width:${percent}%"></span></span>`
+    : '';
+
+  // Tombol bookmark di luar link (button tidak boleh ada di dalam <a>)
+  return `
+    <article class="card col-4"
+             data-topic="${escapeHTML(article.topic)}"
+             data-title="${escapeHTML(article.title)}">
+      <a class="card-link"
+         href="${getArticleURL(article.id)}"
+         aria-label="${escapeHTML(t('article.read', { title: article.title }))}">
+        <div class="card-media${article.cover ? '' : ' is-empty'}" ${generateCoverFrameAttributes(article)}>${coverHTML}${progressHTML}</div>
+        <div class="card-body">
+          <div class="card-topic">
+            <span class="dot" aria-hidden="true"></span>
+            ${escapeHTML(getTopicLabel(article.topic))}
+            ${generateStatusBadgeHTML(article)}
+          </div>
+          <h3 class="card-title">${highlightText(article.title, highlight)}</h3>
+          <p class="card-excerpt">${highlightText(article.excerpt || '', highlight)}</p>
+          ${snippetHTML}
+          <div class="card-meta">
+            <span>📅 ${escapeHTML(formatDate(article.date))}</span>
+            <span aria-hidden="true">•</span>
+            <span>✏️ ${highlightText(article.author || t('article.anonymous'), highlight)}</span>
+          </div>
+        </div>
+      </a>
+      <button class="card-bookmark"
+              type="button"
+              data-action="bookmark"
+              data-id="${escapeHTML(article.id)}"
+              aria-pressed="${bookmarked}"
+              aria-label="${escapeHTML(t('bookmark.label', { title: article.title }))}"
+              title="${escapeHTML(t('bookmark.label', { title: article.title }))}">
+        <span class="bookmark-icon" aria-hidden="true">${bookmarked ? '★' : '☆'}</span>
+      </button>
+    </article>
+  `;
+}
+
+/**
+ * Generate "Artikel Terkait" sidebar panel
+ */
+function generateRelatedHTML(related) {
+  if (related.length === 0) return '';
+
+  return `
+    <div class="panel related-panel">
+      <h4>${escapeHTML(t('article.related'))}</h4>
+      ${related.map(item => `
+        <a href="${getArticleURL(item.id)}">
+          <span class="related-title">${escapeHTML(item.title)}</span>
+          <span class="related-meta">${escapeHTML(getTopicLabel(item.topic))} • ${escapeHTML(formatDate(item.date))}</span>
+        </a>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Generate previous/next navigation at the bottom of the article
+ */
+function generateArticleNavHTML(previous, next) {
+  if (!previous && !next) return '';
+
+  const link = (item, direction) => `
+    <a class="article-nav-link article-nav-link--${direction}"
+       href="${getArticleURL(item.id)}"
+       rel="${direction}">
+      <span class="article-nav-label">
+        ${escapeHTML(t(direction === 'prev' ? 'article.previous' : 'article.next'))}
+      </span>
+      <span class="article-nav-title">${escapeHTML(item.title)}</span>
+    </a>
+  `;
+
+  return `
+    <nav class="article-nav" aria-label="${escapeHTML(t('article.adjacent'))}">
+      ${previous ? link(previous, 'prev') : '<span></span>'}
+      ${next ? link(next, 'next') : '<span></span>'}
+    </nav>
+  `;
+}
+
+/**
+ * Generate the series navigator ("Bagian 2 dari 5" + links to every part)
+ */
+function generateSeriesNavHTML(series) {
+  if (!series || series.parts.length < 2) return '';
+
+  const { name, parts, position } = series;
+
+  return `
+    <nav class="series-nav" aria-label="${escapeHTML(t('series.nav', { name }))}">
+      <div class="series-head">
+        <span class="series-name">${escapeHTML(t('series.label', { name }))}</span>
+        <span class="series-part">${escapeHTML(t('series.part', { part: position + 1, total: parts.length }))}</span>
+      </div>
+      <ol class="series-list">
+        ${parts.map((item, index) => `
+          <li>
+            <a href="${getArticleURL(item.id)}"${index === position ? ' aria-current="page"' : ''}>
+              ${escapeHTML(item.title)}
+            </a>
+          </li>
+        `).join('')}
+      </ol>
+    </nav>
+  `;
+}
+
+/**
+ * Generate the tag links of an article (#optik #cahaya)
+ */
+function generateTagListHTML(tags) {
+  if (!Array.isArray(tags) || tags.length === 0) return '';
+
+  return `
+    <span class="tag-list">
+      ${tags.map(tag => `<a class="tag-link" href="${getTagURL(tag)}" rel="tag">#${escapeHTML(tag)}</a>`).join(' ')}
+    </span>
+  `;
+}
+
+// Pilihan panel Tampilan Baca (nilai pertama = default); dipakai juga assets/js/reader.js
+const READER_OPTIONS = {
+  width: ['wide', 'medium', 'narrow'],
+  font: ['sans', 'serif']
+};
+
+/**
+ * Generate the "Tampilan Baca" panel: ukuran huruf, lebar baris, jenis huruf,
+ * mode baca, dengarkan (tombolnya dipasang PPSReader di browser)
+ */
+function generateReaderToolsHTML() {
+  const options = (setting) => READER_OPTIONS[setting].map((value, index) => `
+    <button class="reader-btn${index === 0 ? ' is-active' : ''}" type="button"
+            data-action="reader-setting" data-setting="${setting}" data-value="${value}"
+            aria-pressed="${index === 0}">${escapeHTML(t(`reader.${setting}.${value}`))}</button>
+  `).join('');
+
+  return `
+    <div class="panel reader-tools">
+      <h4>${escapeHTML(t('reader.title'))}</h4>
+      <div class="reader-row">
+        <span class="reader-label">${escapeHTML(t('reader.fontSize'))}</span>
+        <div class="reader-group" role="group" aria-label="${escapeHTML(t('reader.fontSize'))}">
+          <button class="reader-btn" type="button" data-action="reader-font-size" data-step="-1"
+                  aria-label="${escapeHTML(t('reader.smaller'))}" title="${escapeHTML(t('reader.smaller'))}">A−</button>
+          <output class="reader-value" data-reader-value="size">100%</output>
+          <button class="reader-btn" type="button" data-action="reader-font-size" data-step="1"
+                  aria-label="${escapeHTML(t('reader.larger'))}" title="${escapeHTML(t('reader.larger'))}">A+</button>
+        </div>
+      </div>
+      <div class="reader-row">
+        <span class="reader-label">${escapeHTML(t('reader.width'))}</span>
+        <div class="reader-group" role="group" aria-label="${escapeHTML(t('reader.width'))}">${options('width')}</div>
+      </div>
+      <div class="reader-row">
+        <span class="reader-label">${escapeHTML(t('reader.font'))}</span>
+        <div class="reader-group" role="group" aria-label="${escapeHTML(t('reader.font'))}">${options('font')}</div>
+      </div>
+      <div class="reader-actions">
+        <button class="reader-btn reader-btn--block" type="button" data-action="reading-mode" aria-pressed="false">
+          ${escapeHTML(t('reader.focus'))}
+        </button>
+        <div class="reader-listen" role="group" aria-label="${escapeHTML(t('listen.label'))}" data-listen hidden>
+          <button class="reader-btn reader-btn--block" type="button" data-action="listen">${escapeHTML(t('listen.play'))}</button>
+          <button class="reader-btn" type="button" data-action="listen-stop" hidden
+                  aria-label="${escapeHTML(t('listen.stop'))}" title="${escapeHTML(t('listen.stop'))}">■</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate the top reading-progress bar ("sisa X menit"); diisi PPSReader saat scroll.
+ * Tombol keluarnya hanya tampil di mode baca (nav & aside disembunyikan)
+ */
+function generateReadingBarHTML(readingTime) {
+  return `
+    <div class="reading-bar" data-reading-bar data-minutes="${readingTime}">
+      <div class="reading-bar-track" role="progressbar" aria-label="${escapeHTML(t('reader.progress'))}"
+           aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+        <span class="reading-bar-fill"></span>
+      </div>
+      <div class="reading-bar-info">
+        <span class="reading-bar-left">${escapeHTML(t('reader.remaining', { minutes: readingTime }))}</span>
+        <button class="reading-bar-exit" type="button" data-action="reading-mode" aria-pressed="false">
+          ${escapeHTML(t('reader.focusExit'))}
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate detail page HTML
+ * (related / previous / next / series: dihitung dari daftar artikel yang sudah dimuat)
+ */
+function generateDetailHTML(article, { related = [], previous = null, next = null, series = null } = {}) {
+  const coverHTML = article.cover ? `
+    <div class="article-cover" ${generateCoverFrameAttributes(article)}>
+      ${generateCoverImageHTML(article, {
+        alt: article.coverAlt || t('article.coverAlt', { title: article.title }),
+        sizes: COVER_SIZES.detail,
+        eager: true
+      })}
+    </div>
+  ` : '';
+
+  const readingTime = calculateReadingTime(article.content || '');
+  const { html: anchoredContent, headings } = addHeadingAnchors(
+    sanitizeHTML(article.content || `<p>${escapeHTML(t('article.noContent'))}</p>`)
+  );
+  const { html: sanitizedContent } = renderMath(anchoredContent);
+  const tocHTML = generateTocHTML(headings);
+  const topic = escapeHTML(getTopicLabel(article.topic));
+  const author = escapeHTML(article.author || t('article.anonymous'));
+  const tagsHTML = generateTagListHTML(article.tags);
+
+  // Terjemahan belum ada: UI ikut bahasa pilihan, isi artikel tetap bahasa aslinya
+  const untranslated = Boolean(article.lang) && article.lang !== CONFIG.language;
+  const langAttr = untranslated ? ` lang="${escapeHTML(article.lang)}"` : '';
+  const noticeHTML = untranslated
+    ? `<p class="lang-notice" role="note">${escapeHTML(t('article.untranslated'))}</p>`
+    : '';
+
+  return `
+    ${generateReadingBarHTML(readingTime)}
+
+    <section class="hero" role="banner" aria-label="${escapeHTML(t('article.header'))}">
+      <div class="hero-inner">
+        <div class="hero-kicker">
+          ${escapeHTML(t('article.kicker'))} • <span style="opacity:.9">${escapeHTML(t('article.kickerTopic', { topic: getTopicLabel(article.topic) }))}</span>
+        </div>
+        <h1 class="hero-title"${langAttr}>${escapeHTML(article.title)}</h1>
+        <p class="hero-sub"${langAttr}>${escapeHTML(article.excerpt || '')}</p>
+      </div>
+    </section>
+
+    <div class="article-shell">
+      <article class="article" role="main">
+        ${generateStatusBannerHTML(article)}
+
+        ${coverHTML}
+
+        <header class="article-head">
+          <div class="meta-bar">
+            <span class="badge">
+              <span class="dot" aria-hidden="true"></span>
+              ${topic}
+            </span>
+            <span>📅 ${escapeHTML(formatDate(article.date))}</span>
+            <span>✏️ ${author}</span>
+            <span>⏱️ ${escapeHTML(t('article.readingTime', { minutes: readingTime }))}</span>
+          </div>
+
+          <h1 class="article-title"${langAttr}>${escapeHTML(article.title)}</h1>
+        </header>
+
+        ${noticeHTML}
+
+        ${generateSeriesNavHTML(series)}
+
+        <section class="article-content"${langAttr}>
+          ${sanitizedContent}
+        </section>
+
+        ${generateArticleNavHTML(previous, next)}
+      </article>
+
+      <aside class="aside${tocHTML ? ' aside--toc' : ''}" role="complementary" aria-label="${escapeHTML(t('article.aside'))}">
+        <div class="panel">
+          <h4>${escapeHTML(t('article.info'))}</h4>
+          <div style="padding: 4px 10px;">
+            <div style="margin-bottom: 8px;">
+              <strong>${escapeHTML(t('article.topic'))}</strong> ${topic}
+            </div>
+            ${tagsHTML ? `
+            <div style="margin-bottom: 8px;">
+              <strong>${escapeHTML(t('article.tags'))}</strong> ${tagsHTML}
+            </div>
+            ` : ''}
+            <div style="margin-bottom: 8px;">
+              <strong>${escapeHTML(t('article.date'))}</strong> ${escapeHTML(formatDate(article.date))}
+            </div>
+            <div style="margin-bottom: 8px;">
+              <strong>${escapeHTML(t('article.author'))}</strong> ${author}
+            </div>
+            <div>
+              <strong>${escapeHTML(t('article.readingTimeLabel'))}</strong> ${escapeHTML(t('article.minutes', { minutes: readingTime }))}
+            </div>
+          </div>
+        </div>
+
+        <div class="panel">
+          <h4>${escapeHTML(t('article.navigation'))}</h4>
+          <a href="index.html">${escapeHTML(t('article.back'))}</a>
+          <a href="#" data-action="print">${escapeHTML(t('article.print'))}</a>
+          <a href="#" data-action="share">${escapeHTML(t('article.share'))}</a>
+          <a href="#" role="button" data-action="bookmark" data-id="${escapeHTML(article.id)}" aria-pressed="false">${escapeHTML(t('bookmark.add'))}</a>
+          <a href="#" data-action="save-offline">${escapeHTML(t('article.saveOffline'))}</a>
+        </div>
+
+        ${generateReaderToolsHTML()}
+
+        ${generateRelatedHTML(related)}
+
+        ${tocHTML}
+      </aside>
+    </div>
+  `;
+}
+
+// ==========================================
+// PAGINATION
+// ==========================================
+
+const PAGE_ELLIPSIS = 'ellipsis';
+
+/**
+ * Build the list of page numbers to show, with ellipsis for long ranges
+ * e.g. [1, 'ellipsis', 4, 5, 6, 'ellipsis', 12]
+ */
+function getPaginationRange(currentPage, totalPages, siblings = CONFIG.pagerSiblings) {
+  const range = (from, to) =>
+    Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+  // first + last + current + 2 ellipsis + siblings di kedua sisi
+  const maxSlots = siblings * 2 + 5;
+  if (totalPages <= maxSlots) return range(1, totalPages);
+
+  const leftSibling = Math.max(currentPage - siblings, 1);
+  const rightSibling = Math.min(currentPage + siblings, totalPages);
+
+  // Ellipsis hanya dipakai kalau menyembunyikan minimal 2 halaman
+  const showLeftEllipsis = leftSibling > 3;
+  const showRightEllipsis = rightSibling < totalPages - 2;
+  const edgeCount = siblings * 2 + 3;
+
+  if (!showLeftEllipsis) {
+    return [...range(1, edgeCount), PAGE_ELLIPSIS, totalPages];
+  }
+
+  if (!showRightEllipsis) {
+    return [1, PAGE_ELLIPSIS, ...range(totalPages - edgeCount + 1, totalPages)];
+  }
+
+  return [1, PAGE_ELLIPSIS, ...range(leftSibling, rightSibling), PAGE_ELLIPSIS, totalPages];
+}
+
+/**
+ * Generate pagination HTML (prev, numbered pages, next)
+ */
+function generatePaginationHTML(currentPage, totalPages) {
+  const isFirst = currentPage <= 1;
+  const isLast = currentPage >= totalPages;
+
+  const pages = getPaginationRange(currentPage, totalPages).map(page => {
+    if (page === PAGE_ELLIPSIS) {
+      return '<span class="page-ellipsis" aria-hidden="true">…</span>';
+    }
+
+    const isActive = page === currentPage;
+    return `
+      <button class="page-btn${isActive ? ' is-active' : ''}"
+              type="button"
+              data-page="${page}"
+              aria-label="${escapeHTML(t('pager.page', { page }))}"
+              ${isActive ? 'aria-current="page"' : ''}>
+        ${page}
+      </button>
+    `;
+  }).join('');
+
+  return `
+    <button class="page-btn page-btn--nav"
+            type="button"
+            data-page="${currentPage - 1}"
+            aria-label="${escapeHTML(t('pager.previous'))}"
+            ${isFirst ? 'disabled' : ''}>
+      ‹
+    </button>
+    ${pages}
+    <button class="page-btn page-btn--nav"
+            type="button"
+            data-page="${currentPage + 1}"
+            aria-label="${escapeHTML(t('pager.next'))}"
+            ${isLast ? 'disabled' : ''}>
+      ›
+    </button>
+  `;
+}
+
+// ==========================================
+// FACETS
+// ==========================================
+
+/**
+ * Month label for a "YYYY-MM" archive key ("Februari 2026" / "February 2026")
+ */
+function formatArchiveMonth(yearMonth) {
+  const date = new Date(`${yearMonth}-01T00:00:00`);
+  return date.toLocaleDateString(getLocale(CONFIG.language), { month: 'long', year: 'numeric' });
+}
+
+/**
+ * Generate <option>s for the author facet (all distinct authors, with counts)
+ */
+function generateAuthorOptionsHTML(articles, counts, selected) {
+  const authors = Array.from(new Set(articles.map(a => a.author || 'Anonim')))
+    .sort((a, b) => a.localeCompare(b, 'id', { sensitivity: 'base' }));
+
+  // Nilai dari URL yang tidak ada di data tetap ditampilkan (0)
+  if (selected && !authors.includes(selected)) authors.push(selected);
+
+  const option = (value, label) => {
+    const count = counts.get(value) || 0;
+    const disabled = count === 0 && value !== selected;
+    return `
+      <option value="${escapeHTML(value)}"${value === selected ? ' selected' : ''}${disabled ? ' disabled' : ''}>
+        ${escapeHTML(label)} (${count})
+      </option>
+    `;
+  };
+
+  return option('', t('facet.allAuthors')) + authors
+    .map(author => option(author, author === 'Anonim' ? t('article.anonymous') : author))
+    .join('');
+}
+
+/**
+ * Generate <option>s for the year/month archive facet (newest first)
+ */
+function generateArchiveOptionsHTML(articles, counts, selected) {
+  const months = Array.from(new Set(
+    articles.filter(a => a.date).map(a => a.date.slice(0, 7))
+  )).sort().reverse();
+  const years = Array.from(new Set(months.map(m => m.slice(0, 4))));
+
+  const option = (value, label) => {
+    const count = counts.get(value) || 0;
+    const disabled = count === 0 && value !== selected;
+    return `
+      <option value="${value}"${value === selected ? ' selected' : ''}${disabled ? ' disabled' : ''}>
+        ${escapeHTML(label)} (${count})
+      </option>
+    `;
+  };
+
+  return option('', t('facet.allTime')) + years.map(year => `
+    <optgroup label="${year}">
+      ${option(year, t('facet.allYear', { year }))}
+      ${months.filter(m => m.startsWith(year)).map(m => option(m, formatArchiveMonth(m))).join('')}
+    </optgroup>
+  `).join('');
+}
+
+/**
+ * Generate topic chips ("Semua" + every topic in the data)
+ */
+function generateTopicChipsHTML(topics, selected = LIST_STATE_DEFAULTS.topic) {
+  return ['all', ...topics].map(topic => {
+    const isActive = topic === selected;
+    const label = topic === 'all'
+      ? t('list.topicAll')
+      : t('list.topicChip', { topic: getTopicLabel(topic) });
+
+    return `
+      <button class="chip${isActive ? ' is-active' : ''}"
+              type="button"
+              data-topic="${escapeHTML(topic)}"
+              aria-pressed="${isActive}"
+              aria-label="${escapeHTML(label)}">${escapeHTML(getTopicLabel(topic))}</button>
+    `;
+  }).join('');
+}
+
+/**
+ * Generate the tag cloud: size follows the count under the other active filters
+ * (tags tanpa hasil disembunyikan, kecuali yang sedang dipilih)
+ */
+function generateTagCloudHTML(tags, counts, selected = '') {
+  const visible = tags.filter(tag => (counts.get(tag.key) || 0) > 0 || tag.key === selected);
+  if (visible.length === 0) return '';
+
+  const max = Math.max(1, ...visible.map(tag => counts.get(tag.key) || 0));
+  const levels = CONFIG.tagCloudLevels;
+  const active = visible.find(tag => tag.key === selected);
+
+  const links = visible.map(tag => {
+    const count = counts.get(tag.key) || 0;
+    const level = Math.max(1, Math.ceil((count / max) * levels));
+    const isActive = tag.key === selected;
+
+    return `
+      <a class="tag tag--w${level}${isActive ? ' is-active' : ''}"
+         href="${getTagURL(tag.key)}"
+         data-tag="${escapeHTML(tag.key)}"
+         ${isActive ? 'aria-current="true"' : ''}
+         aria-label="${escapeHTML(t('tags.item', { tag: tag.label, count }))}">#${escapeHTML(tag.label)}</a>
+    `;
+  }).join('');
+
+  return `
+    <h3 class="tag-cloud-title">${escapeHTML(t('tags.title'))}</h3>
+    ${active ? `
+      <p class="tag-cloud-active">
+        ${escapeHTML(t('tags.active', { tag: active.label }))}
+        <button class="tag-clear" type="button" data-tag="">${escapeHTML(t('tags.clear'))}</button>
+      </p>
+    ` : ''}
+    <div class="tag-cloud-list">${links}</div>
+  `;
+}
+
+// ==========================================
+// NOT FOUND
+// ==========================================
+
+/**
+ * Generate "article not found" view HTML
+ */
+function generateNotFoundHTML(requestedId, { closest, recent, topic }) {
+  const listHTML = (articles) => `
+    <ul class="not-found-list">
+      ${articles.map(article => `
+        <li>
+          <a href="${getArticleURL(article.id)}">
+            ${escapeHTML(article.title)}
+          </a>
+          <span class="not-found-meta">
+            ${escapeHTML(getTopicLabel(article.topic))} • ${escapeHTML(formatDate(article.date))}
+          </span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+
+  const message = requestedId
+    ? t('notFound.message', { id: requestedId })
+    : t('notFound.noSelection');
+
+  return `
+    <section class="hero" role="banner" aria-label="${escapeHTML(t('notFound.title'))}">
+      <div class="hero-inner">
+        <div class="hero-kicker">${escapeHTML(t('notFound.kicker'))}</div>
+        <h1 class="hero-title">${escapeHTML(t('notFound.title'))}</h1>
+        <p class="hero-sub">${escapeHTML(message)}</p>
+      </div>
+    </section>
+
+    <div class="article-shell">
+      <article class="article not-found" role="main">
+        <section class="article-content">
+          ${closest.length > 0 ? `
+            <h2>${escapeHTML(t('notFound.closest'))}</h2>
+            ${listHTML(closest)}
+          ` : ''}
+
+          ${recent.length > 0 ? `
+            <h2>${escapeHTML(topic ? t('notFound.recentTopic', { topic: getTopicLabel(topic) }) : t('notFound.recent'))}</h2>
+            ${listHTML(recent)}
+          ` : ''}
+        </section>
+      </article>
+
+      <aside class="aside" role="complementary" aria-label="${escapeHTML(t('article.navigation'))}">
+        <div class="panel">
+          <h4>${escapeHTML(t('article.navigation'))}</h4>
+          <a href="index.html">${escapeHTML(t('article.back'))}</a>
+        </div>
+      </aside>
+    </div>
+  `;
+}
+
+// ==========================================
+// SOCIAL METADATA (OPEN GRAPH, TWITTER, JSON-LD)
+// ==========================================
+
+// Field yang wajib ada supaya preview link (WhatsApp, X, Google) tampil lengkap
+const REQUIRED_META = {
+  tags: [
+    'og:type', 'og:title', 'og:description', 'og:image', 'og:url',
+    'article:published_time', 'article:section',
+    'twitter:card', 'twitter:title', 'twitter:description', 'twitter:image'
+  ],
+  jsonLd: ['@type', 'headline', 'description', 'image', 'datePublished', 'author', 'publisher']
+};
+
+// Meta property yang bisa muncul lebih dari sekali di satu halaman
+const REPEATABLE_META = ['og:locale:alternate', 'article:tag'];
+
+/**
+ * Canonical URL, meta tags, JSON-LD and hreflang alternates for an article
+ * baseURL: URL root situs (absolut), semua URL di metadata harus absolut
+ * article.lang (dari localizeArticle): bahasa versi ini, default Bahasa Indonesia
+ */
+function getArticleMeta(article, { baseURL }) {
+  const language = article.lang || DEFAULT_LANGUAGE;
+  const languages = getArticleLanguages(article);
+  const urlFor = lang => new URL(getArticleURL(article.id, lang), baseURL).href;
+
+  const url = urlFor(language);
+  const image = article.cover ? new URL(article.cover, baseURL).href : '';
+  const imageAlt = article.coverAlt || article.title;
+  const title = article.title;
+  const description = article.excerpt || '';
+
+  const tags = [
+    ['property', 'og:type', 'article'],
+    ['property', 'og:site_name', CONFIG.siteName],
+    ['property', 'og:locale', LANGUAGES[language].ogLocale],
+    ...languages
+      .filter(lang => lang !== language)
+      .map(lang => ['property', 'og:locale:alternate', LANGUAGES[lang].ogLocale]),
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ['property', 'og:image', image],
+    ['property', 'og:image:width', image && article.coverImage ? String(article.coverImage.width) : ''],
+    ['property', 'og:image:height', image && article.coverImage ? String(article.coverImage.height) : ''],
+    ['property', 'og:image:alt', image ? imageAlt : ''],
+    ['property', 'article:published_time', article.date],
+    ['property', 'article:section', article.topic],
+    ['property', 'article:author', article.author || ''],
+    ...(article.tags || []).map(tag => ['property', 'article:tag', tag]),
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image],
+    ['name', 'twitter:image:alt', image ? imageAlt : '']
+  ]
+    .filter(([, , content]) => content)
+    .map(([attr, key, content]) => ({ attr, key, content }));
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': article.topic === 'Berita' ? 'NewsArticle' : 'Article',
+    headline: title,
+    description: description || undefined,
+    image: image ? [image] : undefined,
+    datePublished: article.date,
+    dateModified: article.date,
+    inLanguage: language,
+    articleSection: article.topic,
+    keywords: article.tags?.length ? article.tags.join(', ') : undefined,
+    isPartOf: article.series
+      ? { '@type': 'CreativeWorkSeries', name: article.series.name }
+      : undefined,
+    author: article.author ? { '@type': 'Person', name: article.author } : undefined,
+    publisher: {
+      '@type': 'Organization',
+      name: CONFIG.siteName,
+      logo: { '@type': 'ImageObject', url: new URL(CONFIG.siteLogo, baseURL).href }
+    },
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url }
+  };
+
+  // Hanya artikel yang punya terjemahan; x-default = versi Indonesia
+  const alternates = languages.length > 1
+    ? [
+      ...languages.map(lang => ({ hreflang: lang, href: urlFor(lang) })),
+      { hreflang: 'x-default', href: urlFor(DEFAULT_LANGUAGE) }
+    ]
+    : [];
+
+  return { canonical: url, tags, jsonLd, alternates };
+}
+
+/**
+ * List missing metadata fields -> [] when complete
+ */
+function validateArticleMeta(meta) {
+  const errors = [];
+  const present = new Set(meta.tags.filter(tag => tag.content).map(tag => tag.key));
+
+  if (!meta.canonical) errors.push('missing canonical URL');
+
+  REQUIRED_META.tags.forEach(key => {
+    if (!present.has(key)) errors.push(`missing ${key}`);
+  });
+
+  if (!meta.jsonLd) {
+    errors.push('missing JSON-LD block');
+  } else {
+    REQUIRED_META.jsonLd.forEach(key => {
+      if (meta.jsonLd[key] === undefined || meta.jsonLd[key] === '') {
+        errors.push(`missing JSON-LD ${key}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Metadata as <head> markup (untuk halaman hasil build)
+ */
+function generateMetaTagsHTML(meta) {
+  // "<" di-escape supaya isi JSON tidak bisa menutup <script>
+  const json = JSON.stringify(meta.jsonLd).replace(/</g, '\\u003c');
+
+  return [
+    `<link rel="canonical" href="${escapeHTML(meta.canonical)}" />`,
+    ...(meta.alternates || []).map(({ hreflang, href }) =>
+      `<link rel="alternate" hreflang="${escapeHTML(hreflang)}" href="${escapeHTML(href)}" />`
+    ),
+    ...meta.tags.map(tag =>
+      `<meta ${tag.attr}="${escapeHTML(tag.key)}" content="${escapeHTML(tag.content)}" />`
+    ),
+    `<script type="application/ld+json">${json}</script>`
+  ].join('\n  ');
+}
+
+export {
+  generateStatusBadgeHTML,
+  generateStatusBannerHTML,
+  RESERVED_IDS,
+  addHeadingAnchors,
+  generateTocHTML,
+  COVER_SIZES,
+  getTopicColor,
+  generateCoverFrameAttributes,
+  generateCoverImageHTML,
+  generateCardHTML,
+  generateRelatedHTML,
+  generateArticleNavHTML,
+  generateSeriesNavHTML,
+  generateTagListHTML,
+  READER_OPTIONS,
+  generateReaderToolsHTML,
+  generateReadingBarHTML,
+  generateDetailHTML,
+  PAGE_ELLIPSIS,
+  getPaginationRange,
+  generatePaginationHTML,
+  formatArchiveMonth,
+  generateAuthorOptionsHTML,
+  generateArchiveOptionsHTML,
+  generateTopicChipsHTML,
+  generateTagCloudHTML,
+  generateNotFoundHTML,
+  REQUIRED_META,
+  REPEATABLE_META,
+  getArticleMeta,
+  validateArticleMeta,
+  generateMetaTagsHTML
+};
@@ -0,0 +1,427 @@
+/**
+ * PPS Article System - HTML Sanitizer
+ * Pajajaran Physical Society
+ *
+ * Allowlist-based sanitizer untuk `content` artikel.
+ * - Hanya tag & atribut yang terdaftar yang lolos, sisanya dibuang
+ * - URL (href/src/cite) dicek skemanya (http, https, mailto, tel, relatif)
+ * - Link eksternal otomatis dapat rel="noopener noreferrer"
+ * - <div data-widget="..."> hanya lolos untuk widget yang didaftarkan lewat
+ *   registerWidget(), beserta atribut data-* miliknya yang nilainya valid
+ * - Output dibangun ulang dari token (tidak pakai innerHTML),
+ *   jadi jalan sama persis di browser dan di Node
+ *
+ * Browser & Node: import { … } from './sanitize.js'
+ */
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+const SANITIZER_CONFIG = {
+  // tag -> atribut yang boleh (selain globalAttributes)
+  allowedTags: {
+    p: [], br: [], hr: [], div: [], span: [],
+    h2: [], h3: [], h4: [], h5: [], h6: [],
+    strong: [], b: [], em: [], i: [], u: [], s: [], small: [],
+    sub: [], sup: [], mark: [], del: [], ins: [], abbr: [],
+    code: [], pre: [], kbd: [], samp: [], var: [],
+    blockquote: ['cite'], q: ['cite'], cite: [],
+    ul: [], ol: ['start', 'reversed', 'type'], li: ['value'],
+    dl: [], dt: [], dd: [],
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    figure: [], figcaption: [],
+    table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+    th: ['colspan', 'rowspan', 'scope'], td: ['colspan', 'rowspan']
+  },
+
+  globalAttributes: ['title', 'lang', 'dir'],
+
+  // Dibuang beserta seluruh isinya
+  dropWithContent: [
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'svg', 'math', 'template', 'noscript', 'noembed', 'noframes', 'textarea',
+    'select', 'title', 'xmp', 'plaintext', 'head', 'audio', 'video'
+  ],
+
+  // Isinya tidak di-parse sebagai HTML oleh browser (raw text)
+  rawTextTags: [
+    'script', 'style', 'iframe', 'noembed', 'noframes', 'noscript',
+    'textarea', 'title', 'xmp', 'plaintext'
+  ],
+
+  voidTags: ['br', 'hr', 'img'],
+
+  urlAttributes: ['href', 'src', 'cite'],
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+
+  // Validasi nilai atribut tertentu
+  attributePatterns: {
+    width: /^\d{1,4}$/,
+    height: /^\d{1,4}$/,
+    colspan: /^\d{1,3}$/,
+    rowspan: /^\d{1,3}$/,
+    start: /^-?\d{1,6}$/,
+    value: /^-?\d{1,6}$/,
+    type: /^[1aAiI]$/,
+    reversed: /^(reversed)?$/,
+    scope: /^(row|col|rowgroup|colgroup)$/,
+    loading: /^(lazy|eager)$/,
+    target: /^_blank$/,
+    dir: /^(ltr|rtl|auto)$/,
+    lang: /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/
+  },
+
+  // Widget interaktif: nama -> { 'data-xxx': pola nilai } (diisi registerWidget)
+  widgets: {}
+};
+
+// Nama tag / entity dari input ("constructor", "__proto__") hanya dicari
+// di property milik objek config sendiri, bukan di Object.prototype
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// ==========================================
+// ESCAPING
+// ==========================================
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape HTML special characters (safe for text and quoted attributes)
+ */
+function escapeHTML(str) {
+  return String(str ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+// Named entities yang relevan untuk cek URL; entity lain dibiarkan literal
+// (lalu di-escape ulang, jadi tetap aman)
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  colon: ':', tab: '\t', newline: '\n', sol: '/', lpar: '(', rpar: ')',
+  period: '.', comma: ',', semi: ';', equals: '='
+};
+
+/**
+ * Decode character references in an attribute value
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+    }
+    const name = ref.toLowerCase();
+    return hasOwn(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : match;
+  });
+}
+
+/**
+ * Escape a text node, keeping well-formed character references as-is
+ */
+function escapeText(text) {
+  return text
+    .replace(/&(?!(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// ==========================================
+// URL CHECKS
+// ==========================================
+
+/**
+ * Check a (decoded) URL against the scheme allowlist; relative URLs pass
+ */
+function isSafeURL(value) {
+  // Browser mengabaikan whitespace/control char di dalam skema: "java\tscript:"
+  const compact = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+
+  if (!scheme) return true;
+  return SANITIZER_CONFIG.allowedSchemes.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Absolute http(s) or protocol-relative link -> treated as external
+ */
+function isExternalURL(value) {
+  return /^(?:https?:)?\/\//i.test(value.trim());
+}
+
+// ==========================================
+// TOKENIZER
+// ==========================================
+
+const ATTRIBUTE_PATTERN =
+  /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Parse the attribute part of a start tag -> [{ name, value }]
+ */
+function parseAttributes(source) {
+  const attributes = [];
+  let match;
+
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes.push({ name: match[1].toLowerCase(), value: decodeEntities(value) });
+  }
+
+  return attributes;
+}
+
+/**
+ * Find the end of a tag ('>' outside quotes), starting after its name
+ */
+function findTagEnd(html, from) {
+  let quote = null;
+
+  for (let i = from; i < html.length; i++) {
+    const ch = html[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Split HTML into text / start / end tokens (comments & doctypes dropped)
+ */
+function tokenize(html) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < html.length) {
+    const lt = html.indexOf('<', i);
+
+    if (lt === -1) {
+      tokens.push({ type: 'text', value: html.slice(i) });
+      break;
+    }
+
+    if (lt > i) tokens.push({ type: 'text', value: html.slice(i, lt) });
+
+    // Comment
+    if (html.startsWith('<!--', lt)) {
+      const end = html.indexOf('-->', lt + 4);
+      i = end === -1 ? html.length : end + 3;
+      continue;
+    }
+
+    // Doctype, CDATA, processing instruction, bogus comment
+    if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+      const end = html.indexOf('>', lt + 2);
+      i = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    const tagMatch = /^<(\/?)([a-zA-Z][^\s/>]*)/.exec(html.slice(lt, lt + 64));
+
+    // '<' yang bukan tag -> teks biasa
+    if (!tagMatch) {
+      tokens.push({ type: 'text', value: '<' });
+      i = lt + 1;
+      continue;
+    }
+
+    const [matched, slash, rawName] = tagMatch;
+    const end = findTagEnd(html, lt + matched.length);
+
+    // Tag tidak ditutup sampai akhir dokumen -> buang sisanya
+    if (end === -1) break;
+
+    const name = rawName.toLowerCase();
+    const inner = html.slice(lt + matched.length, end);
+
+    if (slash) {
+      tokens.push({ type: 'end', name });
+    } else {
+      tokens.push({
+        type: 'start',
+        name,
+        attributes: parseAttributes(inner),
+        selfClosing: /\/\s*$/.test(inner)
+      });
+    }
+
+    i = end + 1;
+
+    // Isi raw text (mis. <script>) dilewati sampai tag penutupnya
+    if (!slash && SANITIZER_CONFIG.rawTextTags.includes(name)) {
+      const close = html.toLowerCase().indexOf(`</${name}`, i);
+      if (close === -1) break;
+      i = close;
+    }
+  }
+
+  return tokens;
+}
+
+// ==========================================
+// SANITIZER
+// ==========================================
+
+/**
+ * Allow a widget placeholder: <div data-widget="name" data-xxx="...">
+ * Every data-* attribute needs an anchored pattern for its value.
+ */
+function registerWidget(name, attributes = {}) {
+  if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+    throw new Error(`Invalid widget name: ${name}`);
+  }
+
+  Object.entries(attributes).forEach(([attribute, pattern]) => {
+    if (!/^data-[a-z][a-z0-9-]*$/.test(attribute) || attribute === 'data-widget') {
+      throw new Error(`Invalid attribute for widget ${name}: ${attribute}`);
+    }
+    if (!pattern || typeof pattern.test !== 'function') {
+      throw new Error(`Missing value pattern for ${name} ${attribute}`);
+    }
+  });
+
+  SANITIZER_CONFIG.widgets[name] = { ...attributes };
+}
+
+/**
+ * Extra attribute patterns for a registered widget placeholder (else none)
+ */
+function getWidgetPatterns(tag, attributes) {
+  if (tag !== 'div') return {};
+
+  const widget = attributes.find(attribute => attribute.name === 'data-widget');
+  const name = widget ? widget.value.trim() : '';
+  if (!hasOwn(SANITIZER_CONFIG.widgets, name)) return {};
+
+  return { 'data-widget': /^[a-z][a-z0-9-]*$/, ...SANITIZER_CONFIG.widgets[name] };
+}
+
+/**
+ * Keep only allowed + valid attributes for a tag
+ */
+function sanitizeAttributes(tag, attributes) {
+  const widgetPatterns = getWidgetPatterns(tag, attributes);
+  const allowed = [
+    ...SANITIZER_CONFIG.globalAttributes,
+    ...(hasOwn(SANITIZER_CONFIG.allowedTags, tag) ? SANITIZER_CONFIG.allowedTags[tag] : []),
+    ...Object.keys(widgetPatterns)
+  ];
+  const result = {};
+
+  attributes.forEach(({ name, value }) => {
+    if (!allowed.includes(name) || name in result) return;
+
+    const pattern = widgetPatterns[name] || SANITIZER_CONFIG.attributePatterns[name];
+    if (pattern && !pattern.test(value.trim())) return;
+
+    if (SANITIZER_CONFIG.urlAttributes.includes(name) && !isSafeURL(value)) return;
+
+    result[name] = value.trim();
+  });
+
+  if (tag === 'a' && result.href && (isExternalURL(result.href) || result.target)) {
+    result.rel = 'noopener noreferrer';
+  } else if (tag === 'a') {
+    delete result.rel;
+  }
+
+  return result;
+}
+
+/**
+ * Serialize a start tag with escaped, double-quoted attributes
+ */
+function renderStartTag(tag, attributes) {
+  const attrs = Object.entries(attributes)
+    .map(([name, value]) => (value === '' && name === 'reversed'
+      ? ` ${name}`
+      : ` ${name}="${escapeHTML(value)}"`))
+    .join('');
+  return `<${tag}${attrs}>`;
+}
+
+/**
+ * Sanitize untrusted HTML against the allowlist
+ */
+function sanitizeHTML(html) {
+  const { allowedTags, dropWithContent, voidTags } = SANITIZER_CONFIG;
+  const tokens = tokenize(String(html ?? ''));
+  const openTags = [];
+  let output = '';
+
+  // Dropped container: { name, depth } -> semua token di dalamnya dibuang
+  let dropping = null;
+
+  tokens.forEach(token => {
+    if (dropping) {
+      if (token.name === dropping.name) {
+        if (token.type === 'start' && !token.selfClosing) dropping.depth++;
+        if (token.type === 'end') dropping.depth--;
+        if (dropping.depth === 0) dropping = null;
+      }
+      return;
+    }
+
+    if (token.type === 'text') {
+      output += escapeText(token.value);
+      return;
+    }
+
+    const { name } = token;
+
+    if (token.type === 'start') {
+      if (dropWithContent.includes(name)) {
+        if (!token.selfClosing) dropping = { name, depth: 1 };
+        return;
+      }
+
+      // Tag tidak dikenal: tag dibuang, isinya tetap
+      if (!hasOwn(allowedTags, name)) return;
+
+      const attributes = sanitizeAttributes(name, token.attributes);
+      if (name === 'img' && !attributes.src) return;
+      if (name === 'a' && !attributes.href) delete attributes.target;
+
+      output += renderStartTag(name, attributes);
+      if (!voidTags.includes(name)) openTags.push(name);
+      return;
+    }
+
+    // End tag: tutup sampai tag yang cocok; end tag nyasar diabaikan
+    const index = openTags.lastIndexOf(name);
+    if (index === -1) return;
+
+    while (openTags.length > index) {
+      output += `</${openTags.pop()}>`;
+    }
+  });
+
+  while (openTags.length > 0) {
+    output += `</${openTags.pop()}>`;
+  }
+
+  return output;
+}
+
+export {
+  SANITIZER_CONFIG,
+  escapeHTML,
+  sanitizeHTML,
+  isSafeURL,
+  registerWidget
+};
@@ -1,120 +1,65 @@
 /**
- * PPS Article System - Enhanced Script
+ * PPS Article System - Page Controllers
  * Pajajaran Physical Society
  *
- * Improvements:
- * - Better error handling
- * - Loading states
- * - Local storage caching
- * - Debounced search
- * - Smooth animations
- * - Accessibility improvements
- * - Performance optimizations
- * + Micro interactions: Ripple + Press animation (cards/chips/buttons/links)
+ * Menghubungkan modul-modul ke halaman (index.html, article-detail.html):
+ * daftar artikel + pencarian + filter, halaman detail, koleksi pembaca,
+ * offline, bahasa, pratinjau draft. Logika murninya ada di modul terpisah
+ * yang juga jalan di Node (scripts/, test/):
+ *
+ *   core.js    CONFIG, teks UI, URL & format tanggal
+ *   search.js  indeks pencarian, highlight, cuplikan
+ *   data.js    memuat & memvalidasi artikel, koleksi, state daftar, facet
+ *   render.js  artikel -> HTML (kartu, detail, pagination, meta tag)
+ *   micro.js   ripple + press animation
+ *   reader.js  tampilan baca, mode baca, bar progres, dengarkan (detail)
+ *
+ * File ini entry module halaman (<script type="module">); modul lain dimuat
+ * lewat import. theme.js pengecualian: script biasa tanpa defer di <head>
+ * supaya tema terpasang sebelum halaman digambar, jadi dibaca dari
+ * window.PPSTheme.
  */
 
 // ==========================================
-// CONFIGURATION
+// MODULES
 // ==========================================
 
-const CONFIG = {
-  dataPath: 'data/articles.txt',
-  cacheKey: 'pps_articles_cache',
-  cacheDuration: 5 * 60 * 1000, // 5 minutes
-  searchDebounce: 300, // ms
-  wordsPerMinute: 200,
-  animationDuration: 300,
-  topics: ['all', 'Konten', 'Berita', 'Edukasi']
-};
+import { escapeHTML, sanitizeHTML } from './sanitize.js';
+import { hydrateWidgets } from './widgets.js';
+import { DEFAULT_LANGUAGE, normalizeLanguage, resolveLanguage, localizeArticle } from './i18n.js';
 
-// ==========================================
-// UTILITY FUNCTIONS
-// ==========================================
+import {
+  CONFIG, t, debounce, setURLParams, getURLParam, getArticleIdFromPath, getArticleURL,
+  getHashTarget, parsePageParam, calculateReadingTime, PREFERS_REDUCED_MOTION
+} from './core.js';
 
-/**
- * Debounce function to limit execution rate
- */
-function debounce(func, wait) {
-  let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
-    clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
-  };
-}
+import { parseSearchQuery, buildSearchIndex, searchArticles } from './search.js';
 
-/**
- * Escape HTML to prevent XSS
- */
-function escapeHTML(str) {
-  const div = document.createElement('div');
-  div.textContent = str ?? '';
-  return div.innerHTML;
-}
+import {
+  loadArticles, clearCache, getRelatedArticles,
+  getTopics, getTags, getArticleSeries,
+  LIBRARY_FORMAT, LIBRARY_VERSION, mergeLibraries, getLibrary, saveLibrary, clearLibraryCache,
+  isBookmarked, toggleBookmark, getReadingEntry, saveReadingProgress, sortByLastRead, parseLibraryExport,
+  LIST_FILTER_KEYS, readListState, writeListState, matchesListFilters, sortArticles, getFacetCounts,
+  resolveArticle, getNotFoundSuggestions, getAdjacentArticles
+} from './data.js';
 
-/**
- * Sanitize HTML content (basic sanitization)
- */
-function sanitizeHTML(html) {
-  const temp = document.createElement('div');
-  temp.innerHTML = html;
-
-  // Remove script tags
-  const scripts = temp.querySelectorAll('script');
-  scripts.forEach(script => script.remove());
-
-  // Remove event handlers
-  const allElements = temp.querySelectorAll('*');
-  allElements.forEach(el => {
-    Array.from(el.attributes).forEach(attr => {
-      if (attr.name.startsWith('on')) {
-        el.removeAttribute(attr.name);
-      }
-    });
-  });
+import {
+  generateCardHTML, generateDetailHTML, generatePaginationHTML,
+  generateAuthorOptionsHTML, generateArchiveOptionsHTML, generateTopicChipsHTML, generateTagCloudHTML,
+  generateNotFoundHTML, REPEATABLE_META, getArticleMeta
+} from './render.js';
 
-  return temp.innerHTML;
-}
+import { initMicroInteractions } from './micro.js';
 
-/**
- * Get URL parameter value
- */
-function getURLParam(name) {
-  const params = new URLSearchParams(window.location.search);
-  return params.get(name);
-}
+import { initReaderTools, getContentProgress } from './reader.js';
 
-/**
- * Format date to Indonesian format
- */
-function formatDate(isoDate) {
-  try {
-    const date = new Date(isoDate + 'T00:00:00');
-    return date.toLocaleDateString('id-ID', {
-      day: '2-digit',
-      month: 'short',
-      year: 'numeric'
-    });
-  } catch (error) {
-    console.error('Date formatting error:', error);
-    return isoDate;
-  }
-}
+// theme.js bukan module: script biasa di <head> (lihat catatan di atas)
+const { getThemePreference, getNextTheme, setTheme } = window.PPSTheme;
 
-/**
- * Calculate reading time in minutes
- */
-function calculateReadingTime(html) {
-  const text = (html || '')
-    .replace(/<[^>]*>/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-  const words = text ? text.split(' ').length : 0;
-  return Math.max(1, Math.ceil(words / CONFIG.wordsPerMinute));
-}
+// ==========================================
+// UI STATES
+// ==========================================
 
 /**
  * Show loading indicator
@@ -123,7 +68,7 @@ function showLoading(element) {
   element.innerHTML = `
     <div class="card col-12" style="padding: 40px; text-align: center;">
       <div class="loading" style="margin: 0 auto 16px;"></div>
-      <p class="card-excerpt">Memuat artikel...</p>
+      <p class="card-excerpt">${escapeHTML(t('state.loading'))}</p>
     </div>
   `;
 }
@@ -134,10 +79,10 @@ function showLoading(element) {
 function showError(element, message) {
   element.innerHTML = `
     <div class="card col-12" style="padding: 24px; background: #fee; outline-color: #fcc;">
-      <div class="card-title" style="color: #c33;">⚠️ Error</div>
+      <div class="card-title" style="color: #c33;">⚠️ ${escapeHTML(t('state.error'))}</div>
       <p class="card-excerpt" style="color: #a22;">${escapeHTML(message)}</p>
       <button onclick="location.reload()" class="chip" style="margin-top: 12px;">
-        Muat Ulang
+        ${escapeHTML(t('state.reload'))}
       </button>
     </div>
   `;
@@ -146,326 +91,375 @@ function showError(element, message) {
 /**
  * Show empty state
  */
-function showEmptyState(element, message = 'Tidak ada artikel ditemukan') {
+function showEmptyState(element, message = t('state.empty')) {
   element.innerHTML = `
     <div class="card col-12" style="padding: 40px; text-align: center;">
       <div style="font-size: 48px; margin-bottom: 16px;">📭</div>
       <div class="card-title">${escapeHTML(message)}</div>
-      <p class="card-excerpt">Coba ganti filter atau kata kunci pencarian.</p>
+      <p class="card-excerpt">${escapeHTML(t('state.emptyHint'))}</p>
     </div>
   `;
 }
 
 // ==========================================
-// MICRO INTERACTIONS (RIPPLE + PRESS)
+// COVER IMAGES
 // ==========================================
 
-const PREFERS_REDUCED_MOTION =
-  window.matchMedia?.('(prefers-reduced-motion: reduce)')?.matches ?? false;
-
-const MICRO_NAV_DELAY = 170; // ms supaya animasi terlihat sebelum pindah halaman
-
-function pressAnim(el) {
-  if (PREFERS_REDUCED_MOTION || !el || typeof el.animate !== 'function') return;
+const COVER_IMAGES = '.card-media img, .article-cover img';
 
-  el.animate(
-    [
-      { transform: 'scale(1)' },
-      { transform: 'scale(0.985)' },
-      { transform: 'scale(1)' }
-    ],
-    { duration: 160, easing: 'ease-out' }
-  );
+/**
+ * Broken cover -> topic-coloured placeholder (lihat .is-broken di styles.css)
+ */
+function markBrokenCover(img) {
+  img.closest('.card-media, .article-cover')?.classList.add('is-broken');
 }
 
-function rippleAnim(target, ev) {
-  if (PREFERS_REDUCED_MOTION || !target) return;
-
-  const rect = target.getBoundingClientRect();
-  const size = Math.max(rect.width, rect.height);
+/**
+ * Watch cover images for load errors, also for cards rendered later
+ */
+function initCoverFallbacks() {
+  // Event error tidak bubble -> tangkap di fase capture
+  document.addEventListener('error', (e) => {
+    if (e.target instanceof HTMLImageElement && e.target.matches(COVER_IMAGES)) {
+      markBrokenCover(e.target);
+    }
+  }, true);
 
-  const clientX =
-    ev && typeof ev.clientX === 'number' ? ev.clientX : rect.left + rect.width / 2;
-  const clientY =
-    ev && typeof ev.clientY === 'number' ? ev.clientY : rect.top + rect.height / 2;
+  // Cover hasil pre-render yang sudah gagal sebelum script ini jalan
+  document.querySelectorAll(COVER_IMAGES).forEach(img => {
+    if (img.complete && img.naturalWidth === 0) markBrokenCover(img);
+  });
+}
 
-  const x = clientX - rect.left - size / 2;
-  const y = clientY - rect.top - size / 2;
+// ==========================================
+// PUBLISHING & PREVIEW
+// ==========================================
 
-  const ripple = document.createElement('span');
-  ripple.className = 'ripple';
-  ripple.style.width = `${size}px`;
-  ripple.style.height = `${size}px`;
-  ripple.style.left = `${x}px`;
-  ripple.style.top = `${y}px`;
+/**
+ * Preview mode: draft dan artikel terjadwal ikut tampil (dengan banner)
+ * - hanya di localhost / file:// (scripts/dev-server.js), lewat ?preview
+ * - bertahan di tab ini (sessionStorage) sampai ?preview=off
+ * Situs hasil build tidak membawa draft sama sekali (scripts/build.js)
+ */
+function initPreviewMode() {
+  const param = getURLParam('preview');
+  const isLocal = window.location.protocol === 'file:' ||
+    ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
 
-  const cs = getComputedStyle(target);
-  if (cs.position === 'static') target.style.position = 'relative';
-  if (cs.overflow === 'visible') target.style.overflow = 'hidden';
+  try {
+    if (param === 'off') {
+      sessionStorage.removeItem(CONFIG.previewKey);
+    } else if (param !== null && isLocal) {
+      sessionStorage.setItem(CONFIG.previewKey, '1');
+    }
+    CONFIG.preview = isLocal && sessionStorage.getItem(CONFIG.previewKey) === '1';
+  } catch {
+    CONFIG.preview = false;
+  }
 
-  target.appendChild(ripple);
-  setTimeout(() => ripple.remove(), 650);
+  if (CONFIG.preview) {
+    // Hasil build tidak punya halaman artikel/<id>/ untuk draft
+    CONFIG.prettyURLs = false;
+    initPreviewBanner();
+  }
 }
 
 /**
- * Event delegation -> otomatis berlaku untuk konten yang dirender ulang (cards)
+ * Banner at the top of the page while preview mode is on, with an exit link
  */
-function initMicroInteractions() {
-  document.addEventListener('click', (e) => {
-    const t = e.target;
-    if (!t) return;
+function initPreviewBanner() {
+  const banner = document.createElement('div');
+  banner.className = 'preview-banner';
+  banner.setAttribute('role', 'status');
+
+  const exitURL = new URL(window.location.href);
+  exitURL.searchParams.set('preview', 'off');
+
+  banner.innerHTML = `
+    <strong>${escapeHTML(t('preview.label'))}</strong>
+    <span>${escapeHTML(t('preview.banner'))}</span>
+    <a href="${escapeHTML(exitURL.href)}">${escapeHTML(t('preview.exit'))}</a>
+  `;
+  document.body.prepend(banner);
+}
 
-    // Element yang diberi animasi
-    const el = t.closest('.card, .chip, .page-btn, .panel a, .search-icon');
-    if (!el) return;
+// ==========================================
+// TABLE OF CONTENTS & HEADING ANCHORS
+// ==========================================
 
-    rippleAnim(el, e);
-    pressAnim(el);
+/**
+ * Scroll-spy: highlight the TOC link of the section being read
+ */
+function initScrollSpy(root) {
+  const links = root.querySelectorAll('[data-toc-link]');
+  if (links.length === 0) return;
 
-    // Delay navigasi hanya untuk CARD (biar ripple terlihat)
-    if (el.classList.contains('card') && el.tagName === 'A') {
-      // jangan ganggu middle-click / ctrl-cmd click / open new tab
-      if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+  const headings = Array.from(links)
+    .map(link => document.getElementById(link.dataset.tocLink))
+    .filter(Boolean);
 
-      const href = el.getAttribute('href');
-      const targetAttr = (el.getAttribute('target') || '').toLowerCase();
-      const openNew = targetAttr === '_blank';
+  let ticking = false;
 
-      if (!href || href === '#' || openNew) return;
+  const update = () => {
+    ticking = false;
 
-      e.preventDefault();
-      setTimeout(() => {
-        window.location.href = href;
-      }, MICRO_NAV_DELAY);
-    }
-  });
+    // Heading terakhir yang sudah lewat batas atas viewport
+    let current = headings[0];
+    headings.forEach(heading => {
+      if (heading.getBoundingClientRect().top <= CONFIG.scrollOffset) current = heading;
+    });
 
-  // Keyboard support (Enter/Space) untuk tombol
-  document.addEventListener('keydown', (e) => {
-    if (e.key !== 'Enter' && e.key !== ' ') return;
-    const active = document.activeElement;
-    if (!active) return;
+    links.forEach(link => {
+      const isActive = link.dataset.tocLink === current?.id;
+      link.classList.toggle('is-active', isActive);
+      if (isActive) link.setAttribute('aria-current', 'location');
+      else link.removeAttribute('aria-current');
+    });
+  };
 
-    const el = active.closest?.('.chip, .page-btn');
-    if (!el) return;
+  window.addEventListener('scroll', () => {
+    if (!ticking) {
+      ticking = true;
+      requestAnimationFrame(update);
+    }
+  }, { passive: true });
 
-    rippleAnim(el, null);
-    pressAnim(el);
-  });
+  update();
 }
 
 // ==========================================
-// DATA MANAGEMENT
+// PAGINATION
 // ==========================================
 
 /**
- * Load articles from file or cache
+ * Render pagination into the pager nav (hidden when only one page)
  */
-async function loadArticles() {
-  try {
-    // Check cache first
-    const cached = getCachedData();
-    if (cached) {
-      console.log('Using cached data');
-      return cached;
-    }
-
-    // Fetch from file
-    console.log('Fetching fresh data...');
-    const response = await fetch(CONFIG.dataPath, {
-      cache: 'no-store',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+function renderPagination(pager, currentPage, totalPages) {
+  if (!pager) return;
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+  if (totalPages <= 1) {
+    pager.innerHTML = '';
+    pager.style.display = 'none';
+    return;
+  }
 
-    const data = await response.json();
+  pager.innerHTML = generatePaginationHTML(currentPage, totalPages);
+  pager.style.display = '';
+}
 
-    // Validate data
-    if (!Array.isArray(data)) {
-      throw new Error('Data format invalid: expected array');
-    }
+// ==========================================
+// OFFLINE SUPPORT
+// ==========================================
 
-    // Cache the data
-    setCachedData(data);
+/**
+ * Register the service worker (only over http/https)
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
 
-    return data;
-  } catch (error) {
-    console.error('Error loading articles:', error);
-    throw new Error(`Gagal memuat data: ${error.message}`);
-  }
+  navigator.serviceWorker.register(CONFIG.serviceWorkerPath).catch(error => {
+    console.error('Service worker registration error:', error);
+  });
 }
 
 /**
- * Get cached data if valid
+ * Show/hide the offline banner following navigator.onLine
  */
-function getCachedData() {
-  try {
-    const cached = localStorage.getItem(CONFIG.cacheKey);
-    if (!cached) return null;
+function initOfflineBanner() {
+  const banner = document.createElement('div');
+  banner.className = 'offline-banner';
+  banner.setAttribute('role', 'status');
+  banner.setAttribute('aria-live', 'polite');
+  banner.hidden = true;
+  banner.innerHTML = `
+    <span aria-hidden="true">📴</span>
+    ${escapeHTML(t('offline.banner'))}
+  `;
+  document.body.appendChild(banner);
 
-    const { data, timestamp } = JSON.parse(cached);
-    const now = Date.now();
+  const update = () => {
+    banner.hidden = navigator.onLine;
+    document.body.classList.toggle('is-offline', !navigator.onLine);
+  };
 
-    // Check if cache is still valid
-    if (now - timestamp < CONFIG.cacheDuration) {
-      return data;
-    }
+  window.addEventListener('online', update);
+  window.addEventListener('offline', update);
+  update();
+}
 
-    // Clear expired cache
-    localStorage.removeItem(CONFIG.cacheKey);
-    return null;
-  } catch (error) {
-    console.error('Cache retrieval error:', error);
-    return null;
+/**
+ * Ids of articles saved for offline reading
+ */
+function getOfflineSavedIds() {
+  try {
+    return JSON.parse(localStorage.getItem(CONFIG.offlineSavedKey)) || [];
+  } catch {
+    return [];
   }
 }
 
 /**
- * Set cached data
+ * Save an article for offline reading: page, data, cover and content images
  */
-function setCachedData(data) {
-  try {
-    const cacheObject = {
-      data,
-      timestamp: Date.now()
-    };
-    localStorage.setItem(CONFIG.cacheKey, JSON.stringify(cacheObject));
-  } catch (error) {
-    console.error('Cache storage error:', error);
+async function saveArticleOffline(article) {
+  if (!('caches' in window)) {
+    throw new Error(t('error.offlineUnsupported'));
   }
+
+  const cache = await caches.open(CONFIG.offlineCacheName);
+  const pageURL = getArticleURL(article.id);
+
+  await cache.addAll([pageURL, CONFIG.dataPath]);
+
+  // Gambar dari host lain disimpan sebagai opaque response (no-cors)
+  const imageURLs = [
+    article.cover,
+    ...Array.from(
+      sanitizeHTML(article.content || '').matchAll(/<img[^>]*\ssrc="([^"]+)"/g),
+      match => match[1].replace(/&amp;/g, '&')
+    )
+  ].filter(Boolean);
+
+  await Promise.all(imageURLs.map(async (url) => {
+    try {
+      const response = await fetch(url, { mode: 'no-cors' });
+      await cache.put(url, response);
+    } catch (error) {
+      console.warn('Offline image cache error:', url, error);
+    }
+  }));
+
+  const saved = new Set(getOfflineSavedIds());
+  saved.add(article.id);
+  localStorage.setItem(CONFIG.offlineSavedKey, JSON.stringify(Array.from(saved)));
 }
 
 /**
- * Clear cache
+ * Wire the "Simpan untuk dibaca offline" button on the detail page
  */
-function clearCache() {
-  try {
-    localStorage.removeItem(CONFIG.cacheKey);
-    console.log('Cache cleared');
-  } catch (error) {
-    console.error('Cache clear error:', error);
+function initSaveOffline(root, article) {
+  const button = root.querySelector('[data-action="save-offline"]');
+  if (!button) return;
+
+  const markSaved = () => {
+    button.textContent = t('offline.saved');
+    button.setAttribute('aria-disabled', 'true');
+  };
+
+  if (!('caches' in window)) {
+    button.remove();
+    return;
   }
+
+  if (getOfflineSavedIds().includes(article.id)) markSaved();
+
+  button.addEventListener('click', async (e) => {
+    e.preventDefault();
+    if (button.getAttribute('aria-disabled') === 'true') return;
+
+    button.textContent = t('offline.saving');
+    try {
+      await saveArticleOffline(article);
+      markSaved();
+    } catch (error) {
+      console.error('Save offline error:', error);
+      button.textContent = t('offline.failed');
+    }
+  });
 }
 
 // ==========================================
-// HTML GENERATION
+// READER LIBRARY (BOOKMARKS & READING HISTORY)
 // ==========================================
 
 /**
- * Generate card HTML for article list
+ * Download the library as a JSON file
  */
-function generateCardHTML(article) {
-  const coverHTML = article.cover
-    ? `<img src="${escapeHTML(article.cover)}" alt="${escapeHTML(article.title)}" loading="lazy" />`
-    : '';
-
-  return `
-    <a class="card col-4"
-       href="article-detail.html?id=${encodeURIComponent(article.id)}"
-       data-topic="${escapeHTML(article.topic)}"
-       data-title="${escapeHTML(article.title)}"
-       aria-label="Baca artikel ${escapeHTML(article.title)}">
-      <div class="card-media">${coverHTML}</div>
-      <div class="card-body">
-        <div class="card-topic">
-          <span class="dot" aria-hidden="true"></span>
-          ${escapeHTML(article.topic)}
-        </div>
-        <h3 class="card-title">${escapeHTML(article.title)}</h3>
-        <p class="card-excerpt">${escapeHTML(article.excerpt || '')}</p>
-        <div class="card-meta">
-          <span>📅 ${escapeHTML(formatDate(article.date))}</span>
-          <span aria-hidden="true">•</span>
-          <span>✏️ ${escapeHTML(article.author || 'Anonim')}</span>
-        </div>
-      </div>
-    </a>
-  `;
+function exportLibrary() {
+  const data = {
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...getLibrary()
+  };
+
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `pps-koleksi-${data.exportedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
 /**
- * Generate detail page HTML
+ * Import a library file and merge it -> jumlah bookmark & riwayat di file
  */
-function generateDetailHTML(article) {
-  const coverHTML = article.cover ? `
-    <div class="article-cover">
-      <img src="${escapeHTML(article.cover)}" alt="Cover ${escapeHTML(article.title)}" />
-    </div>
-  ` : '';
-
-  const readingTime = calculateReadingTime(article.content || '');
-  const sanitizedContent = sanitizeHTML(article.content || '<p>Konten tidak tersedia.</p>');
-
-  return `
-    <section class="hero" role="banner" aria-label="Header artikel">
-      <div class="hero-inner">
-        <div class="hero-kicker">
-          ARTIKEL • <span style="opacity:.9">TOPIK: ${escapeHTML(article.topic)}</span>
-        </div>
-        <h1 class="hero-title">${escapeHTML(article.title)}</h1>
-        <p class="hero-sub">${escapeHTML(article.excerpt || '')}</p>
-      </div>
-    </section>
-
-    <div class="article-shell">
-      <article class="article" role="main">
-        ${coverHTML}
-
-        <header class="article-head">
-          <div class="meta-bar">
-            <span class="badge">
-              <span class="dot" aria-hidden="true"></span>
-              ${escapeHTML(article.topic)}
-            </span>
-            <span>📅 ${escapeHTML(formatDate(article.date))}</span>
-            <span>✏️ ${escapeHTML(article.author || 'Anonim')}</span>
-            <span>⏱️ ${readingTime} menit baca</span>
-          </div>
-
-          <h1 class="article-title">${escapeHTML(article.title)}</h1>
-        </header>
-
-        <section class="article-content">
-          ${sanitizedContent}
-        </section>
-      </article>
-
-      <aside class="aside" role="complementary" aria-label="Informasi tambahan">
-        <div class="panel">
-          <h4>Info Artikel</h4>
-          <div style="padding: 4px 10px;">
-            <div style="margin-bottom: 8px;">
-              <strong>Topik:</strong> ${escapeHTML(article.topic)}
-            </div>
-            <div style="margin-bottom: 8px;">
-              <strong>Tanggal:</strong> ${escapeHTML(formatDate(article.date))}
-            </div>
-            <div style="margin-bottom: 8px;">
-              <strong>Penulis:</strong> ${escapeHTML(article.author || 'Anonim')}
-            </div>
-            <div>
-              <strong>Waktu Baca:</strong> ${readingTime} menit
-            </div>
-          </div>
-        </div>
-
-        <div class="panel">
-          <h4>Navigasi</h4>
-          <a href="index.html">← Kembali ke daftar</a>
-          <a href="#" onclick="window.print(); return false;">🖨️ Cetak artikel</a>
-          <a href="#"
-             onclick="navigator.share?.({title: '${escapeHTML(article.title)}', url: window.location.href}); return false;">
-             📤 Bagikan
-          </a>
-        </div>
-      </aside>
-    </div>
-  `;
+async function importLibrary(file) {
+  const incoming = parseLibraryExport(await file.text());
+  saveLibrary(mergeLibraries(getLibrary(), incoming));
+
+  return {
+    bookmarks: Object.keys(incoming.bookmarks).length,
+    history: Object.keys(incoming.history).length
+  };
+}
+
+/**
+ * Reflect bookmark state on every toggle ([data-action="bookmark"][data-id])
+ * Tombol kartu hanya ikon, link di panel artikel pakai teks
+ */
+function syncBookmarkButtons(root = document) {
+  root.querySelectorAll('[data-action="bookmark"]').forEach(button => {
+    const pressed = isBookmarked(button.dataset.id);
+    button.setAttribute('aria-pressed', String(pressed));
+
+    const icon = button.querySelector('.bookmark-icon');
+    if (icon) icon.textContent = pressed ? '★' : '☆';
+    else button.textContent = t(pressed ? 'bookmark.added' : 'bookmark.add');
+  });
+}
+
+/**
+ * Track how far the article has been read and restore the position on return
+ * -> true kalau posisi baca sebelumnya dipulihkan
+ */
+function initReadingProgress(root, article) {
+  const content = root.querySelector('.article-content');
+  if (!content) return false;
+
+  const save = () => {
+    saveReadingProgress(article.id, { scrollY: window.scrollY, progress: getContentProgress(content) });
+  };
+
+  // Dibuka = masuk riwayat; posisi lama dipertahankan sampai pembaca scroll
+  const entry = getReadingEntry(article.id);
+  saveReadingProgress(article.id, entry || { scrollY: 0, progress: 0 });
+
+  window.addEventListener('scroll', debounce(save, CONFIG.progressSaveDelay), { passive: true });
+  window.addEventListener('pagehide', save);
+
+  // Tidak dipulihkan kalau link menuju bagian tertentu (#...) atau sudah selesai dibaca
+  const restore = Boolean(entry) && entry.scrollY > 0 && entry.progress < 1 &&
+    !getHashTarget(window.location.hash);
+
+  if (restore) window.scrollTo({ top: entry.scrollY, behavior: 'auto' });
+  return restore;
+}
+
+/**
+ * Keep bookmark toggles in sync, also with changes made in other tabs
+ */
+function initLibrary() {
+  document.addEventListener('pps:library', () => syncBookmarkButtons());
+
+  window.addEventListener('storage', (e) => {
+    if (e.key !== CONFIG.libraryKey) return;
+    clearLibraryCache();
+    document.dispatchEvent(new CustomEvent('pps:library'));
+  });
 }
 
 // ==========================================
@@ -481,39 +475,137 @@ async function initArticleList() {
 
   const searchInput = document.getElementById('q');
   const searchButton = document.getElementById('btnSearch');
-  const topicChips = document.querySelectorAll('.chip[data-topic]');
+  const searchForm = searchInput?.closest('.search');
+  const topicGroup = document.getElementById('topicChips');
+  const tagCloud = document.getElementById('tagCloud');
+  const pager = document.getElementById('pager');
+  const sortSelect = document.getElementById('sortOrder');
+  const authorSelect = document.getElementById('authorFilter');
+  const archiveSelect = document.getElementById('archiveFilter');
+  const resultCount = document.getElementById('resultCount');
+  const shelfGroup = document.getElementById('libraryShelves');
+  const libraryTools = document.getElementById('libraryTools');
+
+  document.title = `${t('page.listTitle')} - ${CONFIG.siteName}`;
+  const metaDesc = document.querySelector('meta[name="description"]');
+  if (metaDesc) metaDesc.content = t('page.listDescription');
+
+  // Chip topik dibuat ulang dari data, jadi selalu dicari ulang
+  const getTopicChips = () => document.querySelectorAll('.chip[data-topic]');
 
   let articles = [];
-  let activeTopicFilter = 'all';
-  let searchQuery = '';
+  let topics = null;
+  let tags = [];
+  let searchIndex = null;
+  let readingTimes = new Map();
+  let filteredArticles = [];
+
+  // State list (filter, query, urutan, halaman) selalu sinkron dengan URL
+  let listState = readListState();
+
+  // Sync controls (chips + search input) with the current state
+  const syncControls = () => {
+    getTopicChips().forEach(chip => {
+      const isActive = chip.dataset.topic === listState.topic;
+      chip.classList.toggle('is-active', isActive);
+      chip.setAttribute('aria-pressed', String(isActive));
+    });
+
+    if (searchInput && searchInput.value.trim() !== listState.q) {
+      searchInput.value = listState.q;
+    }
+    searchForm?.classList.toggle('is-filled', Boolean(listState.q));
+
+    if (sortSelect) sortSelect.value = listState.sort;
+
+    shelfGroup?.querySelectorAll('.chip[data-shelf]').forEach(chip => {
+      const isActive = chip.dataset.shelf === listState.shelf;
+      chip.classList.toggle('is-active', isActive);
+      chip.setAttribute('aria-pressed', String(isActive));
+    });
+    if (libraryTools) libraryTools.hidden = !listState.shelf;
+  };
+
+  // Counts on chips + rebuild tag cloud and author/archive facets
+  const renderChipCount = (chip, count) => {
+    let badge = chip.querySelector('.chip-count');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'chip-count';
+      chip.appendChild(badge);
+    }
+    badge.textContent = count || 0;
+  };
+
+  const renderFacets = (counts) => {
+    getTopicChips().forEach(chip => {
+      renderChipCount(chip, counts.topic.get(chip.dataset.topic));
+    });
+    shelfGroup?.querySelectorAll('.chip[data-shelf]').forEach(chip => {
+      renderChipCount(chip, counts.shelf.get(chip.dataset.shelf));
+    });
+
+    if (tagCloud) {
+      tagCloud.innerHTML = generateTagCloudHTML(tags, counts.tag, listState.tag);
+      tagCloud.hidden = tagCloud.innerHTML === '';
+    }
+
+    // Halaman tag: ?tag=optik -> "Tag #optik - ..."
+    const tagLabel = tags.find(tag => tag.key === listState.tag)?.label || listState.tag;
+    document.title = listState.tag
+      ? `${t('page.tagTitle', { tag: tagLabel })} - ${CONFIG.siteName}`
+      : `${t('page.listTitle')} - ${CONFIG.siteName}`;
 
-  // Show loading state
-  showLoading(cardsContainer);
+    if (authorSelect) {
+      authorSelect.innerHTML = generateAuthorOptionsHTML(articles, counts.author, listState.author);
+    }
+    if (archiveSelect) {
+      archiveSelect.innerHTML = generateArchiveOptionsHTML(articles, counts.archive, listState.archive);
+    }
+  };
+
+  syncControls();
+
+  // Show loading state (halaman hasil build sudah berisi kartu)
+  if (!cardsContainer.hasAttribute('data-prerendered')) {
+    showLoading(cardsContainer);
+  }
 
   try {
-    // Load articles
-    articles = await loadArticles();
+    // Load articles (judul/ringkasan/isi mengikuti bahasa UI kalau ada terjemahannya)
+    articles = (await loadArticles()).map(article => localizeArticle(article, CONFIG.language));
 
-    // Apply filters and render
-    const applyFilters = () => {
-      const query = (searchQuery || '').toLowerCase().trim();
+    // Topik & tag diambil dari data; ?topic= dicocokkan ulang dengan topik yang ada
+    topics = getTopics(articles);
+    tags = getTags(articles);
+    listState = readListState(window.location.search, topics);
 
-      const filtered = articles.filter(article => {
-        const matchesTopic =
-          activeTopicFilter === 'all' || article.topic === activeTopicFilter;
+    if (topicGroup) topicGroup.innerHTML = generateTopicChipsHTML(topics, listState.topic);
+    syncControls();
 
-        const matchesSearch =
-          !query ||
-          (article.title || '').toLowerCase().includes(query) ||
-          (article.excerpt || '').toLowerCase().includes(query);
+    // Index pencarian dibangun sekali setelah data dimuat
+    searchIndex = buildSearchIndex(articles);
+    readingTimes = new Map(articles.map(a => [a.id, calculateReadingTime(a.content)]));
 
-        return matchesTopic && matchesSearch;
-      });
+    // Render the current page of filtered articles
+    const renderPage = () => {
+      const totalPages = Math.max(1, Math.ceil(filteredArticles.length / CONFIG.pageSize));
+      listState.page = Math.min(Math.max(1, listState.page), totalPages);
 
-      if (filtered.length === 0) {
+      const start = (listState.page - 1) * CONFIG.pageSize;
+      const pageArticles = filteredArticles.slice(start, start + CONFIG.pageSize);
+
+      if (pageArticles.length === 0) {
         showEmptyState(cardsContainer);
       } else {
-        cardsContainer.innerHTML = filtered.map(generateCardHTML).join('');
+        const highlight = parseSearchQuery(listState.q);
+        cardsContainer.innerHTML = pageArticles
+          .map(article => generateCardHTML(article, {
+            highlight,
+            bookmarked: isBookmarked(article.id),
+            progress: getReadingEntry(article.id)?.progress ?? null
+          }))
+          .join('');
 
         // Optional: fade-in animation (butuh keyframes fadeInUp di CSS)
         requestAnimationFrame(() => {
@@ -524,50 +616,261 @@ async function initArticleList() {
         });
       }
 
+      renderPagination(pager, listState.page, totalPages);
+
+      if (resultCount) {
+        resultCount.textContent = t('list.count', { count: filteredArticles.length });
+      }
+
       cardsContainer.setAttribute('aria-live', 'polite');
-      cardsContainer.setAttribute('aria-label', `${filtered.length} artikel ditemukan`);
+      cardsContainer.setAttribute(
+        'aria-label',
+        totalPages > 1
+          ? t('list.foundPaged', { count: filteredArticles.length, page: listState.page, total: totalPages })
+          : t('list.found', { count: filteredArticles.length })
+      );
     };
 
-    // Topic filter event listeners
-    topicChips.forEach(chip => {
-      chip.addEventListener('click', () => {
-        topicChips.forEach(c => c.classList.remove('is-active'));
-        chip.classList.add('is-active');
-        activeTopicFilter = chip.dataset.topic;
+    // Apply filters and render
+    // "relevance": dengan query urut skor pencarian, tanpa query terbaru dulu
+    // (di "Terakhir dibaca": yang terakhir dibuka dulu)
+    const applyFilters = () => {
+      const searchResults = searchArticles(searchIndex, listState.q)
+        .map(result => result.article);
+      const hasQuery = parseSearchQuery(listState.q).length > 0;
+      const matches = searchResults.filter(article => matchesListFilters(article, listState));
+
+      filteredArticles = listState.shelf === 'history' && listState.sort === 'relevance' && !hasQuery
+        ? sortByLastRead(matches)
+        : sortArticles(matches, listState.sort, { hasQuery, readingTimes });
+
+      renderFacets(getFacetCounts(searchResults, listState));
+      renderPage();
+    };
+
+    /**
+     * Change list state, update URL + history, re-render
+     * Perubahan filter/urutan selalu kembali ke halaman 1
+     */
+    const updateState = (changes, { push = true, source = null } = {}) => {
+      const filtersChanged = LIST_FILTER_KEYS.some(
+        key => key in changes && changes[key] !== listState[key]
+      );
+
+      const next = { ...listState, ...changes };
+      if (filtersChanged) next.page = 1;
+
+      if (Object.keys(next).every(key => next[key] === listState[key])) return;
+
+      listState = next;
+      syncControls();
+
+      if (filtersChanged) applyFilters();
+      else renderPage();
+
+      // Halaman bisa di-clamp saat render, jadi URL ditulis setelahnya
+      writeListState(listState, { push, source });
+    };
+
+    // Pagination (event delegation, tombol dirender ulang tiap pindah halaman)
+    pager?.addEventListener('click', (e) => {
+      const btn = e.target.closest('.page-btn');
+      if (!btn || btn.disabled) return;
+
+      updateState({ page: parsePageParam(btn.dataset.page) });
+
+      const section = cardsContainer.closest('.section') || cardsContainer;
+      section.scrollIntoView({ behavior: PREFERS_REDUCED_MOTION ? 'auto' : 'smooth', block: 'start' });
+    });
+
+    // Topic chips + tag cloud (event delegation, isinya dirender ulang)
+    topicGroup?.addEventListener('click', (e) => {
+      const chip = e.target.closest('.chip[data-topic]');
+      if (chip) updateState({ topic: chip.dataset.topic });
+    });
+
+    // Klik filter koleksi yang sedang aktif = lepas filternya
+    shelfGroup?.addEventListener('click', (e) => {
+      const chip = e.target.closest('.chip[data-shelf]');
+      if (chip) updateState({ shelf: chip.dataset.shelf === listState.shelf ? '' : chip.dataset.shelf });
+    });
+
+    // Koleksi berubah (bookmark, impor, tab lain): kartu hanya dirender ulang kalau
+    // filter koleksi aktif, selain itu cukup hitungannya (fokus tombol tidak hilang)
+    document.addEventListener('pps:library', () => {
+      if (listState.shelf) {
         applyFilters();
-      });
+        return;
+      }
+      const searchResults = searchArticles(searchIndex, listState.q)
+        .map(result => result.article);
+      renderFacets(getFacetCounts(searchResults, listState));
+    });
+
+    const libraryStatus = libraryTools?.querySelector('.library-status');
+
+    libraryTools?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-library-action="export"]')) exportLibrary();
+    });
+
+    libraryTools?.addEventListener('change', async (e) => {
+      const input = e.target.closest('[data-library-action="import"]');
+      const file = input?.files[0];
+      if (!file) return;
+
+      try {
+        libraryStatus.textContent = t('library.imported', await importLibrary(file));
+      } catch (error) {
+        console.error('Library import error:', error);
+        libraryStatus.textContent = t('library.importFailed', { message: error.message });
+      }
+      input.value = '';
+    });
+
+    tagCloud?.addEventListener('click', (e) => {
+      const link = e.target.closest('[data-tag]');
+      if (!link) return;
+
+      e.preventDefault();
+      // Klik tag yang sedang aktif = lepas filter tag
+      updateState({ tag: link.dataset.tag === listState.tag ? '' : link.dataset.tag });
+    });
+
+    // Sort + facets
+    sortSelect?.addEventListener('change', () => {
+      updateState({ sort: sortSelect.value });
+    });
+    authorSelect?.addEventListener('change', () => {
+      updateState({ author: authorSelect.value });
+    });
+    archiveSelect?.addEventListener('change', () => {
+      updateState({ archive: archiveSelect.value });
     });
 
     // Search with debounce
+    // Satu sesi mengetik = satu entry history (ketikan berikutnya di-replace)
     const debouncedSearch = debounce(() => {
-      searchQuery = searchInput?.value || '';
-      applyFilters();
+      const typing = window.history.state?.source === 'search';
+      updateState(
+        { q: (searchInput?.value || '').trim() },
+        { push: !typing, source: 'search' }
+      );
     }, CONFIG.searchDebounce);
 
-    searchInput?.addEventListener('input', debouncedSearch);
-    searchButton?.addEventListener('click', () => {
-      searchQuery = searchInput?.value || '';
-      applyFilters();
+    const commitSearch = () => {
+      updateState({ q: (searchInput?.value || '').trim() });
+    };
+
+    searchInput?.addEventListener('input', () => {
+      searchForm?.classList.toggle('is-filled', Boolean(searchInput.value));
+      debouncedSearch();
     });
+    searchButton?.addEventListener('click', commitSearch);
     searchInput?.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        searchQuery = searchInput?.value || '';
-        applyFilters();
-      }
+      if (e.key === 'Enter') commitSearch();
+    });
+
+    // Back/forward: restore state from URL without pushing history
+    window.addEventListener('popstate', () => {
+      listState = readListState(window.location.search, topics);
+      syncControls();
+      applyFilters();
     });
 
-    // Initial render
+    // Initial render (state dari URL), lalu normalisasi URL-nya
     applyFilters();
+    writeListState(listState, { source: window.history.state?.source ?? null });
 
   } catch (error) {
     showError(cardsContainer, error.message);
   }
 }
 
+// ==========================================
+// NOT FOUND & REDIRECTS
+// ==========================================
+
+/**
+ * Add or update <meta name="robots">
+ */
+function setRobotsMeta(content) {
+  let meta = document.querySelector('meta[name="robots"]');
+  if (!meta) {
+    meta = document.createElement('meta');
+    meta.name = 'robots';
+    document.head.appendChild(meta);
+  }
+  meta.content = content;
+}
+
+// ==========================================
+// SOCIAL METADATA (OPEN GRAPH, TWITTER, JSON-LD)
+// ==========================================
+
+/**
+ * Apply metadata to the current document (replaces earlier values)
+ */
+function applyArticleMeta(meta) {
+  let canonical = document.querySelector('link[rel="canonical"]');
+  if (!canonical) {
+    canonical = document.createElement('link');
+    canonical.rel = 'canonical';
+    document.head.appendChild(canonical);
+  }
+  canonical.href = meta.canonical;
+
+  document.head.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => link.remove());
+  (meta.alternates || []).forEach(({ hreflang, href }) => {
+    const link = document.createElement('link');
+    link.rel = 'alternate';
+    link.hreflang = hreflang;
+    link.href = href;
+    document.head.appendChild(link);
+  });
+
+  // Tag yang boleh muncul berkali-kali ditulis ulang semuanya
+  document.head.querySelectorAll(REPEATABLE_META.map(key => `meta[property="${key}"]`).join(','))
+    .forEach(tag => tag.remove());
+
+  meta.tags.forEach(({ attr, key, content }) => {
+    let tag = REPEATABLE_META.includes(key) ? null : document.head.querySelector(`meta[${attr}="${key}"]`);
+    if (!tag) {
+      tag = document.createElement('meta');
+      tag.setAttribute(attr, key);
+      document.head.appendChild(tag);
+    }
+    tag.content = content;
+  });
+
+  let jsonLd = document.head.querySelector('script[type="application/ld+json"]');
+  if (!jsonLd) {
+    jsonLd = document.createElement('script');
+    jsonLd.type = 'application/ld+json';
+    document.head.appendChild(jsonLd);
+  }
+  jsonLd.textContent = JSON.stringify(meta.jsonLd);
+}
+
 // ==========================================
 // ARTICLE DETAIL PAGE
 // ==========================================
 
+/**
+ * Attach detail page behaviours to rendered (or pre-rendered) article HTML
+ * -> true kalau posisi baca terakhir dipulihkan
+ */
+function hydrateArticleDetail(mountElement, article) {
+  initScrollSpy(mountElement);
+  initSaveOffline(mountElement, article);
+  syncBookmarkButtons(mountElement);
+  hydrateWidgets(mountElement.querySelector('.article-content') || mountElement);
+
+  // Setelah widget terpasang supaya tinggi halaman sudah final; ukuran huruf
+  // pembaca dipasang dulu karena ikut menentukan posisi baca yang dipulihkan
+  initReaderTools(mountElement);
+  return initReadingProgress(mountElement, article);
+}
+
 /**
  * Initialize article detail page
  */
@@ -575,45 +878,245 @@ async function initArticleDetail() {
   const mountElement = document.getElementById('detailMount');
   if (!mountElement) return;
 
+  // Halaman hasil build: HTML artikel (Bahasa Indonesia) sudah ada, tinggal pasang interaksinya
+  const prerenderedId = mountElement.dataset.prerendered;
+  if (prerenderedId && CONFIG.language === DEFAULT_LANGUAGE) {
+    const articles = await loadArticles().catch(() => []);
+    const article = articles.find(a => a.id === prerenderedId);
+    if (article) {
+      hydrateArticleDetail(mountElement, article);
+      return;
+    }
+  }
+
   showLoading(mountElement);
 
   try {
-    const articleId = getURLParam('id');
-    const articles = await loadArticles();
+    // 404.html hasil build dilayani untuk alamat yang tidak ada: slug dari path
+    const articleId = prerenderedId || getURLParam('id') ||
+      (CONFIG.prettyURLs ? getArticleIdFromPath(window.location.pathname) : null);
 
-    let article = articles.find(a => a.id === articleId);
+    // Halaman build hanya membawa artikelnya sendiri; versi bahasa lain dirender
+    // ulang dari data lengkap (artikel terkait, sebelum/berikutnya)
+    const articles = (await loadArticles({ embedded: !prerenderedId }))
+      .map(article => localizeArticle(article, CONFIG.language));
 
-    if (!article && articles.length > 0) {
-      article = articles[0];
-      console.warn(`Article with ID "${articleId}" not found, using first article`);
+    if (articles.length === 0) {
+      throw new Error(t('error.noArticles'));
     }
 
+    const { article, viaAlias } = resolveArticle(articles, articleId);
+
     if (!article) {
-      throw new Error('Tidak ada artikel tersedia. Periksa file data/articles.txt');
+      console.warn(`Article with ID "${articleId}" not found`);
+
+      document.title = `${t('notFound.title')} - ${CONFIG.siteName}`;
+      setRobotsMeta('noindex');
+
+      mountElement.innerHTML = generateNotFoundHTML(
+        articleId,
+        getNotFoundSuggestions(articles, articleId)
+      );
+      return;
     }
 
-    document.title = `${article.title} - Pajajaran Physical Society`;
+    // Slug lama -> ganti URL ke id yang sekarang (tanpa entry history baru)
+    if (viaAlias) {
+      setURLParams({ id: article.id });
+    }
+
+    document.title = `${article.title} - ${CONFIG.siteName}`;
 
     const metaDesc = document.querySelector('meta[name="description"]');
     if (metaDesc) metaDesc.content = article.excerpt || article.title;
 
-    mountElement.innerHTML = generateDetailHTML(article);
+    // baseURI: root situs (halaman build pakai <base href="../../">)
+    applyArticleMeta(getArticleMeta(article, { baseURL: document.baseURI }));
+
+    mountElement.innerHTML = generateDetailHTML(article, {
+      related: getRelatedArticles(article, articles),
+      series: getArticleSeries(article, articles),
+      ...getAdjacentArticles(article, articles)
+    });
+
+    const restored = hydrateArticleDetail(mountElement, article);
 
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+    // Link ke bagian tertentu (#pembahasan) baru bisa di-scroll setelah render
+    const hashTarget = getHashTarget(window.location.hash);
+
+    if (hashTarget) {
+      hashTarget.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } else if (!restored) {
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
 
   } catch (error) {
     showError(mountElement, error.message);
   }
 }
 
+// ==========================================
+// LANGUAGE
+// ==========================================
+
+// Atribut teks statis yang ikut diterjemahkan: data-i18n-<atribut>="key"
+const I18N_ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+
+/**
+ * Pick the UI language: ?lang= > saved choice > Bahasa Indonesia
+ * (?lang= yang valid sekaligus disimpan sebagai pilihan)
+ */
+function initLanguage() {
+  const fromURL = normalizeLanguage(getURLParam('lang'));
+  let saved = null;
+
+  try {
+    saved = localStorage.getItem(CONFIG.languageKey);
+    if (fromURL) localStorage.setItem(CONFIG.languageKey, fromURL);
+  } catch (error) {
+    console.error('Language storage error:', error);
+  }
+
+  CONFIG.language = resolveLanguage(fromURL, saved);
+  document.documentElement.lang = CONFIG.language;
+}
+
+/**
+ * Translate static page text: data-i18n="key" (isi teks) + data-i18n-<atribut>
+ */
+function applyStaticTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  I18N_ATTRIBUTES.forEach(attribute => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+}
+
+/**
+ * Language switcher buttons ([data-lang]): simpan pilihan, muat ulang dengan ?lang=
+ * (URL-nya bisa dibagikan dan tetap membuka bahasa yang sama)
+ */
+function initLanguageSwitcher() {
+  document.querySelectorAll('button[data-lang]').forEach(button => {
+    const language = normalizeLanguage(button.dataset.lang);
+    const isActive = language === CONFIG.language;
+
+    button.classList.toggle('is-active', isActive);
+    button.setAttribute('aria-pressed', String(isActive));
+
+    button.addEventListener('click', () => {
+      if (!language || language === CONFIG.language) return;
+
+      try {
+        localStorage.setItem(CONFIG.languageKey, language);
+      } catch (error) {
+        console.error('Language storage error:', error);
+      }
+
+      const url = new URL(window.location.href);
+      if (language === DEFAULT_LANGUAGE) url.searchParams.delete('lang');
+      else url.searchParams.set('lang', language);
+      window.location.href = url.href;
+    });
+  });
+}
+
+// ==========================================
+// THEME
+// ==========================================
+
+const THEME_ICONS = { system: '◐', light: '☀', dark: '☾' };
+
+/**
+ * Theme toggle ([data-theme-toggle]): sistem -> terang -> gelap; tema sudah
+ * dipasang theme.js, di sini hanya tombolnya (ikon + label) yang diurus
+ */
+function initThemeSwitcher() {
+  const buttons = document.querySelectorAll('button[data-theme-toggle]');
+  if (buttons.length === 0) return;
+
+  const update = () => {
+    const preference = getThemePreference();
+    const label = t('theme.label', { theme: t(`theme.${preference}`) });
+
+    buttons.forEach(button => {
+      button.textContent = THEME_ICONS[preference];
+      button.dataset.themeToggle = preference;
+      button.setAttribute('aria-label', label);
+      button.title = label;
+    });
+  };
+
+  buttons.forEach(button => {
+    button.addEventListener('click', () => setTheme(getNextTheme(getThemePreference())));
+  });
+
+  window.addEventListener('pps:themechange', update);
+  update();
+}
+
 // ==========================================
 // INITIALIZATION
 // ==========================================
 
+/**
+ * Page actions (print / share / bookmark / copy anchor) via data-action, tanpa inline onclick
+ */
+function initPageActions() {
+  document.addEventListener('click', (e) => {
+    const trigger = e.target.closest?.('[data-action]');
+    if (!trigger) return;
+
+    const action = trigger.dataset.action;
+
+    if (action === 'print') {
+      e.preventDefault();
+      window.print();
+    }
+
+    // Link heading: tetap scroll (smooth scroll handler), plus salin URL-nya
+    if (action === 'copy-anchor') {
+      navigator.clipboard?.writeText(trigger.href).then(() => {
+        trigger.classList.add('is-copied');
+        trigger.setAttribute('title', t('anchor.copied'));
+        setTimeout(() => {
+          trigger.classList.remove('is-copied');
+          trigger.setAttribute('title', t('anchor.copy'));
+        }, 1500);
+      }).catch(() => {});
+    }
+
+    if (action === 'bookmark') {
+      e.preventDefault();
+      toggleBookmark(trigger.dataset.id);
+    }
+
+    if (action === 'share') {
+      e.preventDefault();
+      const title = document.querySelector('.article-title')?.textContent.trim() || document.title;
+      navigator.share?.({ title, url: window.location.href }).catch(() => {});
+    }
+  });
+}
+
 /**
  * Initialize the app based on current page
  */
 function init() {
+  // Hasil build (scripts/build.js) menandai <html data-pretty-urls>
+  CONFIG.prettyURLs = document.documentElement.hasAttribute('data-pretty-urls');
+
+  // Bahasa dulu: semua teks yang dirender setelah ini memakai t()
+  initLanguage();
+  applyStaticTranslations();
+  initLanguageSwitcher();
+  initThemeSwitcher();
+  initPreviewMode();
+
   if (window.location.search.includes('clearcache')) {
     clearCache();
     window.location.href = window.location.pathname;
@@ -631,18 +1134,34 @@ function init() {
     });
   }
 
+  initPageActions();
+  initLibrary();
+  initCoverFallbacks();
+  initOfflineBanner();
+  registerServiceWorker();
+
   // ✅ micro interactions aktif untuk seluruh UI (cards/chips/panel links/search icon)
   initMicroInteractions();
 
-  // Smooth scroll for anchor links
-  document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-    anchor.addEventListener('click', function(e) {
-      e.preventDefault();
-      const target = document.querySelector(this.getAttribute('href'));
-      if (target) {
-        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
-      }
-    });
+  // Smooth scroll for same-page anchor links (delegation -> juga untuk konten
+  // yang dirender belakangan; hasil build memakai <base>, jadi cek URL lengkapnya)
+  document.addEventListener('click', (e) => {
+    const anchor = e.target.closest?.('a[href*="#"]');
+    if (!anchor) return;
+
+    const url = new URL(anchor.href);
+    const current = window.location;
+    const samePage =
+      url.origin === current.origin &&
+      url.pathname === current.pathname &&
+      url.search === current.search;
+
+    const target = samePage ? getHashTarget(url.hash) : null;
+    if (!target) return;
+
+    e.preventDefault();
+    target.scrollIntoView({ behavior: PREFERS_REDUCED_MOTION ? 'auto' : 'smooth', block: 'start' });
+    window.history.replaceState(window.history.state, '', url.hash);
   });
 
   console.log('PPS Article System initialized');
@@ -656,11 +1175,8 @@ if (document.readyState === 'loading') {
 }
 
 // Export for debugging (development only)
-if (typeof window !== 'undefined') {
-  window.PPS = {
-    loadArticles,
-    clearCache,
-    CONFIG
-  };
-}
-
+window.PPS = {
+  loadArticles,
+  clearCache,
+  CONFIG
+};
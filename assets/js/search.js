@@ -0,0 +1,256 @@
+/**
+ * PPS Article System - Search
+ * Pajajaran Physical Society
+ *
+ * Pencarian full-text di sisi klien:
+ * - Tokenizer + stemming ringan bahasa Indonesia (partikel & akhiran -nya/-ku/-mu)
+ * - Indeks terbalik berbobot per field (CONFIG.searchWeights); semua kata
+ *   query harus cocok, utuh atau sebagai awalan kata
+ * - Highlight <mark> dan cuplikan isi di sekitar kata yang cocok
+ *
+ * Browser & Node: import { … } from './search.js'
+ */
+
+import { escapeHTML } from './sanitize.js';
+import { CONFIG, stripHTML, foldText } from './core.js';
+
+// ==========================================
+// SEARCH INDEX
+// ==========================================
+
+// Kata umum yang diabaikan di query (kecuali kata terakhir yang sedang diketik)
+const SEARCH_STOPWORDS = new Set([
+  'yang', 'dan', 'di', 'ke', 'dari', 'untuk', 'dengan', 'ini', 'itu', 'atau',
+  'pada', 'adalah', 'dalam', 'juga', 'akan', 'tidak', 'oleh', 'sebagai',
+  'bisa', 'ada', 'para', 'serta', 'agar', 'karena', 'the', 'of', 'and'
+]);
+
+/**
+ * Light Indonesian stemmer: strip particles (-lah, -kah, -pun)
+ * and possessive suffixes (-nya, -ku, -mu)
+ */
+function stemToken(token) {
+  let stem = token;
+
+  const strip = (suffixes) => {
+    const suffix = suffixes.find(s => stem.endsWith(s) && stem.length - s.length >= 4);
+    if (suffix) stem = stem.slice(0, -suffix.length);
+  };
+
+  strip(['lah', 'kah', 'tah', 'pun']);
+  strip(['nya', 'ku', 'mu']);
+
+  return stem;
+}
+
+/**
+ * Split text into folded + stemmed tokens
+ */
+function tokenize(text) {
+  return foldText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(stemToken);
+}
+
+/**
+ * Turn a search query into terms (stopwords dropped, except the last word)
+ */
+function parseSearchQuery(query) {
+  const tokens = tokenize(query);
+  return tokens.filter((token, i) =>
+    i === tokens.length - 1 || !SEARCH_STOPWORDS.has(token)
+  );
+}
+
+/**
+ * Build an inverted index over title, excerpt, author and content
+ * postings: term -> Map(docIndex -> weighted term frequency)
+ */
+function buildSearchIndex(articles) {
+  const postings = new Map();
+
+  articles.forEach((article, docIndex) => {
+    const fields = {
+      title: article.title,
+      excerpt: article.excerpt,
+      author: article.author,
+      content: stripHTML(article.content)
+    };
+
+    Object.entries(fields).forEach(([field, text]) => {
+      const weight = CONFIG.searchWeights[field] || 1;
+
+      tokenize(text).forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        docs.set(docIndex, (docs.get(docIndex) || 0) + weight);
+      });
+    });
+  });
+
+  return {
+    articles,
+    postings,
+    // Sorted term list untuk prefix lookup (binary search)
+    terms: Array.from(postings.keys()).sort()
+  };
+}
+
+/**
+ * Find indexed terms that start with the given prefix
+ */
+function findPrefixTerms(index, prefix) {
+  const { terms } = index;
+  let low = 0;
+  let high = terms.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (terms[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  const matches = [];
+  for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+    matches.push(terms[i]);
+  }
+  return matches;
+}
+
+/**
+ * Search the index -> ranked [{ article, score }]
+ * Semua term query harus cocok (kata utuh atau awalan kata)
+ */
+function searchArticles(index, query) {
+  const queryTerms = parseSearchQuery(query);
+  if (queryTerms.length === 0) {
+    return index.articles.map(article => ({ article, score: 0 }));
+  }
+
+  const totalDocs = index.articles.length;
+  let scores = null;
+
+  for (const queryTerm of queryTerms) {
+    // Prefix matching untuk term >= 2 huruf; skor terbaik per dokumen
+    const candidates = queryTerm.length >= 2
+      ? findPrefixTerms(index, queryTerm)
+      : (index.postings.has(queryTerm) ? [queryTerm] : []);
+
+    const termScores = new Map();
+
+    candidates.forEach(term => {
+      const docs = index.postings.get(term);
+      const idf = Math.log(1 + totalDocs / docs.size);
+      const factor = term === queryTerm ? 1 : CONFIG.searchPrefixFactor;
+
+      docs.forEach((tf, docIndex) => {
+        const score = tf * idf * factor;
+        if (score > (termScores.get(docIndex) || 0)) {
+          termScores.set(docIndex, score);
+        }
+      });
+    });
+
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      const next = new Map();
+      scores.forEach((score, docIndex) => {
+        if (termScores.has(docIndex)) next.set(docIndex, score + termScores.get(docIndex));
+      });
+      scores = next;
+    }
+
+    if (scores.size === 0) break;
+  }
+
+  return Array.from(scores.entries())
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .map(([docIndex, score]) => ({ article: index.articles[docIndex], score }));
+}
+
+// ==========================================
+// HIGHLIGHT & SNIPPETS
+// ==========================================
+
+/**
+ * Check whether a word matches one of the (folded, stemmed) query terms
+ */
+function isSearchHit(word, terms) {
+  const folded = foldText(word);
+  const stemmed = stemToken(folded);
+  return terms.some(term => folded.startsWith(term) || stemmed === term);
+}
+
+/**
+ * Escape text and wrap words matching the query terms in <mark>
+ */
+function highlightText(text, terms = []) {
+  const source = String(text ?? '');
+  if (terms.length === 0) return escapeHTML(source);
+
+  let html = '';
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (!isSearchHit(match[0], terms)) continue;
+
+    html += escapeHTML(source.slice(lastIndex, match.index));
+    html += `<mark class="search-hit">${escapeHTML(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return html + escapeHTML(source.slice(lastIndex));
+}
+
+/**
+ * Check whether a text contains at least one search hit
+ */
+function containsSearchHit(text, terms) {
+  if (terms.length === 0) return false;
+  const words = String(text ?? '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.some(word => isSearchHit(word, terms));
+}
+
+/**
+ * Cut a short snippet of the text around the first search hit
+ */
+function getSearchSnippet(text, terms, radius = CONFIG.searchSnippetRadius) {
+  const source = String(text ?? '');
+
+  for (const match of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (!isSearchHit(match[0], terms)) continue;
+
+    let start = Math.max(0, match.index - radius);
+    let end = Math.min(source.length, match.index + match[0].length + radius);
+
+    // Potong di batas kata
+    if (start > 0) {
+      const firstSpace = source.indexOf(' ', start);
+      if (firstSpace !== -1 && firstSpace < match.index) start = firstSpace + 1;
+    }
+    if (end < source.length) {
+      const lastSpace = source.lastIndexOf(' ', end);
+      if (lastSpace > match.index) end = lastSpace;
+    }
+
+    return `${start > 0 ? '…' : ''}${source.slice(start, end).trim()}${end < source.length ? '…' : ''}`;
+  }
+
+  return '';
+}
+
+export {
+  SEARCH_STOPWORDS,
+  stemToken,
+  tokenize,
+  parseSearchQuery,
+  buildSearchIndex,
+  findPrefixTerms,
+  searchArticles,
+  isSearchHit,
+  highlightText,
+  containsSearchHit,
+  getSearchSnippet
+};
@@ -0,0 +1,137 @@
+/**
+ * PPS Article System - Theme
+ * Pajajaran Physical Society
+ *
+ * Tema gelap / terang / ikut sistem (default, lewat prefers-color-scheme).
+ * - Pilihan disimpan di localStorage, ikut berubah di tab lain
+ * - Tema yang berlaku dipasang sebagai <html data-theme="light|dark">,
+ *   dan <meta name="theme-color"> disesuaikan
+ * - Dimuat TANPA defer di <head> sebelum stylesheet, jadi data-theme sudah
+ *   terpasang sebelum halaman pertama kali digambar (tidak berkedip)
+ *
+ * Browser: window.PPSTheme (script biasa, bukan ES module)
+ */
+
+(function (root, factory) {
+  root.PPSTheme = factory(root);
+  root.PPSTheme.initTheme();
+})(globalThis, function (root) {
+  'use strict';
+
+  // ==========================================
+  // CONFIGURATION
+  // ==========================================
+
+  const THEME_KEY = 'pps_theme';
+  const THEMES = ['system', 'light', 'dark']; // urutan tombol toggle
+  const DEFAULT_THEME = 'system';
+
+  // Sama dengan --bg di assets/css/styles.css
+  const THEME_COLORS = {
+    dark: '#191919',
+    light: '#F5F5F3'
+  };
+
+  const lightQuery = typeof root.matchMedia === 'function'
+    ? root.matchMedia('(prefers-color-scheme: light)')
+    : null;
+
+  // ==========================================
+  // PREFERENCE
+  // ==========================================
+
+  function normalizeTheme(value) {
+    return THEMES.includes(value) ? value : null;
+  }
+
+  /**
+   * Saved choice: 'system' | 'light' | 'dark'
+   */
+  function getThemePreference() {
+    try {
+      return normalizeTheme(root.localStorage.getItem(THEME_KEY)) || DEFAULT_THEME;
+    } catch {
+      return DEFAULT_THEME;
+    }
+  }
+
+  /**
+   * Preference -> tema yang dipakai ('light' | 'dark'); tanpa info sistem = gelap
+   */
+  function resolveTheme(preference, prefersLight = Boolean(lightQuery && lightQuery.matches)) {
+    if (preference === 'light' || preference === 'dark') return preference;
+    return prefersLight ? 'light' : 'dark';
+  }
+
+  /**
+   * Next choice for the toggle button (system -> light -> dark -> system)
+   */
+  function getNextTheme(preference) {
+    return THEMES[(THEMES.indexOf(preference) + 1) % THEMES.length];
+  }
+
+  // ==========================================
+  // DOCUMENT
+  // ==========================================
+
+  /**
+   * Pasang tema di <html> + theme-color, lalu kabari halaman (event pps:themechange)
+   */
+  function applyTheme(preference = getThemePreference()) {
+    const theme = resolveTheme(preference);
+    const html = root.document.documentElement;
+
+    html.dataset.theme = theme;
+    html.dataset.themePreference = preference;
+
+    root.document.querySelectorAll('meta[name="theme-color"]').forEach(meta => {
+      meta.setAttribute('content', THEME_COLORS[theme]);
+    });
+
+    root.dispatchEvent(new CustomEvent('pps:themechange', { detail: { theme, preference } }));
+    return theme;
+  }
+
+  /**
+   * Save + apply a choice (dari tombol toggle)
+   */
+  function setTheme(preference) {
+    const value = normalizeTheme(preference) || DEFAULT_THEME;
+
+    try {
+      if (value === DEFAULT_THEME) root.localStorage.removeItem(THEME_KEY);
+      else root.localStorage.setItem(THEME_KEY, value);
+    } catch (error) {
+      console.error('Theme storage error:', error);
+    }
+
+    return applyTheme(value);
+  }
+
+  function initTheme() {
+    if (!root.document) return;
+    applyTheme();
+
+    // Tema sistem berubah (mis. mode gelap otomatis di malam hari)
+    lightQuery?.addEventListener?.('change', () => {
+      if (getThemePreference() === 'system') applyTheme('system');
+    });
+
+    // Pilihan diubah di tab lain
+    root.addEventListener('storage', (e) => {
+      if (e.key === THEME_KEY || e.key === null) applyTheme();
+    });
+  }
+
+  return {
+    THEME_KEY,
+    THEMES,
+    THEME_COLORS,
+    getThemePreference,
+    resolveTheme,
+    getNextTheme,
+    applyTheme,
+    setTheme,
+    initTheme
+  };
+});
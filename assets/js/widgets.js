@@ -0,0 +1,678 @@
+/**
+ * PPS Article System - Interactive Physics Widgets
+ * Pajajaran Physical Society
+ *
+ * `content` artikel bisa berisi placeholder widget:
+ *
+ *   <div data-widget="resistor-color" data-bands="4" data-colors="kuning,ungu,merah,emas">
+ *     Teks cadangan (tampil kalau JavaScript mati / di feed)
+ *   </div>
+ *
+ * Widget yang tersedia (atribut opsional, lihat WIDGETS):
+ * - resistor-color  : dekoder gelang warna resistor (4/5 gelang)
+ * - ohms-law        : kalkulator hukum Ohm (V = I·R) + daya
+ * - voltage-divider : kalkulator pembagi tegangan
+ * - projectile      : grafik gerak parabola di <canvas>
+ * - pv-output       : estimasi energi panel surya
+ *
+ * Setiap widget mendaftarkan atribut data-* miliknya ke sanitizer
+ * (registerWidget di sanitize.js), jadi atribut lain / nilai yang tidak valid
+ * dibuang sebelum HTML artikel dirender. Saat hydrate, widget dibangun di
+ * elemen terpisah lewat DOM API (tanpa innerHTML); kalau gagal, teks
+ * cadangan tetap tampil dan widget lain tidak terpengaruh.
+ *
+ * Browser & Node: import { … } from './widgets.js' (di Node: registrasi saja)
+ */
+
+import { registerWidget } from './sanitize.js';
+import { CONFIG, t } from './core.js';
+import { getLocale } from './i18n.js';
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+const NUMBER = /^\d{1,7}(\.\d{1,4})?$/;
+
+const SI_PREFIXES = [
+  { factor: 1e9, symbol: 'G' },
+  { factor: 1e6, symbol: 'M' },
+  { factor: 1e3, symbol: 'k' },
+  { factor: 1, symbol: '' },
+  { factor: 1e-3, symbol: 'm' },
+  { factor: 1e-6, symbol: 'µ' },
+  { factor: 1e-9, symbol: 'n' }
+];
+
+/**
+ * 1234.5 -> "1.234,5" (mengikuti bahasa UI: "1,234.5" di English)
+ */
+function formatNumber(value, maxDigits = 2) {
+  if (!Number.isFinite(value)) return '–';
+  return value.toLocaleString(getLocale(CONFIG.language), { maximumFractionDigits: maxDigits });
+}
+
+/**
+ * 4700, 'Ω' -> "4,7 kΩ"
+ */
+function formatSI(value, unit, maxDigits = 3) {
+  if (!Number.isFinite(value)) return '–';
+  if (value === 0) return `0 ${unit}`;
+
+  const magnitude = Math.abs(value);
+  const prefix = SI_PREFIXES.find(p => magnitude >= p.factor) || SI_PREFIXES[SI_PREFIXES.length - 1];
+  const scaled = Number((value / prefix.factor).toPrecision(maxDigits));
+  return `${formatNumber(scaled, maxDigits)} ${prefix.symbol}${unit}`;
+}
+
+/**
+ * Small element builder (text only, never HTML)
+ */
+function createElement(tag, props = {}, children = []) {
+  const element = document.createElement(tag);
+
+  Object.entries(props).forEach(([name, value]) => {
+    if (name === 'className') element.className = value;
+    else if (name === 'text') element.textContent = value;
+    else element.setAttribute(name, value);
+  });
+
+  children.forEach(child => element.append(child));
+  return element;
+}
+
+let fieldCounter = 0;
+
+/**
+ * Labelled number input -> { row, input }
+ */
+function createNumberField(label, unit, value, { min = 0, max = '', step = 'any' } = {}) {
+  const id = `widget-field-${++fieldCounter}`;
+  const input = createElement('input', {
+    id, type: 'number', inputmode: 'decimal', min, max, step, value
+  });
+  if (max === '') input.removeAttribute('max');
+
+  const row = createElement('div', { className: 'widget-field' }, [
+    createElement('label', { for: id, text: label }),
+    createElement('div', { className: 'widget-input' }, [
+      input,
+      createElement('span', { className: 'widget-unit', text: unit })
+    ])
+  ]);
+
+  return { row, input };
+}
+
+/**
+ * Labelled <select> -> { row, select }
+ */
+function createSelectField(label, options, selected) {
+  const id = `widget-field-${++fieldCounter}`;
+  const select = createElement('select', { id });
+
+  options.forEach(({ value, text }) => {
+    const option = createElement('option', { value, text });
+    if (value === selected) option.selected = true;
+    select.append(option);
+  });
+
+  const row = createElement('div', { className: 'widget-field' }, [
+    createElement('label', { for: id, text: label }),
+    select
+  ]);
+
+  return { row, select };
+}
+
+/**
+ * Result list: [[label, value], ...] -> <dl>, updated in place
+ */
+function createResults() {
+  const list = createElement('dl', { className: 'widget-results', 'aria-live': 'polite' });
+
+  return {
+    element: list,
+    update(rows) {
+      list.replaceChildren(...rows.flatMap(([label, value]) => [
+        createElement('dt', { text: label }),
+        createElement('dd', { text: value })
+      ]));
+    }
+  };
+}
+
+/**
+ * Current value of a number input (NaN when empty/invalid)
+ */
+function readNumber(input) {
+  return input.value.trim() === '' ? NaN : Number(input.value);
+}
+
+// ==========================================
+// RESISTOR COLOR BANDS
+// ==========================================
+
+// nama -> { digit, multiplier, tolerance (%), hex }
+const RESISTOR_COLORS = {
+  hitam: { digit: 0, multiplier: 1, hex: '#1b1b1b' },
+  coklat: { digit: 1, multiplier: 10, tolerance: 1, hex: '#7b4a22' },
+  merah: { digit: 2, multiplier: 100, tolerance: 2, hex: '#d32f2f' },
+  oranye: { digit: 3, multiplier: 1e3, hex: '#f57c00' },
+  kuning: { digit: 4, multiplier: 1e4, hex: '#fdd835' },
+  hijau: { digit: 5, multiplier: 1e5, tolerance: 0.5, hex: '#388e3c' },
+  biru: { digit: 6, multiplier: 1e6, tolerance: 0.25, hex: '#1976d2' },
+  ungu: { digit: 7, multiplier: 1e7, tolerance: 0.1, hex: '#7b1fa2' },
+  abu: { digit: 8, multiplier: 1e8, tolerance: 0.05, hex: '#9e9e9e' },
+  putih: { digit: 9, multiplier: 1e9, hex: '#f5f5f5' },
+  emas: { multiplier: 0.1, tolerance: 5, hex: '#c9a227' },
+  perak: { multiplier: 0.01, tolerance: 10, hex: '#bdbdbd' }
+};
+
+const DEFAULT_COLORS = {
+  4: ['kuning', 'ungu', 'merah', 'emas'],
+  5: ['coklat', 'hitam', 'hitam', 'coklat', 'coklat']
+};
+
+/**
+ * Color names -> { resistance, tolerance } (bands: digits..., multiplier, tolerance)
+ */
+function decodeResistor(colors) {
+  const digits = colors.slice(0, -2).map(name => RESISTOR_COLORS[name].digit);
+  const multiplier = RESISTOR_COLORS[colors[colors.length - 2]].multiplier;
+  const tolerance = RESISTOR_COLORS[colors[colors.length - 1]].tolerance;
+
+  return {
+    resistance: Number(digits.join('')) * multiplier,
+    tolerance
+  };
+}
+
+/**
+ * Colors allowed at a band position
+ */
+function getBandOptions(index, bandCount) {
+  const names = Object.keys(RESISTOR_COLORS);
+  if (index === bandCount - 1) return names.filter(n => RESISTOR_COLORS[n].tolerance !== undefined);
+  if (index === bandCount - 2) return names;
+  return names.filter(n => RESISTOR_COLORS[n].digit !== undefined && !(index === 0 && n === 'hitam'));
+}
+
+function mountResistorColor(container, config) {
+  const bandCount = config.bands;
+  let colors = config.colors ? config.colors.split(',') : [];
+
+  // Warna dari atribut harus cocok dengan jumlah & posisi gelang
+  const valid = colors.length === bandCount &&
+    colors.every((name, i) => getBandOptions(i, bandCount).includes(name));
+  if (!valid) colors = DEFAULT_COLORS[bandCount].slice();
+
+  const body = createElement('div', { className: 'widget-resistor', 'aria-hidden': 'true' });
+  const bands = colors.map(() => createElement('span', { className: 'widget-resistor-band' }));
+  bands.forEach(band => body.append(band));
+
+  const labels = [
+    ...Array.from({ length: bandCount - 2 }, (_, i) =>
+      t('widget.resistor.band', { number: i + 1 })),
+    t('widget.resistor.multiplier'),
+    t('widget.resistor.tolerance')
+  ];
+
+  const fields = colors.map((name, i) => createSelectField(
+    labels[i],
+    getBandOptions(i, bandCount).map(value => ({ value, text: t(`widget.color.${value}`) })),
+    name
+  ));
+
+  const results = createResults();
+
+  function update() {
+    colors = fields.map(field => field.select.value);
+    bands.forEach((band, i) => { band.style.background = RESISTOR_COLORS[colors[i]].hex; });
+
+    const { resistance, tolerance } = decodeResistor(colors);
+    const spread = resistance * tolerance / 100;
+
+    results.update([
+      [t('widget.resistor.resistance'), `${formatSI(resistance, 'Ω')} ±${formatNumber(tolerance)}%`],
+      [t('widget.resistor.range'), `${formatSI(resistance - spread, 'Ω')} – ${formatSI(resistance + spread, 'Ω')}`]
+    ]);
+  }
+
+  fields.forEach(field => field.select.addEventListener('change', update));
+
+  container.append(
+    body,
+    createElement('div', { className: 'widget-fields' }, fields.map(field => field.row)),
+    results.element
+  );
+  update();
+}
+
+// ==========================================
+// OHM'S LAW & VOLTAGE DIVIDER
+// ==========================================
+
+function mountOhmsLaw(container, config) {
+  const quantities = {
+    voltage: createNumberField(t('widget.ohm.voltage'), 'V', config.voltage),
+    current: createNumberField(t('widget.ohm.current'), 'A', config.current),
+    resistance: createNumberField(t('widget.ohm.resistance'), 'Ω', config.resistance)
+  };
+
+  const solveField = createSelectField(t('widget.ohm.solve'), [
+    { value: 'voltage', text: t('widget.ohm.solveVoltage') },
+    { value: 'current', text: t('widget.ohm.solveCurrent') },
+    { value: 'resistance', text: t('widget.ohm.solveResistance') }
+  ], config.solve);
+
+  const results = createResults();
+
+  function update() {
+    const solve = solveField.select.value;
+
+    Object.entries(quantities).forEach(([name, field]) => {
+      field.input.readOnly = name === solve;
+      field.row.classList.toggle('is-output', name === solve);
+    });
+
+    const V = readNumber(quantities.voltage.input);
+    const I = readNumber(quantities.current.input);
+    const R = readNumber(quantities.resistance.input);
+
+    const solved = {
+      voltage: () => I * R,
+      current: () => (R > 0 ? V / R : NaN),
+      resistance: () => (I > 0 ? V / I : NaN)
+    }[solve]();
+
+    if (Number.isFinite(solved)) {
+      quantities[solve].input.value = Number(solved.toPrecision(6));
+    }
+
+    const power = readNumber(quantities.voltage.input) * readNumber(quantities.current.input);
+
+    results.update([
+      [t('widget.ohm.result'), Number.isFinite(solved)
+        ? formatSI(solved, { voltage: 'V', current: 'A', resistance: 'Ω' }[solve])
+        : t('widget.invalid')],
+      [t('widget.ohm.power'), formatSI(power, 'W')]
+    ]);
+  }
+
+  solveField.select.addEventListener('change', update);
+  Object.values(quantities).forEach(field => field.input.addEventListener('input', update));
+
+  container.append(
+    createElement('div', { className: 'widget-fields' }, [
+      solveField.row,
+      ...Object.values(quantities).map(field => field.row)
+    ]),
+    results.element
+  );
+  update();
+}
+
+function mountVoltageDivider(container, config) {
+  const vin = createNumberField(t('widget.divider.vin'), 'V', config.vin);
+  const r1 = createNumberField(t('widget.divider.r1'), 'Ω', config.r1);
+  const r2 = createNumberField(t('widget.divider.r2'), 'Ω', config.r2);
+  const results = createResults();
+
+  function update() {
+    const Vin = readNumber(vin.input);
+    const R1 = readNumber(r1.input);
+    const R2 = readNumber(r2.input);
+    const total = R1 + R2;
+
+    if (!(total > 0) || !Number.isFinite(Vin)) {
+      results.update([['Vout', t('widget.invalid')]]);
+      return;
+    }
+
+    const current = Vin / total;
+
+    results.update([
+      ['Vout = Vin × R2 / (R1 + R2)', formatSI(Vin * R2 / total, 'V')],
+      [t('widget.divider.current'), formatSI(current, 'A')],
+      [t('widget.divider.power'), `${formatSI(current * current * R1, 'W')} / ${formatSI(current * current * R2, 'W')}`]
+    ]);
+  }
+
+  [vin, r1, r2].forEach(field => field.input.addEventListener('input', update));
+
+  container.append(
+    createElement('div', { className: 'widget-fields' }, [vin.row, r1.row, r2.row]),
+    results.element
+  );
+  update();
+}
+
+// ==========================================
+// PROJECTILE MOTION
+// ==========================================
+
+/**
+ * v0 (m/s), angle (deg), g (m/s²), h0 (m) -> trajectory summary
+ */
+function solveProjectile(v0, angle, g, h0) {
+  const rad = angle * Math.PI / 180;
+  const vx = v0 * Math.cos(rad);
+  const vy = v0 * Math.sin(rad);
+  const flightTime = (vy + Math.sqrt(vy * vy + 2 * g * h0)) / g;
+
+  return {
+    vx,
+    vy,
+    flightTime,
+    range: vx * flightTime,
+    peakTime: Math.max(vy, 0) / g,
+    maxHeight: h0 + (vy > 0 ? vy * vy / (2 * g) : 0),
+    at: t => ({ x: vx * t, y: h0 + vy * t - g * t * t / 2 })
+  };
+}
+
+function drawProjectile(canvas, result) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || 480;
+  const height = Math.round(width * 9 / 16);
+
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  canvas.style.height = `${height}px`;
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+
+  const styles = getComputedStyle(canvas);
+  const textColor = styles.color;
+  const accent = styles.getPropertyValue('--accent').trim() || '#FF9600';
+
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const pad = { top: 16, right: 16, bottom: 28, left: 44 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+
+  // Skala sama di kedua sumbu supaya bentuk parabolanya tidak menipu
+  const span = Math.max(result.range, result.maxHeight * plotW / plotH, 1);
+  const scale = plotW / span;
+  const toX = x => pad.left + x * scale;
+  const toY = y => pad.top + plotH - y * scale;
+
+  ctx.strokeStyle = textColor;
+  ctx.globalAlpha = 0.4;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(pad.left, pad.top);
+  ctx.lineTo(pad.left, pad.top + plotH);
+  ctx.lineTo(pad.left + plotW, pad.top + plotH);
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+
+  ctx.fillStyle = textColor;
+  ctx.font = '12px Quicksand, sans-serif';
+  ctx.fillText('0', pad.left - 14, pad.top + plotH + 4);
+  ctx.fillText(`${formatNumber(span)} m`, pad.left + plotW - 50, pad.top + plotH + 20);
+  ctx.fillText(`${formatNumber(plotH / scale)} m`, 4, pad.top + 10);
+
+  ctx.strokeStyle = accent;
+  ctx.lineWidth = 2.5;
+  ctx.beginPath();
+  const steps = 80;
+  for (let i = 0; i <= steps; i++) {
+    const { x, y } = result.at(result.flightTime * i / steps);
+    const px = toX(x);
+    const py = toY(Math.max(y, 0));
+    if (i === 0) ctx.moveTo(px, py);
+    else ctx.lineTo(px, py);
+  }
+  ctx.stroke();
+
+  // Titik puncak
+  const peak = result.at(result.peakTime);
+  ctx.fillStyle = accent;
+  ctx.beginPath();
+  ctx.arc(toX(peak.x), toY(peak.y), 4, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+function mountProjectile(container, config) {
+  const velocity = createNumberField(t('widget.projectile.velocity'), 'm/s', config.velocity);
+  const angle = createNumberField(t('widget.projectile.angle'), '°', config.angle, { max: 90 });
+  const height = createNumberField(t('widget.projectile.height'), 'm', config.height);
+  const gravity = createNumberField(t('widget.projectile.gravity'), 'm/s²', config.gravity, { min: 0.1 });
+
+  const canvas = createElement('canvas', {
+    className: 'widget-canvas',
+    role: 'img',
+    'aria-label': t('widget.projectile.chart')
+  });
+  const results = createResults();
+
+  function update() {
+    const v0 = readNumber(velocity.input);
+    const theta = readNumber(angle.input);
+    const h0 = readNumber(height.input);
+    const g = readNumber(gravity.input);
+
+    if (!(v0 >= 0 && theta >= 0 && theta <= 90 && h0 >= 0 && g > 0) || v0 + h0 === 0) {
+      results.update([[t('widget.projectile.path'), t('widget.projectile.invalid')]]);
+      return;
+    }
+
+    const result = solveProjectile(v0, theta, g, h0);
+    drawProjectile(canvas, result);
+
+    results.update([
+      [t('widget.projectile.flightTime'), `${formatNumber(result.flightTime)} s`],
+      [t('widget.projectile.range'), `${formatNumber(result.range)} m`],
+      [t('widget.projectile.maxHeight'), `${formatNumber(result.maxHeight)} m`]
+    ]);
+  }
+
+  [velocity, angle, height, gravity].forEach(field => field.input.addEventListener('input', update));
+
+  container.append(
+    canvas,
+    createElement('div', { className: 'widget-fields' }, [velocity.row, angle.row, height.row, gravity.row]),
+    results.element
+  );
+
+  // Ukuran canvas baru diketahui setelah masuk DOM
+  requestAnimationFrame(update);
+  window.addEventListener('resize', debounceFrame(update));
+}
+
+/**
+ * Run at most once per animation frame
+ */
+function debounceFrame(fn) {
+  let frame = 0;
+  return () => {
+    cancelAnimationFrame(frame);
+    frame = requestAnimationFrame(fn);
+  };
+}
+
+// ==========================================
+// PV PANEL OUTPUT
+// ==========================================
+
+function mountPVOutput(container, config) {
+  const power = createNumberField(t('widget.pv.power'), 'Wp', config.power);
+  const panels = createNumberField(
+    t('widget.pv.panels'), t('widget.pv.panelsUnit'), config.panels, { min: 1, step: 1 }
+  );
+  const sunHours = createNumberField(
+    t('widget.pv.sunHours'), t('widget.pv.sunHoursUnit'), config.sunHours, { max: 12 }
+  );
+  const efficiency = createNumberField(t('widget.pv.efficiency'), '%', config.efficiency, { max: 100 });
+  const tariff = createNumberField(t('widget.pv.tariff'), 'Rp/kWh', config.tariff);
+  const results = createResults();
+
+  function update() {
+    const capacity = readNumber(power.input) * readNumber(panels.input) / 1000; // kWp
+    const daily = capacity * readNumber(sunHours.input) * readNumber(efficiency.input) / 100;
+    const price = readNumber(tariff.input);
+
+    if (!(daily >= 0)) {
+      results.update([[t('widget.pv.energy'), t('widget.invalid')]]);
+      return;
+    }
+
+    results.update([
+      [t('widget.pv.capacity'), `${formatNumber(capacity)} kWp`],
+      [t('widget.pv.daily'), `${formatNumber(daily)} kWh`],
+      [t('widget.pv.monthly'), `${formatNumber(daily * 30)} kWh`],
+      [t('widget.pv.yearly'), `${formatNumber(daily * 365, 0)} kWh`],
+      [t('widget.pv.savings'), Number.isFinite(price)
+        ? `Rp ${formatNumber(daily * 30 * price, 0)}`
+        : '–']
+    ]);
+  }
+
+  [power, panels, sunHours, efficiency, tariff].forEach(field => field.input.addEventListener('input', update));
+
+  container.append(
+    createElement('div', { className: 'widget-fields' },
+      [power, panels, sunHours, efficiency, tariff].map(field => field.row)),
+    results.element,
+    createElement('p', {
+      className: 'widget-note',
+      text: t('widget.pv.note')
+    })
+  );
+  update();
+}
+
+// ==========================================
+// REGISTRY
+// ==========================================
+
+/**
+ * name -> { titleKey, attributes: { 'data-xxx': [pattern, default] }, mount }
+ * titleKey: judul di i18n.js (label widget lain juga di sana, widget.*)
+ * Nilai default bertipe number -> atribut dibaca sebagai angka
+ */
+const WIDGETS = {
+  'resistor-color': {
+    titleKey: 'widget.resistor.title',
+    attributes: {
+      'data-bands': [/^[45]$/, 4],
+      'data-colors': [/^[a-z]+(,[a-z]+){3,4}$/, '']
+    },
+    mount: mountResistorColor
+  },
+  'ohms-law': {
+    titleKey: 'widget.ohm.title',
+    attributes: {
+      'data-voltage': [NUMBER, 12],
+      'data-current': [NUMBER, 0.5],
+      'data-resistance': [NUMBER, 24],
+      'data-solve': [/^(voltage|current|resistance)$/, 'current']
+    },
+    mount: mountOhmsLaw
+  },
+  'voltage-divider': {
+    titleKey: 'widget.divider.title',
+    attributes: {
+      'data-vin': [NUMBER, 5],
+      'data-r1': [NUMBER, 10000],
+      'data-r2': [NUMBER, 10000]
+    },
+    mount: mountVoltageDivider
+  },
+  projectile: {
+    titleKey: 'widget.projectile.title',
+    attributes: {
+      'data-velocity': [NUMBER, 20],
+      'data-angle': [NUMBER, 45],
+      'data-height': [NUMBER, 0],
+      'data-gravity': [NUMBER, 9.8]
+    },
+    mount: mountProjectile
+  },
+  'pv-output': {
+    titleKey: 'widget.pv.title',
+    attributes: {
+      'data-power': [NUMBER, 100],
+      'data-panels': [/^\d{1,4}$/, 4],
+      'data-sun-hours': [NUMBER, 4.5],
+      'data-efficiency': [NUMBER, 80],
+      'data-tariff': [NUMBER, 1444.7]
+    },
+    mount: mountPVOutput
+  }
+};
+
+// Daftarkan ke sanitizer: placeholder + atributnya lolos, sisanya dibuang
+Object.entries(WIDGETS).forEach(([name, widget]) => {
+  const patterns = {};
+  Object.entries(widget.attributes).forEach(([attribute, [pattern]]) => {
+    patterns[attribute] = pattern;
+  });
+  registerWidget(name, patterns);
+});
+
+/**
+ * 'data-sun-hours' -> 'sunHours'
+ */
+function toConfigKey(attribute) {
+  return attribute.slice(5).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Placeholder attributes -> config (invalid/missing values use defaults)
+ */
+function readWidgetConfig(element, widget) {
+  const config = {};
+
+  Object.entries(widget.attributes).forEach(([attribute, [pattern, fallback]]) => {
+    const raw = (element.getAttribute(attribute) || '').trim();
+    const value = raw && pattern.test(raw) ? raw : fallback;
+    config[toConfigKey(attribute)] = typeof fallback === 'number' ? Number(value) : value;
+  });
+
+  return config;
+}
+
+/**
+ * Replace every widget placeholder inside root with its live component
+ */
+function hydrateWidgets(root) {
+  root.querySelectorAll('div[data-widget]').forEach(element => {
+    if (element.dataset.widgetReady) return;
+
+    const name = element.dataset.widget;
+    const widget = Object.prototype.hasOwnProperty.call(WIDGETS, name) ? WIDGETS[name] : null;
+    if (!widget) return;
+
+    try {
+      // Dibangun di elemen terpisah dulu; placeholder baru diganti kalau berhasil
+      const body = createElement('div', { className: 'widget-body' });
+      widget.mount(body, readWidgetConfig(element, widget));
+
+      const title = t(widget.titleKey);
+      element.replaceChildren(
+        createElement('p', { className: 'widget-title', text: title }),
+        body
+      );
+      element.classList.add('widget', `widget--${name}`);
+      element.setAttribute('role', 'group');
+      element.setAttribute('aria-label', title);
+      element.dataset.widgetReady = 'true';
+    } catch (error) {
+      console.error(`Widget "${name}" gagal dimuat:`, error);
+    }
+  });
+}
+
+export {
+  WIDGETS,
+  hydrateWidgets,
+  decodeResistor,
+  solveProjectile,
+  formatSI
+};
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * PPS Article System - Static Build
+ * Pajajaran Physical Society
+ *
+ * Pre-render halaman list dan detail jadi HTML statis, pakai template
+ * yang sama dengan browser (generateCardHTML / generateDetailHTML):
+ * - dist/index.html                 : list, halaman pertama sudah berisi kartu,
+ *                                     chip topik dan tag cloud
+ * - dist/artikel/<id>/index.html    : satu halaman per artikel
+ * - dist/artikel/<alias>/index.html : redirect slug lama ke slug baru
+ * - dist/404.html                   : halaman detail kosong untuk alamat yang tidak ada;
+ *                                     script.js membaca slug dari path lalu menampilkan
+ *                                     saran artikel (noindex)
+ * - feed, per-topik feed & sitemap.xml (scripts/feeds.js)
+ *
+ * Draft dan artikel terjadwal (status / publishAt / date di masa depan) tidak
+ * ikut dibuat, juga tidak ikut dist/data/articles.txt (hanya artikel terbit), jadi
+ * tidak bisa dibaca sebelum waktunya. Jalankan ulang build setelah waktunya tiba
+ * (CI: terjadwal tiap jam). Reviewer melihatnya lewat pratinjau lokal:
+ * node scripts/dev-server.js, buka article-detail.html?id=<id>&preview.
+ *
+ * Halaman artikel membawa canonical, Open Graph, Twitter Card dan JSON-LD;
+ * cek hasilnya dengan scripts/validate-meta.js.
+ *
+ * Data ikut ditanam di tiap halaman (<script id="pps-data">),
+ * jadi script.js cukup memasang interaksi tanpa fetch ulang.
+ *
+ * Usage:
+ *   SITE_URL=https://example.org/pps/ node scripts/build.js [outDir]   (default: dist)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { escapeHTML } from '../assets/js/sanitize.js';
+import { CONFIG, t, getArticleURL } from '../assets/js/core.js';
+import {
+  validateArticles, formatValidationReport, isPublished, sortArticles,
+  getRelatedArticles, getAdjacentArticles, getTopics, getTags, getArticleSeries
+} from '../assets/js/data.js';
+import {
+  generateCardHTML, generateDetailHTML, generatePaginationHTML, generateTopicChipsHTML,
+  generateTagCloudHTML, getArticleMeta, generateMetaTagsHTML
+} from '../assets/js/render.js';
+import { writeFeeds, getSiteURL, getFeedPaths } from './feeds.js';
+import { formatArticlesData } from './compile-content.js';
+
+const ROOT = path.join(import.meta.dirname, '..');
+const DATA_PATH = path.join(ROOT, 'data', 'articles.txt');
+const OUT_DIR = path.resolve(process.argv[2] || path.join(ROOT, 'dist'));
+
+// Disalin apa adanya ke output (data/articles.txt lalu ditimpa: hanya artikel terbit)
+const STATIC_PATHS = ['assets', 'data', 'article-detail.html', 'sw.js'];
+
+const SITE_NAME = 'Pajajaran Physical Society';
+
+// ==========================================
+// HTML HELPERS
+// ==========================================
+
+/**
+ * Replace the content between <!-- build:name --> and <!-- /build:name -->
+ */
+function fillSlot(html, name, content) {
+  const pattern = new RegExp(`<!-- build:${name} -->[\\s\\S]*?<!-- /build:${name} -->`);
+  if (!pattern.test(html)) {
+    throw new Error(`Template slot "build:${name}" not found`);
+  }
+  return html.replace(pattern, () => content);
+}
+
+/**
+ * Add attributes to the element with the given id
+ */
+function addAttributes(html, id, attributes) {
+  const pattern = new RegExp(`(<[a-z]+\\b[^>]*\\bid="${id}")`);
+  const attrs = Object.entries(attributes)
+    .map(([name, value]) => (value === true ? ` ${name}` : ` ${name}="${escapeHTML(value)}"`))
+    .join('');
+  return html.replace(pattern, `$1${attrs}`);
+}
+
+/**
+ * Insert markup right after <head>
+ */
+function prependToHead(html, markup) {
+  return html.replace(/<head>/, `<head>\n  ${markup}`);
+}
+
+/**
+ * Set <title> and meta description
+ */
+function setPageMeta(html, { title, description }) {
+  return html
+    .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHTML(title)}</title>`)
+    .replace(
+      /<meta name="description" content="[^"]*"\s*\/?>/,
+      () => `<meta name="description" content="${escapeHTML(description)}" />`
+    );
+}
+
+/**
+ * Insert markup right before </head>
+ */
+function appendToHead(html, markup) {
+  return html.replace(/\n?<\/head>/, () => `\n\n  ${markup}\n</head>`);
+}
+
+/**
+ * Embed article data for hydration (no fetch needed in the browser)
+ */
+function embedData(html, articles) {
+  // "<" di-escape supaya isi konten tidak bisa menutup <script>
+  const json = JSON.stringify(articles).replace(/</g, '\\u003c');
+  const tag = `<script type="application/json" id="${CONFIG.embeddedDataId}">${json}</script>`;
+  // Fungsi pengganti: "$$" di data (rumus) jangan dibaca sebagai pola replace
+  return html.replace(/(\s*<script type="module")/, (match, scripts) => `\n  ${tag}${scripts}`);
+}
+
+/**
+ * Mark the page as built: pretty article URLs in script.js
+ */
+function markPrettyURLs(html) {
+  return html.replace(/<html([^>]*)>/, '<html$1 data-pretty-urls>');
+}
+
+/**
+ * Write a file, creating parent directories
+ */
+function writeFile(relativePath, content) {
+  const target = path.join(OUT_DIR, relativePath);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, content);
+}
+
+// ==========================================
+// PAGES
+// ==========================================
+
+/**
+ * Pre-rendered list page: topic chips, tag cloud, first page of cards (newest first) + pager
+ */
+function renderListPage(template, articles) {
+  const { pageSize } = CONFIG;
+  const sorted = sortArticles(articles, 'newest');
+  const totalPages = Math.max(1, Math.ceil(sorted.length / pageSize));
+  const tags = getTags(articles);
+
+  let html = markPrettyURLs(template);
+  html = fillSlot(html, 'topic-feeds', getTopics(articles).map(topic =>
+    `<link rel="alternate" type="application/atom+xml" title="${escapeHTML(`${SITE_NAME} - ${topic}`)}" href="${getFeedPaths(topic).atom}" />`
+  ).join('\n  '));
+  html = fillSlot(html, 'topics', generateTopicChipsHTML(getTopics(articles)));
+
+  if (tags.length > 0) {
+    const counts = new Map(tags.map(tag => [tag.key, tag.count]));
+    html = fillSlot(html, 'tags', generateTagCloudHTML(tags, counts));
+    html = html.replace(/(<nav\b[^>]*\bid="tagCloud"[^>]*?)\s*hidden/, '$1');
+  }
+
+  html = fillSlot(html, 'cards', sorted.slice(0, pageSize).map(a => generateCardHTML(a)).join(''));
+  html = addAttributes(html, 'cards', { 'data-prerendered': true });
+
+  if (totalPages > 1) {
+    html = fillSlot(html, 'pager', generatePaginationHTML(1, totalPages));
+    html = html.replace(/(<nav\b[^>]*\bid="pager"[^>]*?)\s*style="display:none;"/, '$1');
+  }
+
+  return embedData(html, articles);
+}
+
+/**
+ * Pre-rendered detail page for one article (served from artikel/<id>/)
+ */
+function renderDetailPage(template, article, articles, siteURL) {
+  const pageURL = getArticleURL(article.id);
+
+  const detailHTML = generateDetailHTML(article, {
+    related: getRelatedArticles(article, articles),
+    series: getArticleSeries(article, articles),
+    ...getAdjacentArticles(article, articles)
+  })
+    // Dengan <base>, "#bagian" harus ditulis lengkap supaya tetap di halaman ini
+    .replace(/href="#(?=[^"])/g, `href="${pageURL}#`);
+
+  let html = markPrettyURLs(template);
+  html = prependToHead(html, '<base href="../../" />');
+  html = setPageMeta(html, {
+    title: `${article.title} - ${SITE_NAME}`,
+    description: article.excerpt || article.title
+  });
+  html = appendToHead(html, generateMetaTagsHTML(getArticleMeta(article, { baseURL: siteURL })));
+  html = fillSlot(html, 'detail', detailHTML);
+  html = addAttributes(html, 'detailMount', { 'data-prerendered': article.id });
+
+  return embedData(html, [article]);
+}
+
+/**
+ * Not-found page (404.html): served for any missing path, so <base> is absolute
+ * Data lengkap ikut ditanam untuk saran artikel terdekat & terbaru
+ */
+function renderNotFoundPage(template, articles, siteURL) {
+  let html = markPrettyURLs(template);
+  html = prependToHead(html, `<base href="${escapeHTML(new URL(siteURL).pathname)}" />`);
+  html = setPageMeta(html, {
+    title: `${t('notFound.title')} - ${SITE_NAME}`,
+    description: t('notFound.title')
+  });
+  html = appendToHead(html, '<meta name="robots" content="noindex" />');
+
+  return embedData(html, articles);
+}
+
+/**
+ * Redirect page for a renamed slug (alias)
+ */
+function renderAliasRedirect(article) {
+  const target = `../${encodeURIComponent(article.id)}/`;
+  return `<!doctype html>
+<html lang="id">
+<head>
+  <meta charset="utf-8" />
+  <meta name="robots" content="noindex" />
+  <meta http-equiv="refresh" content="0; url=${target}" />
+  <link rel="canonical" href="${target}" />
+  <title>${escapeHTML(article.title)} - ${SITE_NAME}</title>
+</head>
+<body>
+  <p>Artikel ini sudah dipindahkan ke <a href="${target}">alamat baru</a>.</p>
+</body>
+</html>
+`;
+}
+
+// ==========================================
+// BUILD
+// ==========================================
+
+function main() {
+  if (OUT_DIR === ROOT) {
+    console.error('Output directory cannot be the repository root');
+    process.exit(1);
+  }
+
+  const data = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+  const { valid, errors } = validateArticles(data);
+
+  if (errors.length > 0) {
+    console.error(formatValidationReport(errors, data.length));
+    process.exit(1);
+  }
+
+  const now = Date.now();
+  const articles = valid.filter(article => isPublished(article, now));
+  const hidden = valid.length - articles.length;
+
+  // Template di Node pakai URL artikel/<id>/ seperti di hasil build
+  CONFIG.prettyURLs = true;
+
+  fs.rmSync(OUT_DIR, { recursive: true, force: true });
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  STATIC_PATHS.forEach(item => {
+    fs.cpSync(path.join(ROOT, item), path.join(OUT_DIR, item), { recursive: true });
+  });
+
+  // Draft & artikel terjadwal tidak boleh ikut terbit lewat data mentah
+  writeFile(path.join('data', 'articles.txt'), formatArticlesData(articles));
+
+  const listTemplate = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const detailTemplate = fs.readFileSync(path.join(ROOT, 'article-detail.html'), 'utf8');
+
+  const siteURL = getSiteURL();
+  if (!process.env.SITE_URL) {
+    console.warn(`SITE_URL not set, absolute URLs use ${siteURL}`);
+  }
+
+  writeFile('index.html', renderListPage(listTemplate, articles));
+
+  articles.forEach(article => {
+    writeFile(
+      path.join('artikel', article.id, 'index.html'),
+      renderDetailPage(detailTemplate, article, articles, siteURL)
+    );
+
+    (article.aliases || []).forEach(alias => {
+      writeFile(path.join('artikel', alias, 'index.html'), renderAliasRedirect(article));
+    });
+  });
+
+  writeFile('404.html', renderNotFoundPage(detailTemplate, articles, siteURL));
+
+  writeFeeds(OUT_DIR, articles, { siteURL });
+
+  console.log(`Built ${articles.length} article page(s) into ${path.relative(process.cwd(), OUT_DIR) || '.'}` +
+    (hidden > 0 ? ` (${hidden} draft/scheduled skipped)` : ''));
+}
+
+main();
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * PPS Article System - Content Compiler
+ * Pajajaran Physical Society
+ *
+ * Satu artikel = satu file Markdown di content/ dengan front matter:
+ *
+ *   ---
+ *   id: hukum-newton          (opsional, default: nama file)
+ *   title: HUKUM NEWTON
+ *   topic: Edukasi
+ *   author: Sandy
+ *   date: 2026-01-26
+ *   excerpt: Ringkasan singkat.
+ *   cover: https://...
+ *   coverAlt: Deskripsi gambar cover   (opsional, teks alternatif)
+ *   tags: [mekanika, gaya]    (opsional)
+ *   status: draft             (opsional, default published)
+ *   publishAt: 2026-02-01T08:00  (opsional, jadwal terbit; default: date)
+ *   series:                   (opsional, artikel berseri)
+ *     name: INTERESTING FACT TIME
+ *     order: 2
+ *   ---
+ *   Isi artikel dalam Markdown...
+ *
+ * Terjemahan ditulis di file terpisah <id>.<lang>.md (mis. hukum-newton.en.md)
+ * dengan front matter title + excerpt (+ coverAlt); hasilnya jadi `translations.<lang>`
+ * artikel aslinya. Bahasa yang didukung: LANGUAGES di assets/js/i18n.js.
+ *
+ * Hasilnya ditulis ke data/articles.txt (array JSON yang dibaca loadArticles()),
+ * urut dari yang terbaru. File yang diawali "_" (mis. _template.md) dilewati.
+ *
+ * Kalau cover sudah diproses scripts/images.js, entrinya di data/covers.json
+ * ditempel sebagai `coverImage` (varian AVIF/WebP, ukuran, placeholder).
+ *
+ * Editor admin (scripts/dev-server.js) menulis file yang sama lalu
+ * mengompilasi ulang lewat compileContent() di bawah.
+ *
+ * Usage:
+ *   node scripts/compile-content.js           tulis data/articles.txt
+ *   node scripts/compile-content.js --check   exit 1 kalau data/articles.txt belum diperbarui
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { parseFrontMatter, renderMarkdown } from '../assets/js/markdown.js';
+import { validateArticles } from '../assets/js/data.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, TRANSLATABLE_FIELDS } from '../assets/js/i18n.js';
+
+const ROOT = path.join(import.meta.dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'content');
+const DATA_PATH = path.join(ROOT, 'data', 'articles.txt');
+const COVERS_PATH = path.join(ROOT, 'data', 'covers.json');
+
+// Urutan key di output; key front matter lain menyusul, `content` paling akhir
+const KEY_ORDER = ['id', 'title', 'topic', 'author', 'date', 'excerpt', 'cover', 'coverAlt'];
+
+// <id>.<lang>.md -> terjemahan artikel <id>
+const TRANSLATION_FILE = /^(.+)\.([a-z]{2})\.md$/;
+
+/**
+ * data/covers.json (scripts/images.js) -> { [cover]: coverImage }; {} kalau belum ada
+ */
+function readCoverManifest() {
+  return fs.existsSync(COVERS_PATH) ? JSON.parse(fs.readFileSync(COVERS_PATH, 'utf8')) : {};
+}
+
+/**
+ * One Markdown file -> article record
+ */
+function compileFile(file, covers = {}) {
+  const source = fs.readFileSync(file, 'utf8');
+  const { data, body } = parseFrontMatter(source);
+
+  const fields = { id: path.basename(file, '.md'), ...data };
+  const article = {};
+
+  [...KEY_ORDER, ...Object.keys(fields)].forEach(key => {
+    if (key in article || fields[key] === null || fields[key] === undefined) return;
+    article[key] = fields[key];
+  });
+
+  if (typeof article.cover === 'string' && covers[article.cover]) {
+    article.coverImage = covers[article.cover];
+  }
+
+  article.content = renderMarkdown(body);
+  return article;
+}
+
+/**
+ * One translation file -> { field: value } (hanya TRANSLATABLE_FIELDS)
+ */
+function compileTranslation(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  const { data, body } = parseFrontMatter(source);
+  const fields = { ...data, content: renderMarkdown(body) };
+
+  Object.keys(data).forEach(key => {
+    if (!TRANSLATABLE_FIELDS.includes(key)) {
+      throw new Error(`"${key}" cannot be translated (allowed: ${TRANSLATABLE_FIELDS.join(', ')})`);
+    }
+  });
+
+  const translation = {};
+  TRANSLATABLE_FIELDS.forEach(key => {
+    if (fields[key] !== null && fields[key] !== undefined && fields[key] !== '') {
+      translation[key] = fields[key];
+    }
+  });
+  return translation;
+}
+
+/**
+ * Compile every content/*.md -> { articles, errors }
+ */
+function compileContent(contentDir = CONTENT_DIR) {
+  const names = fs.readdirSync(contentDir)
+    .filter(name => name.endsWith('.md') && !name.startsWith('_'))
+    .sort();
+
+  const errors = [];
+  const articles = [];
+  const translations = [];
+
+  let covers = {};
+  try {
+    covers = readCoverManifest();
+  } catch (error) {
+    errors.push(`${path.relative(ROOT, COVERS_PATH)}: ${error.message}`);
+  }
+
+  names.forEach(name => {
+    const file = path.join(contentDir, name);
+    const match = name.match(TRANSLATION_FILE);
+
+    try {
+      if (match) {
+        translations.push({ file, base: `${match[1]}.md`, language: match[2], translation: compileTranslation(file) });
+      } else {
+        articles.push({ file, article: compileFile(file, covers) });
+      }
+    } catch (error) {
+      errors.push(`${path.relative(ROOT, file)}: ${error.message}`);
+    }
+  });
+
+  // Terjemahan ditempel ke artikel aslinya (dicocokkan lewat nama file)
+  translations.forEach(({ file, base, language, translation }) => {
+    const source = path.relative(ROOT, file);
+    const entry = articles.find(item => path.basename(item.file) === base);
+
+    if (!entry) {
+      errors.push(`${source}: no article ${base} to translate`);
+      return;
+    }
+    if (language === DEFAULT_LANGUAGE || !LANGUAGES[language]) {
+      const supported = Object.keys(LANGUAGES).filter(lang => lang !== DEFAULT_LANGUAGE);
+      errors.push(`${source}: "${language}" is not one of: ${supported.join(', ')}`);
+      return;
+    }
+
+    entry.article.translations = { ...entry.article.translations, [language]: translation };
+  });
+
+  // Terbaru dulu; tanggal sama -> urut nama file
+  articles.sort((a, b) => String(b.article.date).localeCompare(String(a.article.date)));
+
+  const records = articles.map(entry => entry.article);
+  const validation = validateArticles(records);
+
+  validation.errors.forEach(({ index, field, message }) => {
+    const source = path.relative(ROOT, articles[index].file);
+    errors.push(`${source}: ${field ? `${field}: ` : ''}${message}`);
+  });
+
+  return { articles: records, errors };
+}
+
+/**
+ * Articles -> isi data/articles.txt (JSON rapi, satu format untuk semua penulisnya)
+ */
+function formatArticlesData(articles) {
+  return `${JSON.stringify(articles, null, 2)}\n`;
+}
+
+function main() {
+  const checkOnly = process.argv.includes('--check');
+  const { articles, errors } = compileContent();
+
+  if (errors.length > 0) {
+    console.error(`Cannot compile content:\n${errors.map(e => `  ${e}`).join('\n')}`);
+    process.exit(1);
+  }
+
+  const output = formatArticlesData(articles);
+  const current = fs.existsSync(DATA_PATH) ? fs.readFileSync(DATA_PATH, 'utf8') : '';
+
+  if (checkOnly) {
+    if (output !== current) {
+      console.error('data/articles.txt is out of date, run: node scripts/compile-content.js');
+      process.exit(1);
+    }
+    console.log(`data/articles.txt up to date (${articles.length} article(s))`);
+    return;
+  }
+
+  fs.writeFileSync(DATA_PATH, output);
+  console.log(`Compiled ${articles.length} article(s) into data/articles.txt`);
+}
+
+export {
+  compileContent, formatArticlesData, KEY_ORDER, CONTENT_DIR, DATA_PATH, COVERS_PATH
+};
+
+if (process.argv[1] === import.meta.filename) {
+  main();
+}
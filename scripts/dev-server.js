@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+/**
+ * PPS Article System - Dev Server + Admin API
+ * Pajajaran Physical Society
+ *
+ * Server lokal untuk menulis artikel tanpa menyunting JSON dengan tangan:
+ * - Menyajikan file situs apa adanya (index.html, article-detail.html, ...)
+ * - admin.html: daftar artikel, form + editor Markdown, pratinjau langsung
+ * - API untuk admin.html, menulis content/<id>.md lalu mengompilasi ulang
+ *   data/articles.txt (sama dengan scripts/compile-content.js):
+ *
+ *     GET  /api/articles        semua artikel: { id, file, data, body }
+ *     POST /api/articles        artikel baru
+ *     PUT  /api/articles/<id>   ubah artikel; id baru = file diganti nama,
+ *                               id lama masuk `aliases` (link lama tetap jalan)
+ *
+ * Record divalidasi (validateArticle) sebelum ditulis; kalau hasil kompilasi
+ * gagal, file dikembalikan seperti semula.
+ *
+ * Hanya mendengarkan 127.0.0.1, hanya melayani Host localhost / 127.0.0.1 / [::1]
+ * (DNS rebinding ditolak) dan hanya menerima JSON dari origin yang sama.
+ *
+ * Usage:
+ *   node scripts/dev-server.js [port]   (default: 8000) -> http://localhost:8000/admin.html
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+
+import { parseFrontMatter, stringifyFrontMatter, renderMarkdown } from '../assets/js/markdown.js';
+import { validateArticle } from '../assets/js/data.js';
+import {
+  compileContent, formatArticlesData, KEY_ORDER, CONTENT_DIR, DATA_PATH
+} from './compile-content.js';
+
+const ROOT = path.join(import.meta.dirname, '..');
+const HOST = '127.0.0.1';
+const PORT = Number(process.argv[2]) || 8000;
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+// Header Host yang dilayani: nama lain yang di-resolve ke 127.0.0.1 (DNS rebinding) ditolak
+const ALLOWED_HOSTS = ['localhost', '127.0.0.1', '[::1]'].map(name => `${name}:${PORT}`);
+
+// Field yang diisi lewat form admin; key front matter lain (series, aliases, ...)
+// dipertahankan dari file aslinya
+const EDITABLE_FIELDS = [...KEY_ORDER, 'tags', 'status', 'publishAt'];
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon'
+};
+
+// ==========================================
+// CONTENT FILES
+// ==========================================
+
+/**
+ * Error with an HTTP status (+ daftar error validasi untuk form)
+ */
+class HttpError extends Error {
+  constructor(status, message, errors = []) {
+    super(message);
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/**
+ * decodeURIComponent for a request path; escape yang rusak (/%E0%A4%A) -> 400
+ */
+function decodePath(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, 'Malformed URL');
+  }
+}
+
+/**
+ * Path of a request URL, resolved against a fixed base (Host bisa berisi apa saja)
+ */
+function getRequestPath(url) {
+  try {
+    return new URL(url, `http://${HOST}:${PORT}`).pathname;
+  } catch {
+    throw new HttpError(400, 'Malformed URL');
+  }
+}
+
+const articleFile = id => path.join(CONTENT_DIR, `${id}.md`);
+
+// <id>.md saja; template (_*.md) dan terjemahan (<id>.<lang>.md) dilewati
+const isArticleFile = name => /^[^_.][^.]*\.md$/.test(name);
+
+/**
+ * Every article source file -> [{ id, file, data, body }]
+ */
+function readArticles() {
+  return fs.readdirSync(CONTENT_DIR)
+    .filter(isArticleFile)
+    .sort()
+    .map(name => {
+      const { data, body } = parseFrontMatter(fs.readFileSync(path.join(CONTENT_DIR, name), 'utf8'));
+      return { id: data.id || path.basename(name, '.md'), file: name, data, body };
+    });
+}
+
+/**
+ * Form input + existing front matter -> front matter in a stable key order
+ * (field form dulu sesuai EDITABLE_FIELDS, lalu key lain dari file lama)
+ */
+function buildFrontMatter(input, existing = {}) {
+  const data = {};
+
+  EDITABLE_FIELDS.forEach(key => {
+    const value = input[key];
+    const empty = value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+    if (!empty) data[key] = value;
+  });
+
+  // status default "published" tidak perlu ditulis
+  if (data.status === 'published') delete data.status;
+
+  Object.keys(existing).forEach(key => {
+    if (!EDITABLE_FIELDS.includes(key) && !(key in data)) data[key] = existing[key];
+  });
+
+  return data;
+}
+
+/**
+ * Validate and write one article, then recompile data/articles.txt
+ * originalId: null untuk artikel baru
+ */
+function saveArticle(input, originalId = null) {
+  if (!input || typeof input !== 'object' || typeof input.body !== 'string') {
+    throw new HttpError(400, 'Expected JSON { id, title, ..., body }');
+  }
+
+  const articles = readArticles();
+  const original = originalId ? articles.find(item => item.id === originalId) : null;
+  if (originalId && !original) {
+    throw new HttpError(404, `Article "${originalId}" not found`);
+  }
+
+  const data = buildFrontMatter(input, original?.data);
+  const id = data.id;
+
+  // Ganti id: slug lama disimpan sebagai alias
+  if (original && id !== originalId) {
+    const aliases = (data.aliases || []).filter(alias => alias !== id);
+    data.aliases = aliases.includes(originalId) ? aliases : [...aliases, originalId];
+  }
+
+  const errors = validateArticle({ ...data, content: renderMarkdown(input.body) });
+  const target = articleFile(id);
+  const base = original ? path.basename(original.file, '.md') : null;
+
+  if (id !== base && (articles.some(item => item.id === id) || fs.existsSync(target))) {
+    errors.push({ field: 'id', message: `"${id}" is already used by another article` });
+  }
+  if (errors.length > 0) {
+    throw new HttpError(422, 'Article is not valid', errors);
+  }
+
+  // File diberi nama sesuai id; terjemahannya (<id>.<lang>.md) ikut diganti nama
+  const renames = base && base !== id
+    ? fs.readdirSync(CONTENT_DIR)
+      .filter(name => name === `${base}.md` || name.startsWith(`${base}.`))
+      .map(name => [name, `${id}${name.slice(base.length)}`])
+    : [];
+  renames.forEach(([from, to]) => fs.renameSync(path.join(CONTENT_DIR, from), path.join(CONTENT_DIR, to)));
+
+  // Simpan isi lama supaya bisa dikembalikan kalau kompilasi gagal
+  const previous = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+  fs.writeFileSync(target, stringifyFrontMatter(data, input.body));
+
+  const compiled = compileContent();
+  if (compiled.errors.length > 0) {
+    if (previous === null) fs.unlinkSync(target);
+    else fs.writeFileSync(target, previous);
+    renames.forEach(([from, to]) => fs.renameSync(path.join(CONTENT_DIR, to), path.join(CONTENT_DIR, from)));
+
+    throw new HttpError(422, 'Content does not compile', compiled.errors.map(message => ({ message })));
+  }
+
+  fs.writeFileSync(DATA_PATH, formatArticlesData(compiled.articles));
+  console.log(`Saved content/${id}.md, compiled ${compiled.articles.length} article(s)`);
+
+  return readArticles().find(item => item.id === id);
+}
+
+// ==========================================
+// HTTP
+// ==========================================
+
+function sendJSON(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Read a JSON request body (dibatasi MAX_BODY_BYTES)
+ */
+function readJSONBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * /api/... routes
+ */
+async function handleAPI(req, res, pathname) {
+  // Tulis hanya lewat fetch JSON dari halaman ini sendiri (bukan form situs lain)
+  if (req.method !== 'GET') {
+    const origin = req.headers.origin;
+    if (origin && origin !== `http://${req.headers.host}`) {
+      throw new HttpError(403, 'Cross-origin requests are not allowed');
+    }
+    if (!/^application\/json\b/.test(req.headers['content-type'] || '')) {
+      throw new HttpError(415, 'Expected Content-Type: application/json');
+    }
+  }
+
+  const match = /^\/api\/articles(?:\/([^/]+))?$/.exec(pathname);
+  if (!match) throw new HttpError(404, 'Unknown API route');
+
+  const id = match[1] ? decodePath(match[1]) : null;
+
+  if (req.method === 'GET' && !id) {
+    sendJSON(res, 200, { articles: readArticles() });
+  } else if (req.method === 'POST' && !id) {
+    sendJSON(res, 201, { article: saveArticle(await readJSONBody(req)) });
+  } else if (req.method === 'PUT' && id) {
+    sendJSON(res, 200, { article: saveArticle(await readJSONBody(req), id) });
+  } else {
+    throw new HttpError(405, `${req.method} not allowed here`);
+  }
+}
+
+/**
+ * Serve a file from the repository root ("/" -> index.html)
+ */
+function serveStatic(req, res, pathname) {
+  const file = path.join(ROOT, decodePath(pathname));
+  if (file !== ROOT && !file.startsWith(ROOT + path.sep)) {
+    throw new HttpError(403, 'Forbidden');
+  }
+
+  const target = fs.existsSync(file) && fs.statSync(file).isDirectory()
+    ? path.join(file, 'index.html')
+    : file;
+  if (!fs.existsSync(target)) throw new HttpError(404, `Not found: ${pathname}`);
+
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES[path.extname(target).toLowerCase()] || 'application/octet-stream',
+    'Cache-Control': 'no-cache'
+  });
+  if (req.method === 'HEAD') res.end();
+  else fs.createReadStream(target).pipe(res);
+}
+
+const server = http.createServer(async (req, res) => {
+  let pathname = '';
+
+  try {
+    if (!ALLOWED_HOSTS.includes(String(req.headers.host || '').toLowerCase())) {
+      throw new HttpError(403, `Unknown host, open http://localhost:${PORT}/`);
+    }
+
+    pathname = getRequestPath(req.url);
+
+    if (pathname.startsWith('/api/')) {
+      await handleAPI(req, res, pathname);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+      serveStatic(req, res, pathname);
+    } else {
+      throw new HttpError(405, `${req.method} not allowed`);
+    }
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) console.error(error);
+
+    if (pathname.startsWith('/api/')) {
+      sendJSON(res, status, { error: error.message, errors: error.errors || [] });
+    } else {
+      res.writeHead(status, { 'Content-Type': MIME_TYPES['.txt'] });
+      res.end(error.message);
+    }
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`PPS dev server: http://localhost:${PORT}/ (admin: http://localhost:${PORT}/admin.html)`);
+});
@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * PPS Article System - Feeds & Sitemap
+ * Pajajaran Physical Society
+ *
+ * Generate dari data/articles.txt (URL artikel mengikuti hasil build: artikel/<id>/):
+ * - feed.xml  (Atom), rss.xml (RSS 2.0), feed.json (JSON Feed 1.1)
+ * - feeds/<topik>.xml | .rss.xml | .json untuk tiap topik yang ada di data
+ * - sitemap.xml
+ *
+ * Dipanggil otomatis oleh scripts/build.js. Bisa juga sendiri:
+ *   SITE_URL=https://example.org/pps/ node scripts/feeds.js [outDir]   (default: dist)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { escapeHTML, sanitizeHTML } from '../assets/js/sanitize.js';
+import { CONFIG, getArticleURL, slugify } from '../assets/js/core.js';
+import {
+  validateArticles, formatValidationReport, isPublished, sortArticles, getTopics
+} from '../assets/js/data.js';
+import { renderMath } from '../assets/js/math.js';
+// Mendaftarkan placeholder <div data-widget> ke sanitizer (teks cadangannya ikut di feed)
+import '../assets/js/widgets.js';
+
+const SITE_TITLE = 'Pajajaran Physical Society';
+const SITE_DESCRIPTION = 'Kumpulan artikel tentang fisika dan sains dari Pajajaran Physical Society';
+const SITE_LANGUAGE = 'id';
+const DEFAULT_SITE_URL = 'http://localhost:8000/';
+
+const FEED_LIMIT = 20; // item terbaru per feed; sitemap tetap berisi semua artikel
+const TIMEZONE_OFFSET = CONFIG.timezoneOffset; // tanggal artikel ditulis dalam WIB
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Site root URL from SITE_URL (always ends with "/")
+ */
+function getSiteURL(value = process.env.SITE_URL) {
+  const url = new URL(value || DEFAULT_SITE_URL);
+  if (!url.pathname.endsWith('/')) url.pathname += '/';
+  return url.href;
+}
+
+/**
+ * Absolute URL relative to the site root
+ */
+function absoluteURL(siteURL, relative) {
+  return new URL(relative, siteURL).href;
+}
+
+/**
+ * "2026-02-05" -> "2026-02-05T00:00:00+07:00"
+ */
+function toRFC3339(date) {
+  return `${date}T00:00:00${TIMEZONE_OFFSET}`;
+}
+
+/**
+ * "2026-02-05" -> "Wed, 04 Feb 2026 17:00:00 GMT" (format RSS)
+ */
+function toRFC822(date) {
+  return new Date(toRFC3339(date)).toUTCString();
+}
+
+/**
+ * Guess the MIME type of a cover image from its extension
+ */
+function getImageType(url) {
+  const match = /\.(png|gif|webp|avif|svg)(?:[?#]|$)/i.exec(url);
+  if (!match) return 'image/jpeg';
+  const ext = match[1].toLowerCase();
+  return ext === 'svg' ? 'image/svg+xml' : `image/${ext}`;
+}
+
+/**
+ * Sanitized article content (math as MathML) with src/href made absolute
+ * (feed readers have no base URL)
+ */
+function getFeedContent(article, articleURL) {
+  return renderMath(sanitizeHTML(article.content || '')).html.replace(
+    /\b(src|href)="([^"]*)"/g,
+    (match, name, value) => {
+      try {
+        const decoded = value.replace(/&amp;/g, '&');
+        return `${name}="${escapeHTML(new URL(decoded, articleURL).href)}"`;
+      } catch {
+        return match;
+      }
+    }
+  );
+}
+
+/**
+ * Everything a feed needs about one article
+ */
+function toFeedItem(article, siteURL) {
+  const url = absoluteURL(siteURL, getArticleURL(article.id));
+  return {
+    id: article.id,
+    url,
+    title: article.title,
+    summary: article.excerpt || '',
+    author: article.author || SITE_TITLE,
+    date: article.date,
+    topic: article.topic,
+    tags: article.tags || [],
+    cover: article.cover ? absoluteURL(siteURL, article.cover) : '',
+    content: getFeedContent(article, url)
+  };
+}
+
+// ==========================================
+// FORMATS
+// ==========================================
+
+/**
+ * Atom 1.0
+ */
+function generateAtomFeed(items, { title, siteURL, selfURL, homeURL }) {
+  const xml = escapeHTML;
+  const updated = items.length ? toRFC3339(items[0].date) : new Date().toISOString();
+
+  const entries = items.map(item => `
+  <entry>
+    <id>${xml(item.url)}</id>
+    <title>${xml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${xml(item.url)}" />
+    ${item.cover ? `<link rel="enclosure" type="${getImageType(item.cover)}" href="${xml(item.cover)}" />` : ''}
+    <published>${toRFC3339(item.date)}</published>
+    <updated>${toRFC3339(item.date)}</updated>
+    <author><name>${xml(item.author)}</name></author>
+    ${[item.topic, ...item.tags].map(term => `<category term="${xml(term)}" />`).join('\n    ')}
+    <summary>${xml(item.summary)}</summary>
+    <content type="html">${xml(item.content)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${SITE_LANGUAGE}">
+  <id>${xml(selfURL)}</id>
+  <title>${xml(title)}</title>
+  <subtitle>${xml(SITE_DESCRIPTION)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${xml(selfURL)}" />
+  <link rel="alternate" type="text/html" href="${xml(homeURL)}" />
+  <icon>${xml(absoluteURL(siteURL, 'assets/img/footer-logo.png'))}</icon>
+  <updated>${updated}</updated>
+  <author><name>${xml(SITE_TITLE)}</name></author>${entries}
+</feed>
+`;
+}
+
+/**
+ * RSS 2.0
+ */
+function generateRSSFeed(items, { title, selfURL, homeURL }) {
+  const xml = escapeHTML;
+  const lastBuild = items.length ? toRFC822(items[0].date) : new Date().toUTCString();
+
+  const entries = items.map(item => `
+    <item>
+      <guid isPermaLink="true">${xml(item.url)}</guid>
+      <title>${xml(item.title)}</title>
+      <link>${xml(item.url)}</link>
+      <pubDate>${toRFC822(item.date)}</pubDate>
+      <dc:creator>${xml(item.author)}</dc:creator>
+      ${[item.topic, ...item.tags].map(term => `<category>${xml(term)}</category>`).join('\n      ')}
+      <description>${xml(item.summary)}</description>
+      <content:encoded>${xml(item.content)}</content:encoded>
+      ${item.cover ? `<enclosure url="${xml(item.cover)}" length="0" type="${getImageType(item.cover)}" />` : ''}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0"
+  xmlns:atom="http://www.w3.org/2005/Atom"
+  xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${xml(title)}</title>
+    <link>${xml(homeURL)}</link>
+    <atom:link rel="self" type="application/rss+xml" href="${xml(selfURL)}" />
+    <description>${xml(SITE_DESCRIPTION)}</description>
+    <language>${SITE_LANGUAGE}</language>
+    <lastBuildDate>${lastBuild}</lastBuildDate>${entries}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * JSON Feed 1.1
+ */
+function generateJSONFeed(items, { title, siteURL, selfURL, homeURL }) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    home_page_url: homeURL,
+    feed_url: selfURL,
+    description: SITE_DESCRIPTION,
+    icon: absoluteURL(siteURL, 'assets/img/footer-logo.png'),
+    language: SITE_LANGUAGE,
+    authors: [{ name: SITE_TITLE }],
+    items: items.map(item => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.content,
+      date_published: toRFC3339(item.date),
+      authors: [{ name: item.author }],
+      tags: [item.topic, ...item.tags],
+      ...(item.cover && {
+        image: item.cover,
+        attachments: [{ url: item.cover, mime_type: getImageType(item.cover) }]
+      })
+    }))
+  };
+
+  return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+/**
+ * sitemap.xml: list page + every article page
+ */
+function generateSitemap(articles, siteURL) {
+  const xml = escapeHTML;
+  const newest = sortArticles(articles, 'newest');
+
+  const urls = [
+    { loc: siteURL, lastmod: newest.length ? newest[0].date : '' },
+    ...newest.map(article => ({
+      loc: absoluteURL(siteURL, getArticleURL(article.id)),
+      lastmod: article.date
+    }))
+  ];
+
+  const entries = urls.map(({ loc, lastmod }) => `
+  <url>
+    <loc>${xml(loc)}</loc>${lastmod ? `\n    <lastmod>${lastmod}</lastmod>` : ''}
+  </url>`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries}
+</urlset>
+`;
+}
+
+// ==========================================
+// OUTPUT
+// ==========================================
+
+/**
+ * Feed file paths (relative to the site root) for a topic, or the whole site
+ */
+function getFeedPaths(topic = null) {
+  if (!topic) {
+    return { atom: 'feed.xml', rss: 'rss.xml', json: 'feed.json' };
+  }
+  const slug = slugify(topic);
+  return { atom: `feeds/${slug}.xml`, rss: `feeds/${slug}.rss.xml`, json: `feeds/${slug}.json` };
+}
+
+/**
+ * Write all feeds + sitemap into outDir -> list of written files
+ * (draft dan artikel terjadwal tidak ikut)
+ */
+function writeFeeds(outDir, records, { siteURL = getSiteURL() } = {}) {
+  const now = Date.now();
+  const articles = records.filter(article => isPublished(article, now));
+
+  const written = [];
+  const write = (relativePath, content) => {
+    const target = path.join(outDir, relativePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+    written.push(relativePath);
+  };
+
+  const newest = sortArticles(articles, 'newest');
+  const topics = getTopics(articles);
+
+  [null, ...topics].forEach(topic => {
+    const items = newest
+      .filter(article => !topic || article.topic === topic)
+      .slice(0, FEED_LIMIT)
+      .map(article => toFeedItem(article, siteURL));
+
+    const paths = getFeedPaths(topic);
+    const meta = {
+      title: topic ? `${SITE_TITLE} - ${topic}` : SITE_TITLE,
+      siteURL,
+      homeURL: topic ? absoluteURL(siteURL, `index.html?topic=${encodeURIComponent(topic)}`) : siteURL
+    };
+
+    write(paths.atom, generateAtomFeed(items, { ...meta, selfURL: absoluteURL(siteURL, paths.atom) }));
+    write(paths.rss, generateRSSFeed(items, { ...meta, selfURL: absoluteURL(siteURL, paths.rss) }));
+    write(paths.json, generateJSONFeed(items, { ...meta, selfURL: absoluteURL(siteURL, paths.json) }));
+  });
+
+  write('sitemap.xml', generateSitemap(articles, siteURL));
+
+  return written;
+}
+
+export {
+  getSiteURL,
+  getFeedPaths,
+  generateAtomFeed,
+  generateRSSFeed,
+  generateJSONFeed,
+  generateSitemap,
+  writeFeeds
+};
+
+// ==========================================
+// CLI
+// ==========================================
+
+if (process.argv[1] === import.meta.filename) {
+  const outDir = path.resolve(process.argv[2] || path.join(import.meta.dirname, '..', 'dist'));
+  const data = JSON.parse(fs.readFileSync(path.join(import.meta.dirname, '..', 'data', 'articles.txt'), 'utf8'));
+  const { valid, errors } = validateArticles(data);
+
+  if (errors.length > 0) {
+    console.error(formatValidationReport(errors, data.length));
+    process.exit(1);
+  }
+
+  if (!process.env.SITE_URL) {
+    console.warn(`SITE_URL not set, using ${DEFAULT_SITE_URL}`);
+  }
+
+  // Feed menunjuk ke halaman hasil build (artikel/<id>/)
+  CONFIG.prettyURLs = true;
+
+  const written = writeFeeds(outDir, valid);
+  console.log(`Wrote ${written.length} file(s) into ${path.relative(process.cwd(), outDir) || '.'}`);
+}
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * PPS Article System - Cover Images
+ * Pajajaran Physical Society
+ *
+ * Membuat versi ringan dari cover setiap artikel (termasuk draft):
+ * - Varian AVIF + WebP selebar COVER_WIDTHS (tidak diperbesar melebihi aslinya)
+ *   di assets/img/covers/<hash>-<lebar>.<format>
+ * - Warna dominan + placeholder blur kecil (data URI), tampil selama gambar dimuat
+ *
+ * Hasilnya dicatat di data/covers.json (key: nilai `cover` di front matter), lalu
+ * data/articles.txt dikompilasi ulang: compile-content menempelkan entrinya
+ * sebagai `coverImage`, dan generateCardHTML / generateDetailHTML memakainya
+ * untuk srcset + sizes + width/height. Cover yang sudah diproses dilewati;
+ * entri cover yang tidak dipakai lagi dihapus beserta filenya.
+ *
+ * Butuh ImageMagick (`magick`, atau `convert` versi 6) dengan dukungan WebP;
+ * AVIF dilewati kalau ImageMagick tidak bisa menulisnya. Cover berupa URL
+ * diunduh dulu. Commit assets/img/covers/ dan data/covers.json setelahnya.
+ *
+ * Usage:
+ *   node scripts/images.js            proses cover yang baru / berubah
+ *   node scripts/images.js --force    buat ulang semua varian
+ */
+
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { compileContent, formatArticlesData, DATA_PATH, COVERS_PATH } from './compile-content.js';
+
+const ROOT = path.join(import.meta.dirname, '..');
+const COVERS_DIR = 'assets/img/covers'; // relatif ke root situs (dipakai juga di URL)
+
+const COVER_WIDTHS = [480, 800, 1200]; // px, sesuai COVER_SIZES di assets/js/render.js
+const COVER_FORMATS = ['avif', 'webp']; // urutan <source>: yang paling kecil dulu
+const QUALITY = { avif: 50, webp: 75 };
+const PLACEHOLDER_WIDTH = 16; // px; diperbesar + di-blur lewat CSS
+
+// ==========================================
+// IMAGEMAGICK
+// ==========================================
+
+/**
+ * ImageMagick 7 (`magick`) or 6 (`convert`), whichever is installed
+ */
+function findImageMagick() {
+  for (const command of ['magick', 'convert']) {
+    try {
+      execFileSync(command, ['-version'], { stdio: 'ignore' });
+      return command;
+    } catch {
+      // coba perintah berikutnya
+    }
+  }
+  throw new Error('ImageMagick not found (install it so `magick` or `convert` is on PATH)');
+}
+
+function run(tool, args) {
+  return execFileSync(tool, args, { stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 16 * 1024 * 1024 });
+}
+
+// ==========================================
+// COVERS
+// ==========================================
+
+/**
+ * Short stable file name for a cover (dua artikel dengan cover sama berbagi file)
+ */
+function getCoverKey(cover) {
+  return crypto.createHash('sha1').update(cover).digest('hex').slice(0, 10);
+}
+
+const variantFiles = entry => entry.formats.flatMap(format =>
+  entry.widths.map(width => path.join(ROOT, `${entry.base}-${width}.${format}`))
+);
+
+/**
+ * Local copy of a cover: remote URL -> downloaded into tempDir, path -> file in the repo
+ */
+async function fetchCover(cover, tempDir) {
+  if (!/^https?:\/\//i.test(cover)) {
+    const file = path.join(ROOT, cover);
+    if (!fs.existsSync(file)) throw new Error(`file not found: ${cover}`);
+    return file;
+  }
+
+  const response = await fetch(cover);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const file = path.join(tempDir, getCoverKey(cover));
+  fs.writeFileSync(file, Buffer.from(await response.arrayBuffer()));
+  return file;
+}
+
+/**
+ * Resize one cover -> manifest entry { base, width, height, widths, formats, color, placeholder }
+ * formats: format yang bisa ditulis ImageMagick ini (AVIF dilewati kalau tidak didukung)
+ */
+function processCover(tool, cover, file, formats) {
+  const input = `${file}[0]`; // frame pertama (GIF / WebP animasi)
+  const [width, height] = String(run(tool, [input, '-format', '%w %h', 'info:'])).trim().split(' ').map(Number);
+  if (!width || !height) throw new Error('cannot read image size');
+
+  const base = `${COVERS_DIR}/${getCoverKey(cover)}`;
+  const widths = [...new Set(COVER_WIDTHS.map(size => Math.min(size, width)))];
+
+  const written = [...formats].filter(format => {
+    try {
+      widths.forEach(size => {
+        const output = path.join(ROOT, `${base}-${size}.${format}`);
+        run(tool, [input, '-resize', `${size}x`, '-strip', '-quality', String(QUALITY[format]), output]);
+      });
+      return true;
+    } catch (error) {
+      // WebP wajib; AVIF opsional (ImageMagick tanpa libheif), dilewati untuk cover berikutnya juga
+      if (format !== 'avif') throw error;
+      console.warn(`  AVIF not supported by this ImageMagick, skipping it (${String(error.stderr || error.message).trim().split('\n')[0]})`);
+      formats.splice(formats.indexOf(format), 1);
+      return false;
+    }
+  });
+
+  const hex = String(run(tool, [input, '-resize', '1x1!', '-format', '%[hex:p{0,0}]', 'info:'])).trim();
+  const placeholder = run(tool, [input, '-resize', `${PLACEHOLDER_WIDTH}x`, '-strip', '-quality', '40', 'webp:-']);
+
+  return {
+    base,
+    width,
+    height,
+    widths,
+    formats: written,
+    color: `#${hex.slice(0, 6).toLowerCase()}`,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`
+  };
+}
+
+// ==========================================
+// MAIN
+// ==========================================
+
+function readManifest() {
+  return fs.existsSync(COVERS_PATH) ? JSON.parse(fs.readFileSync(COVERS_PATH, 'utf8')) : {};
+}
+
+function writeManifest(manifest) {
+  const sorted = Object.fromEntries(Object.keys(manifest).sort().map(cover => [cover, manifest[cover]]));
+  fs.writeFileSync(COVERS_PATH, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const tool = findImageMagick();
+  const formats = [...COVER_FORMATS];
+
+  const covers = [...new Set(
+    compileContent().articles.map(article => article.cover).filter(cover => typeof cover === 'string' && cover)
+  )];
+  const previous = readManifest();
+  const manifest = {};
+  const failed = [];
+
+  fs.mkdirSync(path.join(ROOT, COVERS_DIR), { recursive: true });
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pps-covers-'));
+
+  try {
+    for (const cover of covers) {
+      const entry = previous[cover];
+      if (!force && entry && variantFiles(entry).every(file => fs.existsSync(file))) {
+        manifest[cover] = entry;
+        continue;
+      }
+
+      console.log(`Processing ${cover}`);
+      try {
+        manifest[cover] = processCover(tool, cover, await fetchCover(cover, tempDir), formats);
+      } catch (error) {
+        console.error(`  ${error.message}`);
+        failed.push(cover);
+        if (entry && variantFiles(entry).every(file => fs.existsSync(file))) {
+          manifest[cover] = entry; // varian lama tetap dipakai
+        }
+      }
+    }
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  // Hapus varian cover yang tidak dipakai artikel mana pun lagi
+  const used = new Set(Object.values(manifest).flatMap(variantFiles));
+  fs.readdirSync(path.join(ROOT, COVERS_DIR))
+    .map(name => path.join(ROOT, COVERS_DIR, name))
+    .filter(file => !used.has(file))
+    .forEach(file => fs.unlinkSync(file));
+
+  writeManifest(manifest);
+
+  const { articles, errors } = compileContent();
+  if (errors.length > 0) {
+    console.error(`Cannot compile content:\n${errors.map(e => `  ${e}`).join('\n')}`);
+    process.exit(1);
+  }
+  fs.writeFileSync(DATA_PATH, formatArticlesData(articles));
+
+  console.log(`${Object.keys(manifest).length} cover(s) in data/covers.json, data/articles.txt updated`);
+  if (failed.length > 0) {
+    console.error(`${failed.length} cover(s) failed, see above`);
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] === import.meta.filename) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
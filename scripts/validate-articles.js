@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * PPS Article System - Data Validator
+ * Pajajaran Physical Society
+ *
+ * Cek semua record di data/articles.txt pakai schema yang sama
+ * dengan yang dijalankan di browser (assets/js/data.js).
+ *
+ * Usage:
+ *   node scripts/validate-articles.js [path/to/articles.txt]
+ *
+ * Exit code 1 kalau ada record yang tidak valid.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { validateArticles, formatValidationReport } from '../assets/js/data.js';
+
+const DEFAULT_DATA_PATH = path.join(import.meta.dirname, '..', 'data', 'articles.txt');
+
+function main() {
+  const dataPath = path.resolve(process.argv[2] || DEFAULT_DATA_PATH);
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  } catch (error) {
+    console.error(`Cannot read ${dataPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!Array.isArray(data)) {
+    console.error(`${dataPath}: data format invalid, expected array`);
+    process.exit(1);
+  }
+
+  const { valid, errors } = validateArticles(data);
+
+  if (errors.length > 0) {
+    console.error(formatValidationReport(errors, data.length));
+    process.exit(1);
+  }
+
+  console.log(`${path.relative(process.cwd(), dataPath)}: ${valid.length} article(s) OK`);
+}
+
+main();
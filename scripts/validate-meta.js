@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * PPS Article System - Social Metadata Validator
+ * Pajajaran Physical Society
+ *
+ * Cek halaman artikel hasil build (artikel/<id>/index.html): canonical,
+ * Open Graph, Twitter Card dan JSON-LD harus lengkap, pakai aturan yang
+ * sama dengan validateArticleMeta() di assets/js/render.js.
+ *
+ * Usage:
+ *   node scripts/validate-meta.js [distDir]   (default: dist)
+ *
+ * Exit code 1 kalau ada halaman dengan field yang hilang.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { validateArticleMeta } from '../assets/js/render.js';
+
+const DEFAULT_DIST_DIR = path.join(import.meta.dirname, '..', 'dist');
+
+/**
+ * Attributes of one tag: '<meta property="og:title" content="x" />' -> { property, content }
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([a-z:-]+)="([^"]*)"/gi;
+  let match;
+
+  while ((match = pattern.exec(tag))) {
+    attributes[match[1].toLowerCase()] = match[2]
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  return attributes;
+}
+
+/**
+ * Read canonical, meta tags and JSON-LD back from page HTML
+ */
+function extractMeta(html) {
+  const head = (/<head>([\s\S]*?)<\/head>/i.exec(html) || [])[1] || '';
+
+  const canonicalTag = /<link\b[^>]*rel="canonical"[^>]*>/i.exec(head);
+
+  const tags = (head.match(/<meta\b[^>]*>/gi) || [])
+    .map(parseAttributes)
+    .filter(attrs => attrs.property || attrs.name)
+    .map(attrs => ({
+      attr: attrs.property ? 'property' : 'name',
+      key: attrs.property || attrs.name,
+      content: attrs.content || ''
+    }));
+
+  const jsonLdBlock = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/i.exec(head);
+  let jsonLd = null;
+  if (jsonLdBlock) {
+    try {
+      jsonLd = JSON.parse(jsonLdBlock[1]);
+    } catch {
+      jsonLd = null;
+    }
+  }
+
+  return {
+    canonical: canonicalTag ? parseAttributes(canonicalTag[0]).href : '',
+    tags,
+    jsonLd
+  };
+}
+
+function main() {
+  const distDir = path.resolve(process.argv[2] || DEFAULT_DIST_DIR);
+  const articleDir = path.join(distDir, 'artikel');
+
+  if (!fs.existsSync(articleDir)) {
+    console.error(`${articleDir} not found, run node scripts/build.js first`);
+    process.exit(1);
+  }
+
+  let checked = 0;
+  const problems = [];
+
+  fs.readdirSync(articleDir).sort().forEach(slug => {
+    const file = path.join(articleDir, slug, 'index.html');
+    if (!fs.existsSync(file)) return;
+
+    const html = fs.readFileSync(file, 'utf8');
+    // Halaman redirect alias tidak perlu metadata
+    if (/http-equiv="refresh"/i.test(html)) return;
+
+    checked++;
+    const errors = validateArticleMeta(extractMeta(html));
+    if (errors.length > 0) {
+      problems.push(`  ${path.relative(distDir, file)}\n${errors.map(e => `    - ${e}`).join('\n')}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    console.error(`${problems.length} of ${checked} article page(s) have incomplete metadata:\n${problems.join('\n')}`);
+    process.exit(1);
+  }
+
+  console.log(`${checked} article page(s) OK`);
+}
+
+main();
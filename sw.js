@@ -0,0 +1,195 @@
+/**
+ * PPS Article System - Service Worker
+ * Pajajaran Physical Society
+ *
+ * Strategi cache:
+ * - App shell (HTML, CSS, JS, logo)  : precache; HTML network-first,
+ *                                      CSS/JS stale-while-revalidate
+ * - data/articles.txt                : stale-while-revalidate
+ * - Cover & gambar artikel           : cache-first (dibatasi jumlahnya)
+ * - Google Fonts                     : stale-while-revalidate
+ *
+ * Naikkan CACHE_VERSION setiap kali daftar PRECACHE_URLS berubah.
+ */
+
+const CACHE_VERSION = 'v8';
+
+const CACHES = {
+  shell: `pps-shell-${CACHE_VERSION}`,
+  data: 'pps-data',
+  images: 'pps-images',
+  fonts: 'pps-fonts',
+  // Diisi dari halaman lewat tombol "Simpan untuk dibaca offline"
+  offline: 'pps-offline'
+};
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'article-detail.html',
+  'assets/css/styles.css',
+  'assets/js/theme.js',
+  'assets/js/sanitize.js',
+  'assets/js/math.js',
+  'assets/js/widgets.js',
+  'assets/js/i18n.js',
+  'assets/js/core.js',
+  'assets/js/search.js',
+  'assets/js/data.js',
+  'assets/js/render.js',
+  'assets/js/micro.js',
+  'assets/js/reader.js',
+  'assets/js/script.js',
+  'assets/img/Logo-01.png',
+  'assets/img/footer-logo.png'
+];
+
+const DATA_PATH = 'data/articles.txt';
+const MAX_IMAGE_ENTRIES = 80;
+
+// ==========================================
+// LIFECYCLE
+// ==========================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHES.shell)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = Object.values(CACHES);
+
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('pps-') && !current.includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ==========================================
+// STRATEGIES
+// ==========================================
+
+/**
+ * Network first, fall back to the cached page (query string ignored for shells)
+ */
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHES.shell);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached =
+      (await caches.match(request)) ||
+      (await caches.match(request, { ignoreSearch: true }));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Serve from cache right away, refresh the cache in the background
+ */
+async function staleWhileRevalidate(event, cacheName, cacheKey = event.request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(cacheKey);
+
+  const refresh = fetch(event.request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') {
+        cache.put(cacheKey, response.clone());
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+
+  return refresh;
+}
+
+/**
+ * Cache first for images; keep the image cache bounded
+ */
+async function cacheFirstImage(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+
+  // Cover dari host lain (picsum, dsb.) datang sebagai opaque response
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(CACHES.images);
+    await cache.put(request, response.clone());
+    trimCache(CACHES.images, MAX_IMAGE_ENTRIES);
+  }
+
+  return response;
+}
+
+/**
+ * Delete the oldest entries above the limit
+ */
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  const excess = keys.length - maxEntries;
+
+  for (let i = 0; i < excess; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+// ==========================================
+// FETCH ROUTING
+// ==========================================
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  // API editor lokal (scripts/dev-server.js) selalu langsung ke server
+  if (sameOrigin && url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (sameOrigin && url.pathname.endsWith(`/${DATA_PATH}`)) {
+    // Satu entry saja untuk data, apapun query string-nya
+    const cacheKey = new URL(DATA_PATH, self.registration.scope).href;
+    event.respondWith(staleWhileRevalidate(event, CACHES.data, cacheKey));
+    return;
+  }
+
+  if (request.destination === 'image') {
+    event.respondWith(cacheFirstImage(request));
+    return;
+  }
+
+  if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+    event.respondWith(staleWhileRevalidate(event, CACHES.fonts));
+    return;
+  }
+
+  // CSS/JS sendiri: langsung dari cache, versi baru diambil di background
+  if (sameOrigin) {
+    event.respondWith(staleWhileRevalidate(event, CACHES.shell));
+  }
+});
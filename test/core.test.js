@@ -0,0 +1,68 @@
+/**
+ * core.js: format tanggal, waktu baca, teks & URL
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CONFIG, formatDate, calculateReadingTime, stripHTML, slugify, getArticleURL,
+  getArticleIdFromPath
+} from '../assets/js/core.js';
+
+afterEach(() => {
+  CONFIG.language = 'id';
+  CONFIG.prettyURLs = false;
+});
+
+test('formatDate uses the active UI language', () => {
+  assert.equal(formatDate('2026-02-15'), '15 Feb 2026');
+  assert.equal(formatDate('2026-12-01'), '01 Des 2026');
+
+  CONFIG.language = 'en';
+  assert.equal(formatDate('2026-12-01'), '01 Dec 2026');
+});
+
+test('formatDate reads ISO dates as local calendar days', () => {
+  // Tanpa "T00:00:00" tanggal dibaca sebagai UTC dan bisa mundur sehari
+  assert.equal(formatDate('2026-01-01'), '01 Jan 2026');
+});
+
+test('calculateReadingTime counts words at CONFIG.wordsPerMinute', () => {
+  const words = count => `<p>${'kata '.repeat(count)}</p>`;
+
+  assert.equal(calculateReadingTime(words(CONFIG.wordsPerMinute)), 1);
+  assert.equal(calculateReadingTime(words(CONFIG.wordsPerMinute + 1)), 2);
+  assert.equal(calculateReadingTime(words(CONFIG.wordsPerMinute * 5)), 5);
+});
+
+test('calculateReadingTime is at least one minute', () => {
+  assert.equal(calculateReadingTime(''), 1);
+  assert.equal(calculateReadingTime('<p></p>'), 1);
+});
+
+test('calculateReadingTime ignores markup', () => {
+  const html = '<h2 id="a">Dua kata</h2><p class="lead"><strong>tiga</strong> kata lagi</p>';
+  assert.equal(stripHTML(html), 'Dua kata tiga kata lagi');
+  assert.equal(calculateReadingTime(html), 1);
+});
+
+test('slugify folds diacritics and punctuation', () => {
+  assert.equal(slugify('Hukum Newton I'), 'hukum-newton-i');
+  assert.equal(slugify('  Énergi & Daya!  '), 'energi-daya');
+});
+
+test('getArticleURL follows CONFIG.prettyURLs', () => {
+  assert.equal(getArticleURL('hukum-newton'), 'article-detail.html?id=hukum-newton');
+
+  CONFIG.prettyURLs = true;
+  assert.equal(getArticleURL('hukum-newton'), 'artikel/hukum-newton/');
+});
+
+test('getArticleIdFromPath reads the slug of a pretty article URL', () => {
+  assert.equal(getArticleIdFromPath('/pps/artikel/hukum-newton/'), 'hukum-newton');
+  assert.equal(getArticleIdFromPath('/artikel/hukum-newton'), 'hukum-newton');
+  assert.equal(getArticleIdFromPath('/artikel/gaya%20gesek/index.html'), 'gaya gesek');
+  assert.equal(getArticleIdFromPath('/artikel/%E0%A4%A/'), null);
+  assert.equal(getArticleIdFromPath('/tentang/'), null);
+});
@@ -0,0 +1,111 @@
+/**
+ * data.js + search.js: state daftar dari URL, filter, urutan, pencarian
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  LIST_STATE_DEFAULTS, readListState, matchesListFilters, sortArticles, isPublished, validateArticle
+} from '../assets/js/data.js';
+import { buildSearchIndex, searchArticles } from '../assets/js/search.js';
+
+const ARTICLES = [
+  {
+    id: 'hukum-newton', title: 'Hukum Newton', topic: 'Edukasi', author: 'Sandy',
+    date: '2026-02-15', tags: ['Mekanika', 'Gaya'], content: '<p>Gaya dan percepatan.</p>'
+  },
+  {
+    id: 'kompetisi-sains', title: 'Kompetisi Sains', topic: 'Berita', author: 'Rani',
+    date: '2025-11-03', tags: ['Lomba'], content: '<p>Pemenang kompetisi tahun ini.</p>'
+  },
+  {
+    id: 'energi-kinetik', title: 'Energi Kinetik', topic: 'Edukasi',
+    date: '2026-01-20', tags: ['Mekanika'], content: '<p>Energi benda yang bergerak.</p>'
+  }
+];
+
+const ids = articles => articles.map(article => article.id);
+const filter = state => ids(ARTICLES.filter(article =>
+  matchesListFilters(article, { ...LIST_STATE_DEFAULTS, ...state })
+));
+
+test('readListState falls back to defaults', () => {
+  assert.deepEqual(readListState(''), LIST_STATE_DEFAULTS);
+  assert.deepEqual(
+    readListState('?archive=kemarin&sort=acak&shelf=semua&page=-2'),
+    LIST_STATE_DEFAULTS
+  );
+});
+
+test('readListState normalizes topic, tag and page', () => {
+  const state = readListState('?topic=edukasi&tag=Mekanika&q=%20gaya%20&page=3', ['Edukasi', 'Berita']);
+
+  assert.equal(state.topic, 'Edukasi');
+  assert.equal(state.tag, 'mekanika');
+  assert.equal(state.q, 'gaya');
+  assert.equal(state.page, 3);
+  assert.equal(readListState('?topic=gosip', ['Edukasi', 'Berita']).topic, 'all');
+});
+
+test('matchesListFilters combines topic, tag, author and archive', () => {
+  assert.deepEqual(filter({}), ['hukum-newton', 'kompetisi-sains', 'energi-kinetik']);
+  assert.deepEqual(filter({ topic: 'Edukasi' }), ['hukum-newton', 'energi-kinetik']);
+  assert.deepEqual(filter({ tag: 'mekanika', archive: '2026-02' }), ['hukum-newton']);
+  assert.deepEqual(filter({ archive: '2025' }), ['kompetisi-sains']);
+  assert.deepEqual(filter({ author: 'Anonim' }), ['energi-kinetik']);
+});
+
+test('matchesListFilters can skip one filter for facet counts', () => {
+  const state = { ...LIST_STATE_DEFAULTS, topic: 'Berita', tag: 'mekanika' };
+  assert.deepEqual(
+    ids(ARTICLES.filter(article => matchesListFilters(article, state, 'topic'))),
+    ['hukum-newton', 'energi-kinetik']
+  );
+});
+
+test('sortArticles sorts by date, title and reading time', () => {
+  assert.deepEqual(ids(sortArticles(ARTICLES, 'newest')), ['hukum-newton', 'energi-kinetik', 'kompetisi-sains']);
+  assert.deepEqual(ids(sortArticles(ARTICLES, 'oldest')), ['kompetisi-sains', 'energi-kinetik', 'hukum-newton']);
+  assert.deepEqual(ids(sortArticles(ARTICLES, 'title')), ['energi-kinetik', 'hukum-newton', 'kompetisi-sains']);
+
+  const readingTimes = new Map([['hukum-newton', 7], ['kompetisi-sains', 2], ['energi-kinetik', 2]]);
+  assert.deepEqual(
+    ids(sortArticles(ARTICLES, 'reading', { readingTimes })),
+    ['energi-kinetik', 'kompetisi-sains', 'hukum-newton']
+  );
+});
+
+test('sortArticles keeps search order for relevance with a query', () => {
+  assert.deepEqual(ids(sortArticles(ARTICLES, 'relevance', { hasQuery: true })), ids(ARTICLES));
+  assert.deepEqual(ids(sortArticles(ARTICLES, 'relevance')), ids(sortArticles(ARTICLES, 'newest')));
+  assert.deepEqual(ids(ARTICLES), ['hukum-newton', 'kompetisi-sains', 'energi-kinetik']);
+});
+
+test('searchArticles matches title and content terms', () => {
+  const index = buildSearchIndex(ARTICLES);
+  const search = query => searchArticles(index, query).map(result => result.article.id);
+
+  assert.deepEqual(search('newton'), ['hukum-newton']);
+  assert.deepEqual(search('energi'), ['energi-kinetik']);
+  assert.deepEqual(search('zzz'), []);
+  assert.equal(search('').length, ARTICLES.length);
+});
+
+test('isPublished hides drafts and scheduled articles', () => {
+  const now = Date.parse('2026-03-01T00:00:00Z');
+
+  assert.equal(isPublished(ARTICLES[0], now), true);
+  assert.equal(isPublished({ ...ARTICLES[0], status: 'draft' }, now), false);
+  assert.equal(isPublished({ ...ARTICLES[0], date: '2026-04-01' }, now), false);
+});
+
+test('validateArticle rejects unknown topics', () => {
+  const record = { ...ARTICLES[0], excerpt: 'Ringkasan' };
+
+  assert.deepEqual(validateArticle(record), []);
+  assert.deepEqual(
+    validateArticle({ ...record, topic: 'Gosip' }).map(problem => problem.field),
+    ['topic']
+  );
+});
